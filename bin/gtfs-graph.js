@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+'use strict';
+
+// Analyze a system from the command line (see lib/server/cli.js)
+var cli = require('../lib/server/cli');
+var argv = require('minimist')(process.argv.slice(2));
+
+cli.main(argv, function(err) {
+  if (err) {
+    console.error(err.message);
+    process.exitCode = 1;
+  }
+});
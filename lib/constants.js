@@ -15,7 +15,10 @@ const socketMsg = {
   startBfs: 'start bfs',
   startPR: 'start pr',
   startDijkstra: 'start dij',
+  startKShortest: 'start ksp',
   dijkstra: 'dij',
+  kShortest: 'ksp',
+  isochrone: 'iso',
   dfs: 'dfs',
   bfs: 'bfs',
   pageRank: 'pr',
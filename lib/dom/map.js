@@ -8,6 +8,17 @@ const LEFT = 'left edges';
 const STOPS = 'stops';
 const ROUTES = 'routes';
 const TRANSFERS = 'transfers';
+const ISOCHRONE = 'isochrone';
+const SEGMENTS = 'segments';
+const PROPOSED = 'proposed links';
+
+// Isochrone bands, from the nearest to the farthest
+const ISOCHRONE_COLORS = ['#ff0000', '#ff8000', '#ffff00', '#00ff00', '#00ffff', '#0000ff'];
+
+// Segments are drawn wider the more shortest paths run along them, and
+// redder the more critical they are, from the lowest fifth to the highest
+const SEGMENT_WIDTHS = [1, 2, 3, 5, 7];
+const SEGMENT_COLORS = ['#00ff00', '#00ffff', '#0000ff', '#ff00ff', '#ff0000'];
 
 export default React.createClass({
   childContextTypes: {
@@ -27,7 +38,8 @@ export default React.createClass({
       pageRanks: {
         type: 'FeatureCollection',
         features: []
-      }
+      },
+      isochroneLayers: []
     };
   },
   clearTrace: function() {
@@ -287,6 +299,144 @@ export default React.createClass({
     });
     this.state.map.getSource(LEFT).setData(this.state.leftEdges);
   },
+  // Draw the edges of a graph by their betweenness (width) and criticality
+  // (colour), if the edges carry them. Edges which disconnect stops when
+  // removed are the most critical of all.
+  showEdgeMetrics: function(edges) {
+    const { map } = this.state;
+    const features = edges.features.filter(feature => typeof feature.properties.betweenness !== "undefined");
+    if (features.length === 0) { return; }
+    
+    function fifth(value, values) {
+      const min = Math.min(...values);
+      const range = Math.max(...values) - min;
+      
+      return range === 0 ? 0 : Math.min(4, Math.floor(5 * (value - min) / range));
+    }
+    
+    const betweenness = features.map(feature => feature.properties.betweenness);
+    const criticality = features.map(feature => feature.properties.criticality);
+    const segments = features.map(feature => {
+      const properties = feature.properties;
+      
+      return {
+        type: 'Feature',
+        geometry: feature.geometry,
+        properties: {
+          width: fifth(properties.betweenness, betweenness),
+          color: properties.disconnectedPairs > 0 ? 4 : fifth(properties.criticality, criticality)
+        }
+      };
+    });
+    
+    if (typeof map.getSource(SEGMENTS) !== "undefined") {
+      map.getSource(SEGMENTS).setData({ type: 'FeatureCollection', features: segments });
+      return;
+    }
+    map.addSource(SEGMENTS, {
+      type: 'geojson',
+      data: { type: 'FeatureCollection', features: segments }
+    });
+    
+    // A layer for each width and colour, placed beneath the traversals
+    SEGMENT_WIDTHS.forEach((width, i) => {
+      SEGMENT_COLORS.forEach((color, j) => {
+        map.addLayer({
+          id: SEGMENTS + '-' + i + '-' + j,
+          type: 'line',
+          source: SEGMENTS,
+          paint: {
+            'line-width': width,
+            'line-color': color,
+            'line-opacity': 0.8
+          },
+          filter: ['all', ['==', 'width', i], ['==', 'color', j]]
+        }, VISITED);
+      });
+    });
+  },
+  // Draw the links a theoretical graph proposes, dashed and above every other
+  // edge, so they are not mistaken for existing service
+  showProposedLinks: function(edges) {
+    const { map } = this.state;
+    const proposed = {
+      type: 'FeatureCollection',
+      features: edges.features.filter(feature => feature.properties.edgeType === 'theoretical')
+    };
+    
+    if (typeof map.getSource(PROPOSED) !== "undefined") {
+      map.getSource(PROPOSED).setData(proposed);
+      return;
+    }
+    map.addSource(PROPOSED, {
+      type: 'geojson',
+      data: proposed
+    });
+    map.addLayer({
+      id: PROPOSED,
+      type: 'line',
+      source: PROPOSED,
+      paint: {
+        'line-width': 4,
+        'line-color': '#ffa500',
+        'line-dasharray': [2, 1],
+        'line-opacity': 1.0
+      }
+    });
+  },
+  clearProposedLinks: function() {
+    const { map } = this.state;
+    
+    if (typeof map.getLayer(PROPOSED) !== "undefined") {
+      map.removeLayer(PROPOSED);
+    }
+    if (typeof map.getSource(PROPOSED) !== "undefined") {
+      map.removeSource(PROPOSED);
+    }
+  },
+  showIsochrone: function(isochrone) {
+    const { map } = this.state;
+    const bands = isochrone.bands.features.map(feature => feature.properties.minutes);
+    
+    this.clearIsochrone();
+    map.addSource(ISOCHRONE, {
+      type: 'geojson',
+      data: isochrone.bands
+    });
+    
+    // Each layer is placed just beneath the routes, so add the farthest band
+    // first and the nearest ends up on top
+    const layerIds = bands.map((minutes, i) => {
+      return { id: ISOCHRONE + '-' + minutes, minutes: minutes, color: ISOCHRONE_COLORS[i % ISOCHRONE_COLORS.length] };
+    }).reverse().map(layer => {
+      map.addLayer({
+        id: layer.id,
+        type: 'fill',
+        source: ISOCHRONE,
+        paint: {
+          'fill-color': layer.color,
+          'fill-opacity': 0.25
+        },
+        filter: ['==', 'minutes', layer.minutes]
+      }, ROUTES);
+      return layer.id;
+    });
+    
+    this.setState({ isochroneLayers: layerIds });
+  },
+  clearIsochrone: function() {
+    const { map, isochroneLayers } = this.state;
+    
+    isochroneLayers.forEach(layerId => {
+      if (typeof map.getLayer(layerId) !== "undefined") {
+        map.removeLayer(layerId);
+      }
+    });
+    if (typeof map.getSource(ISOCHRONE) !== "undefined") {
+      map.removeSource(ISOCHRONE);
+    }
+    this.setState({ isochroneLayers: [] });
+  },
   render: function() {
     const { children } = this.props;
 
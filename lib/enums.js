@@ -6,7 +6,8 @@ const Mode = Enum([
   'PAGE_RANK',
   'KATZ',
   'CLOSENESS',
-  'ACCESSIBILITY'
+  'ACCESSIBILITY',
+  'BETWEENNESS'
 ]);
 
 const Verbosity = Enum([
@@ -29,7 +30,8 @@ const GraphType = Enum([
 
 const Geometry = Enum([
   'LineString',
-  'Point'
+  'Point',
+  'Polygon'
 ]);
 
 const EdgeType = Enum([
@@ -38,10 +40,67 @@ const EdgeType = Enum([
   'THEORETICAL'
 ]);
 
+const Weighting = Enum([
+  'RUN_TIME',
+  'FREQUENCY'
+]);
+
+const TimeBand = Enum([
+  'NIGHT',
+  'AM_PEAK',
+  'MIDDAY',
+  'PM_PEAK',
+  'EVENING'
+]);
+
+const Fitness = Enum([
+  'CLOSENESS',
+  'PAGE_RANK',
+  'TRAVEL_TIME'
+]);
+
+const SortOrder = Enum([
+  'ASC',
+  'DESC'
+]);
+
+const ExportFormat = Enum([
+  'GRAPHML',
+  'GEXF',
+  'CSV',
+  'JSON-GRAPH'
+]);
+
+const LoadState = Enum([
+  'LOADING',
+  'LOADED',
+  'FAILED'
+]);
+
+const AnalysisState = Enum([
+  'PENDING',
+  'RUNNING',
+  'COMPLETE',
+  'FAILED'
+]);
+
+const Validation = Enum([
+  'STRICT',
+  'LENIENT'
+]);
+
 module.exports = {
   Mode: Mode,
   Verbosity: Verbosity,
   GraphType: GraphType,
   Geometry: Geometry,
-  EdgeType: EdgeType
+  EdgeType: EdgeType,
+  Weighting: Weighting,
+  TimeBand: TimeBand,
+  Fitness: Fitness,
+  SortOrder: SortOrder,
+  ExportFormat: ExportFormat,
+  LoadState: LoadState,
+  AnalysisState: AnalysisState,
+  Validation: Validation
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+'use strict';
+
+var logger = require('../logger');
+var utils = require('../utils');
+var traversals = require('transit-tools').traversals;
+var Path = require('transit-tools/lib/path');
+var betweennessCentrality = require('./betweenness').betweennessCentrality;
+var centrality = require('./centrality');
+var resolveParameters = require('./parameters').resolveParameters;
+var Mode = require('../enums').Mode;
+
+// The messages an analysis worker sends back to the server
+const AnalysisMessage = {
+  start: 'start',
+  ranks: 'ranks',
+  edgeMetrics: 'edgeMetrics',
+  theoretical: 'theoretical',
+  timetableCloseness: 'timetableCloseness',
+  done: 'done',
+  error: 'error'
+};
+
+Object.freeze(AnalysisMessage);
+
+//-------------------------------------------------
+// The same self-avoiding random walk as TransitGraph.randomWalk, but taking
+// each step with the random generator given rather than Math.random. A walk
+// which reaches a dead end is filled with -1s, as transit-tools does.
+function randomWalk(graph, origin, walkLength, random) {
+  const path = new Path();
+  let current = origin;
+  
+  path.add(origin);
+  for (let step = 0; step < walkLength; step++) {
+    const unvisitedNodes = graph.getIncomingNodes(current).filter(node => !path.contains(node));
+    
+    if (unvisitedNodes.length === 0) {
+      path.fillTo(walkLength, -1);
+      return path;
+    }
+    current = unvisitedNodes[utils.rand(unvisitedNodes.length, random)];
+    path.add(current);
+  }
+  
+  return path;
+}
+
+//-------------------------------------------------
+// Draw the random walks from every stop which outwardAccessibility measures,
+// as TransitGraph.calculateRandomWalks does, from a generator seeded with
+// seed (see utils.seededRandom), so the same walks are drawn every run
+function calculateRandomWalks(graph, walks, walkLength, seed) {
+  logger.verbose(`Calculating ${walks} random walks of length ${walkLength} (seed ${seed}).`);
+  
+  const random = utils.seededRandom(seed);
+  
+  graph.randomWalks = {};
+  for (let node = 0; node < graph.length(); node++) {
+    graph.randomWalks[node] = [];
+    for (let walk = 0; walk < walks; walk++) {
+      graph.randomWalks[node].push(randomWalk(graph, node, walkLength, random));
+    }
+  }
+}
+
+//-------------------------------------------------
+// Run the algorithm behind a single mode on a graph, with the defaults of
+// any parameters (see parameters.js) which are not given
+function calculateRanks(graph, mode, parameters) {
+  const resolved = resolveParameters(mode, parameters || {});
+  
+  switch (mode) {
+    case Mode.ACCESSIBILITY:
+      calculateRandomWalks(graph, resolved.walks, resolved.walkLength, resolved.seed);
+      return traversals.outwardAccessibility(graph);
+    case Mode.PAGE_RANK:
+      return centrality.pageRank(graph, resolved.damping);
+    case Mode.KATZ:
+      return centrality.katzCentrality(graph, resolved.alpha);
+    case Mode.CLOSENESS:
+      return traversals.closenessCentrality(graph);
+    case Mode.BETWEENNESS:
+      return betweennessCentrality(graph);
+    default:
+      throw new Error('Bad mode: ' + mode);
+  }
+}
+
+module.exports = {
+  AnalysisMessage: AnalysisMessage,
+  calculateRanks: calculateRanks
+};
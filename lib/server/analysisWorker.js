@@ -0,0 +1,92 @@
+'use strict';
+
+/*
+  Ranks the merged graph of a single system in a child process, so the
+  server stays responsive while the algorithms run. The server sends the
+  serialized graph (see graphCache.js), the modes to calculate with their
+  parameters (see parameters.js) and whether to rank its edges, and this
+  process answers with the ranks of each mode and the edge metrics, and how
+  long they took, as soon as they are ready.
+  
+  The same process searches for the links to add to a graph (see
+  theoretical.js), or calculates closeness in a system's timetable (see
+  timetable.js), when the server asks for them instead.
+*/
+
+var graphCache = require('./graphCache');
+var analysis = require('./analysis');
+var calculateEdgeMetrics = require('./edgeMetrics').calculateEdgeMetrics;
+var theoretical = require('./theoretical');
+var Timetable = require('./timetable');
+var utils = require('../utils');
+var AnalysisMessage = analysis.AnalysisMessage;
+
+process.on('message', function(request) {
+  try {
+    // Closeness in a timetable is the only request without a graph
+    const graph = request.graph && graphCache.deserializeGraph(request.graph);
+    
+    (request.modes || []).forEach(function(mode) {
+      process.send({ type: AnalysisMessage.start, mode: mode });
+      
+      const startTime = Date.now();
+      const ranks = analysis.calculateRanks(graph, mode, request.parameters);
+      
+      process.send({
+        type: AnalysisMessage.ranks,
+        mode: mode,
+        ranks: ranks,
+        duration: Date.now() - startTime
+      });
+    });
+    
+    if (request.edgeMetrics) {
+      const startTime = Date.now();
+      const edgeMetrics = calculateEdgeMetrics(graph);
+      
+      process.send({
+        type: AnalysisMessage.edgeMetrics,
+        edgeMetrics: edgeMetrics,
+        duration: Date.now() - startTime
+      });
+    }
+    
+    if (request.theoretical) {
+      const random = utils.seededRandom(request.theoretical.seed);
+      
+      request.theoretical.routes.forEach(function(numRoutes) {
+        const startTime = Date.now();
+        const solution = theoretical.findTheoreticalEdges(graph, numRoutes, request.theoretical.fitness, random);
+        
+        process.send({
+          type: AnalysisMessage.theoretical,
+          graphType: theoretical.getGraphType(numRoutes),
+          edges: solution.edges.map(edge => {
+            return { type: edge.type, origin: edge.origin, destination: edge.destination, weight: edge.weight };
+          }),
+          fitness: solution.fitness,
+          duration: Date.now() - startTime
+        });
+      });
+    }
+    
+    if (request.timetableCloseness) {
+      const startTime = Date.now();
+      const timetable = Timetable.fromJson(request.timetable);
+      
+      process.send({
+        type: AnalysisMessage.timetableCloseness,
+        ranks: timetable.closenessCentrality(request.timetableCloseness.time, request.timetableCloseness.date),
+        duration: Date.now() - startTime
+      });
+    }
+    
+    process.send({ type: AnalysisMessage.done }, function() {
+      process.exit(0);
+    });
+  } catch (err) {
+    process.send({ type: AnalysisMessage.error, error: err.message }, function() {
+      process.exit(1);
+    });
+  }
+});
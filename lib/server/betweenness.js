@@ -0,0 +1,200 @@
+'use strict';
+
+//-------------------------------------------------
+// A binary min-heap of [distance, node] pairs. Nodes are pushed again when a
+// shorter distance is found rather than updated in place, so stale entries
+// are skipped when they are popped.
+class NodeHeap {
+  constructor() {
+    this.items = [];
+  }
+  
+  isEmpty() {
+    return this.items.length === 0;
+  }
+  
+  push(distance, node) {
+    const items = this.items;
+    let i = items.push([distance, node]) - 1;
+    
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) { break; }
+      
+      const swap = items[parent];
+      items[parent] = items[i];
+      items[i] = swap;
+      i = parent;
+    }
+  }
+  
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        
+        if (left < items.length && items[left][0] < items[smallest][0]) { smallest = left; }
+        if (right < items.length && items[right][0] < items[smallest][0]) { smallest = right; }
+        if (smallest === i) { break; }
+        
+        const swap = items[smallest];
+        items[smallest] = items[i];
+        items[i] = swap;
+        i = smallest;
+      }
+    }
+    
+    return top;
+  }
+}
+
+//-------------------------------------------------
+// Edges are undirected, so an edge is known by its two nodes in either order
+function edgeKey(a, b) {
+  return a < b ? `${a}-${b}` : `${b}-${a}`;
+}
+
+//-------------------------------------------------
+// Dijkstra's algorithm from a single source, counting the shortest paths to
+// every node (sigma) and keeping every predecessor along them. The nodes are
+// returned in the order they were settled, nearest first. An edge (see
+// edgeKey) can be left out, as if it had been removed from the graph.
+var shortestPathsFrom = function(graph, source, excludedEdge) {
+  const length = graph.length();
+  const distances = [];
+  const sigma = [];
+  const predecessors = [];
+  const settled = [];
+  const heap = new NodeHeap();
+  
+  for (let node = 0; node < length; node++) {
+    distances.push(Infinity);
+    sigma.push(0);
+    predecessors.push([]);
+  }
+  distances[source] = 0;
+  sigma[source] = 1;
+  heap.push(0, source);
+  
+  while (!heap.isEmpty()) {
+    const item = heap.pop();
+    const distance = item[0];
+    const current = item[1];
+    if (distance > distances[current]) { continue; }
+    
+    settled.push(current);
+    
+    graph.getIncomingNodes(current).forEach(neighbour => {
+      if (excludedEdge === edgeKey(current, neighbour)) { return; }
+      
+      const alternative = distance + graph.getWeight(current, neighbour);
+      
+      if (alternative < distances[neighbour]) {
+        distances[neighbour] = alternative;
+        sigma[neighbour] = sigma[current];
+        predecessors[neighbour] = [current];
+        heap.push(alternative, neighbour);
+      } else if (alternative === distances[neighbour]) {
+        sigma[neighbour] += sigma[current];
+        predecessors[neighbour].push(current);
+      }
+    });
+  }
+  
+  return { distances: distances, settled: settled, sigma: sigma, predecessors: predecessors };
+};
+
+//-------------------------------------------------
+// The travel time between every pair of nodes, as a row for each origin
+// (Infinity where the destination cannot be reached)
+var travelTimes = function(graph) {
+  const times = [];
+  
+  for (let origin = 0; origin < graph.length(); origin++) {
+    times.push(shortestPathsFrom(graph, origin).distances);
+  }
+  
+  return times;
+};
+
+//-------------------------------------------------
+// Brandes' algorithm, accumulating the betweenness of both the nodes and the
+// edges (in the order of the graph's edge list). Every pair is found from
+// both of its ends, so the totals are halved. The paths along an edge are
+// totalled by its edgeKey, so both directions of a two-way edge are given
+// the same value.
+function brandes(graph) {
+  const length = graph.length();
+  const nodeBetweenness = [];
+  const edgeBetweenness = {};
+  
+  for (let node = 0; node < length; node++) {
+    nodeBetweenness.push(0);
+  }
+  graph.edgeList.forEach(edge => {
+    edgeBetweenness[edgeKey(edge.origin, edge.destination)] = 0;
+  });
+  
+  for (let source = 0; source < length; source++) {
+    const paths = shortestPathsFrom(graph, source);
+    const dependency = [];
+    
+    for (let node = 0; node < length; node++) {
+      dependency.push(0);
+    }
+    
+    // Work back from the farthest nodes, handing each node's dependency on
+    // to the predecessors (and edges) which its shortest paths pass through
+    for (let i = paths.settled.length - 1; i >= 0; i--) {
+      const node = paths.settled[i];
+      
+      paths.predecessors[node].forEach(predecessor => {
+        const share = paths.sigma[predecessor] / paths.sigma[node] * (1 + dependency[node]);
+        
+        dependency[predecessor] += share;
+        edgeBetweenness[edgeKey(predecessor, node)] += share;
+      });
+      if (node !== source) {
+        nodeBetweenness[node] += dependency[node];
+      }
+    }
+  }
+  
+  return {
+    nodes: nodeBetweenness.map(value => value / 2),
+    edges: graph.edgeList.list.map(edge => edgeBetweenness[edgeKey(edge.origin, edge.destination)] / 2)
+  };
+}
+
+//-------------------------------------------------
+// Weighted betweenness centrality, found with Brandes' algorithm: the number
+// of shortest paths between every other pair of stops which pass through
+// each stop, where a pair with several shortest paths counts each of them
+// fractionally. Edges are undirected, so every pair is only counted once.
+var betweennessCentrality = function(graph) {
+  return brandes(graph).nodes;
+};
+
+//-------------------------------------------------
+// The same for each edge: the number of shortest paths between pairs of
+// stops which run along it, in the order of the graph's edge list
+var edgeBetweenness = function(graph) {
+  return brandes(graph).edges;
+};
+
+module.exports = {
+  edgeKey: edgeKey,
+  shortestPathsFrom: shortestPathsFrom,
+  travelTimes: travelTimes,
+  betweennessCentrality: betweennessCentrality,
+  edgeBetweenness: edgeBetweenness
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+/*
+  PageRank and Katz centrality as transit-tools calculates them, but with
+  their damping and attenuation factors as arguments rather than fixed. With
+  the default parameters (see parameters.js) the ranks are the same.
+*/
+
+const PAGE_RANK_ITERATIONS = 10;
+const KATZ_ITERATIONS = 30;
+const KATZ_BETA = 1.0;
+
+//-------------------------------------------------
+// A node's rank is the sum of the ranks of the nodes linking to it, each
+// shared among the nodes it links to, plus a small share of every rank when
+// the damping is below 1
+var pageRank = function(graph, damping) {
+  const length = graph.length();
+  const outgoingEdgeCounts = [];
+  let ranks = [];
+  
+  for (let node = 0; node < length; node++) {
+    let edgeCount = 0;
+    
+    for (let other = 0; other < length; other++) {
+      if (graph.edgeExists(node, other)) { edgeCount++; }
+    }
+    outgoingEdgeCounts.push(edgeCount);
+    ranks.push(1.0);
+  }
+  
+  for (let iteration = 0; iteration < PAGE_RANK_ITERATIONS; iteration++) {
+    const nextRanks = [];
+    
+    for (let node = 0; node < length; node++) {
+      let inNodeSummation = 0;
+      
+      graph.getIncomingNodes(node).forEach(incoming => {
+        inNodeSummation += ranks[incoming] / outgoingEdgeCounts[incoming];
+      });
+      nextRanks.push((1 - damping) / length + damping * inNodeSummation);
+    }
+    ranks = nextRanks;
+  }
+  
+  return ranks;
+};
+
+//-------------------------------------------------
+// A node's rank grows with the weighted ranks of its neighbours, attenuated
+// by alpha, so walks through many nodes count for less
+var katzCentrality = function(graph, alpha) {
+  const length = graph.length();
+  let ranks = [];
+  
+  for (let node = 0; node < length; node++) {
+    ranks.push(0.0);
+  }
+  
+  for (let iteration = 0; iteration < KATZ_ITERATIONS; iteration++) {
+    const nextRanks = ranks.slice();
+    
+    for (let node = 0; node < length; node++) {
+      for (let inner = 0; inner < length; inner++) {
+        if (graph.edgeExists(node, inner)) {
+          nextRanks[inner] += ranks[node] * graph.getWeight(node, inner);
+        }
+      }
+    }
+    for (let node = 0; node < length; node++) {
+      nextRanks[node] = (alpha * nextRanks[node] + KATZ_BETA) / length;
+    }
+    ranks = nextRanks;
+  }
+  
+  return ranks;
+};
+
+module.exports = {
+  pageRank: pageRank,
+  katzCentrality: katzCentrality
+};
@@ -0,0 +1,315 @@
+'use strict';
+
+/*
+  The gtfs-graph command-line tool (bin/gtfs-graph.js). Loads a single
+  system the way the server does, runs one analysis on it and writes the
+  result as CSV or JSON, without starting the web server.
+    
+    gtfs-graph rank   --system MTA [--mode closeness,katz] [--damping 0.85]
+    gtfs-graph route  --system MTA --from 127 --to 635 [--transfer-penalty 300]
+    gtfs-graph stats  --system MTA
+    gtfs-graph export --system MTA [--type primary|merged] [--format graphml]
+  
+  Every command also takes --format csv|json (export also writes graphml,
+  gexf, csv [--filter stops] and json-graph), --output <file> (default:
+  stdout), --verbosity, --validation strict|lenient and --no-cache. Logging
+  goes to stderr, so the output can be piped.
+*/
+
+var fs = require('fs');
+var utils = require('../utils');
+var createGraph = require('./createGraph');
+var graphCache = require('./graphCache');
+var calculateRanks = require('./analysis').calculateRanks;
+var rankStops = require('./ranks').rankStops;
+var routing = require('./routing');
+var exportGraph = require('./graphExport').exportGraph;
+var connectedComponents = require('./scenario').connectedComponents;
+var parameters = require('./parameters');
+var parseValidation = require('./validation').parseValidation;
+var Systems = require('../systems');
+var logger = require('../logger');
+var Mode = require('../enums').Mode;
+var GraphType = require('../enums').GraphType;
+var EdgeType = require('../enums').EdgeType;
+var Verbosity = require('../enums').Verbosity;
+var ExportFormat = require('../enums').ExportFormat;
+
+const Format = {
+  csv: 'csv',
+  json: 'json',
+  graphml: 'graphml',
+  gexf: 'gexf',
+  'json-graph': 'json-graph'
+};
+
+Object.freeze(Format);
+
+// Quiet unless asked otherwise, since the output is usually all that matters
+const DEFAULT_VERBOSITY = Verbosity.error;
+
+const USAGE = 'Usage: gtfs-graph <rank|route|stats|export> --system <system> [options]';
+
+//-------------------------------------------------
+// Each command takes the loaded system (see loadSystem), the parsed arguments
+// and the format, and returns the JSON output along with the rows and columns
+// of the CSV output, or else the text of the output. A bad argument throws an
+// error.
+const commands = {
+  //-------------------------------------------------
+  // The stops of the merged graph (with the ids of their routes) and their
+  // score and rank in every mode (or the --mode list), ordered by the first
+  // mode. Ranks read back from the cache are reused if they were calculated
+  // with the same parameters.
+  rank: function(system, argv) {
+    const graph = system.graphs[GraphType.MERGED];
+    const modes = parseModes(argv.mode);
+    const systemParameters = system.parameters;
+    const rankParameters = Object.assign({}, systemParameters, parameters.parseParameters(argv));
+    const stops = {};
+    const columns = ['id', 'name', 'latitude', 'longitude', 'routes'];
+    
+    graph.stops.forEach(stop => {
+      stops[stop.id] = {
+        id: stop.id,
+        name: stop.name,
+        latitude: stop.latitude,
+        longitude: stop.longitude,
+        routes: (stop.routes || []).map(route => route.id)
+      };
+    });
+    
+    modes.forEach(mode => {
+      const name = mode.toLowerCase();
+      const cached = graph.ranks && graph.ranks[mode] &&
+        parameters.parametersKey(mode, rankParameters) === parameters.parametersKey(mode, systemParameters);
+      const scores = cached ? graph.ranks[mode] : calculateRanks(graph, mode, rankParameters);
+      
+      rankStops(graph, mode, scores).forEach(stop => {
+        stops[stop.id][name] = stop.score;
+        stops[stop.id][`${name}_rank`] = stop.rank;
+      });
+      columns.push(name, `${name}_rank`);
+    });
+    
+    const firstRank = `${modes[0].toLowerCase()}_rank`;
+    const rows = Object.keys(stops).map(id => stops[id]).sort((a,b) => a[firstRank] - b[firstRank]);
+    
+    return { json: rows, rows: rows, columns: columns };
+  },
+  
+  //-------------------------------------------------
+  // The shortest route between two stops of the primary graph, as the route
+  // API describes it. The CSV lists its legs.
+  route: function(system, argv) {
+    const graph = system.graphs[GraphType.PRIMARY];
+    const origin = routing.findStopIndex(graph, argv.from);
+    const destination = routing.findStopIndex(graph, argv.to);
+    const transferPenalty = typeof argv['transfer-penalty'] === "undefined" ? 0 : Number(argv['transfer-penalty']);
+    
+    if (origin === -1) { throw new Error(`Bad origin stop: ${argv.from}`); }
+    if (destination === -1) { throw new Error(`Bad destination stop: ${argv.to}`); }
+    if (isNaN(transferPenalty) || transferPenalty < 0) {
+      throw new Error(`Bad transfer penalty: ${argv['transfer-penalty']}`);
+    }
+    
+    const nodes = routing.shortestPath(graph, origin, destination, { transferPenalty: transferPenalty });
+    if (typeof nodes === "undefined") {
+      throw new Error(`No route from ${argv.from} to ${argv.to}`);
+    }
+    
+    const route = routing.describeRoute(graph, nodes, transferPenalty);
+    
+    return { json: route, rows: route.legs, columns: ['origin', 'destination', 'type', 'duration'] };
+  },
+  
+  //-------------------------------------------------
+  // The size of the primary and merged graphs: their stops, edges of each
+  // type, groups of stops which can reach each other and the mean number of
+  // neighbours of a stop
+  stats: function(system, argv) {
+    const rows = [GraphType.PRIMARY, GraphType.MERGED].map(type => {
+      const graph = system.graphs[type];
+      const edges = graph.edgeList.list;
+      let degrees = 0;
+      
+      for (let node = 0; node < graph.length(); node++) {
+        degrees += graph.getIncomingNodes(node).length;
+      }
+      
+      return {
+        type: type,
+        nodes: graph.length(),
+        edges: edges.length,
+        routeEdges: edges.filter(edge => edge.type === EdgeType.ROUTE).length,
+        transferEdges: edges.filter(edge => edge.type === EdgeType.TRANSFER).length,
+        components: connectedComponents(graph, {}).length,
+        meanDegree: graph.length() > 0 ? degrees / graph.length() : 0
+      };
+    });
+    
+    return {
+      json: rows,
+      rows: rows,
+      columns: ['type', 'nodes', 'edges', 'routeEdges', 'transferEdges', 'components', 'meanDegree']
+    };
+  },
+  
+  //-------------------------------------------------
+  // The stops and edges of the merged graph (or the --type graph) as GeoJSON,
+  // or in one of the export formats (see graphExport.js)
+  export: function(system, argv, format) {
+    const graph = system.graphs[parseGraphType(argv.type)];
+    
+    if (format === Format.json) {
+      return { json: graph.getGeoJson() };
+    }
+    if (typeof argv.filter !== "undefined" && (format !== Format.csv || (argv.filter !== 'stops' && argv.filter !== 'edges'))) {
+      throw new Error(`Bad filter: ${argv.filter} (only stops or edges with the csv format)`);
+    }
+    
+    const exported = exportGraph(graph, ExportFormat[format.toUpperCase()], system.id, { stopsOnly: argv.filter === 'stops' });
+    
+    return { text: typeof exported.body === "string" ? exported.body : JSON.stringify(exported.body, null, 2) + '\n' };
+  }
+};
+
+// The formats each command writes, the first being the default. Export
+// writes a graph, which is not a table.
+const COMMAND_FORMATS = {
+  rank: [Format.csv, Format.json],
+  route: [Format.csv, Format.json],
+  stats: [Format.csv, Format.json],
+  export: [Format.json, Format.graphml, Format.gexf, Format.csv, Format['json-graph']]
+};
+
+function parseModes(modeList) {
+  if (typeof modeList === "undefined") {
+    return Mode.ALL;
+  }
+  
+  return String(modeList).split(',').map(mode => {
+    if (!Mode.isValid(mode.toUpperCase())) {
+      throw new Error(`Bad mode: ${mode}`);
+    }
+    return Mode[mode.toUpperCase()];
+  });
+}
+
+function parseGraphType(type) {
+  if (typeof type === "undefined") {
+    return GraphType.MERGED;
+  }
+  if (String(type).toUpperCase() !== GraphType.PRIMARY && String(type).toUpperCase() !== GraphType.MERGED) {
+    throw new Error(`Bad graph type (expected PRIMARY or MERGED): ${type}`);
+  }
+  
+  return GraphType[String(type).toUpperCase()];
+}
+
+//-------------------------------------------------
+// Run a command on a loaded system and return its output as text
+var runCommand = function(command, system, argv) {
+  if (typeof commands[command] === "undefined") {
+    throw new Error(`Bad command: ${command}\n${USAGE}`);
+  }
+  
+  const formats = COMMAND_FORMATS[command];
+  const format = typeof argv.format === "undefined" ? formats[0] : String(argv.format).toLowerCase();
+  if (formats.indexOf(format) === -1) {
+    throw new Error(`Bad format for ${command} (expected ${formats.join(', ')}): ${argv.format}`);
+  }
+  
+  const result = commands[command](system, argv, format);
+  
+  if (typeof result.text !== "undefined") {
+    return result.text;
+  }
+  if (format === Format.json) {
+    return JSON.stringify(result.json, null, 2) + '\n';
+  }
+  return utils.toCsv(result.rows, result.columns);
+};
+
+//-------------------------------------------------
+// Load a system's primary and merged graphs, along with the parameters it is
+// ranked with (see parameters.js). The validation of its CSVs (see
+// validation.js) is the system's own unless one is given.
+var loadSystem = function(systemId, validation, callback) {
+  const config = typeof validation === "undefined" ?
+    Systems[systemId] : Object.assign({}, Systems[systemId], { validation: validation });
+  
+  createGraph(systemId, config, function(err, graph, mergedGraph) {
+    if (err) { return callback(err); }
+    
+    const graphs = {};
+    graphs[GraphType.PRIMARY] = graph;
+    graphs[GraphType.MERGED] = mergedGraph;
+    callback(null, {
+      id: systemId,
+      graphs: graphs,
+      parameters: parameters.parseParameters(config.parameters || {})
+    });
+  });
+};
+
+//-------------------------------------------------
+// Parse the arguments (already split by minimist), load the system and write
+// the output of the command to --output or stdout. Calls back with an error
+// for bad arguments or if the command fails.
+var main = function(argv, callback) {
+  const command = argv._[0];
+  const verbosity = typeof argv.verbosity === "undefined" ? DEFAULT_VERBOSITY : String(argv.verbosity).toLowerCase();
+  
+  if (!Verbosity.isValid(verbosity)) {
+    return callback(new Error(`Bad verbosity (expected one of ${Verbosity.ALL.join(', ')}): ${argv.verbosity}`));
+  }
+  
+  // stdout is kept for the output (there is no console to log to in tests)
+  const consoleTransport = logger.transports.console;
+  if (typeof consoleTransport !== "undefined") {
+    consoleTransport.stderrLevels = {};
+    Verbosity.ALL.forEach(level => { consoleTransport.stderrLevels[level] = true; });
+    consoleTransport.level = Verbosity[verbosity];
+  }
+  
+  if (typeof command === "undefined" || typeof commands[command] === "undefined") {
+    return callback(new Error(typeof command === "undefined" ? USAGE : `Bad command: ${command}\n${USAGE}`));
+  }
+  if (typeof argv.system === "undefined" || typeof Systems[String(argv.system).toUpperCase()] === "undefined") {
+    return callback(new Error(`Bad system (expected one of ${Object.keys(Systems).join(', ')}): ${argv.system}`));
+  }
+  if (argv.cache === false) {
+    graphCache.setEnabled(false);
+  }
+  
+  let validation;
+  try {
+    validation = typeof argv.validation === "undefined" ? undefined : parseValidation(argv.validation);
+  } catch (err) {
+    return callback(err);
+  }
+  
+  loadSystem(String(argv.system).toUpperCase(), validation, function(err, system) {
+    if (err) { return callback(err); }
+    
+    let output;
+    try {
+      output = runCommand(command, system, argv);
+    } catch (err) {
+      return callback(err);
+    }
+    
+    if (typeof argv.output === "undefined") {
+      process.stdout.write(output, () => callback());
+    } else {
+      fs.writeFile(argv.output, output, callback);
+    }
+  });
+};
+
+module.exports = {
+  runCommand: runCommand,
+  loadSystem: loadSystem,
+  main: main
+};
@@ -1,7 +1,6 @@
 'use strict';
 
 var async = require('async');
-var readline = require('readline');
 var fs = require('fs');
 var TransitGraph = require('transit-tools').TransitGraph;
 var Stop = require('transit-tools').Stop;
@@ -9,166 +8,300 @@ var Route = require('transit-tools').Route;
 var Edge = require('transit-tools').Edge;
 var EdgeList = require('transit-tools').EdgeList;
 var traversals = require('transit-tools').traversals;
-var assert = require('../utils.js').assert;
-
-const NUM_STOPS_COLS = 4;
-const NUM_ROUTES_COLS = 3;
-const NUM_EDGES_COLS = 4;
-
-const STOP_ID = 0;
-const STOP_NAME = 1;
-const STOP_LATITUDE = 2;
-const STOP_LONGITUDE = 3;
-
-const ROUTE_STOP_ID = 0;
-const ROUTE_ID = 1;
-const ROUTE_COLOR = 2;
-
-const EDGE_ORIGIN = 0;
-const EDGE_DESTINATION = 1;
-const EDGE_TYPE = 2;
-const EDGE_WEIGHT = 3;
-
-var getStops = function(systemId, callback) {
-  const stops = [];
-  const lineReader = readline.createInterface({
-    input: fs.createReadStream(`./data/${systemId.toLowerCase()}/stops.csv`)
-  });
+var EdgeType = require('../enums').EdgeType;
+var loadFeed = require('./gtfsFeed.js').loadFeed;
+var Timetable = require('./timetable.js');
+var frequency = require('./frequency.js');
+var graphCache = require('./graphCache.js');
+var validation = require('./validation.js');
+
+const FEED_FILENAME = 'gtfs.zip';
+const DEFAULT_DATA_DIR = './data';
+
+let dataDir = DEFAULT_DATA_DIR;
+
+//-------------------------------------------------
+// The edges of a graph being loaded, along with the indices recordEdge looks
+// stops and edges up in, so that loading stays linear in the number of rows
+var createEdgeIndex = function(stops) {
+  const stopIndices = new Map();
   
-  lineReader.on('line', (line) => {
-    const row = line.split(',');
-    assert(row.length == NUM_STOPS_COLS, 'Unexpected format for stops.csv');
-    
-    let stop = new Stop(row[STOP_ID], row[STOP_NAME], parseFloat(row[STOP_LATITUDE]), parseFloat(row[STOP_LONGITUDE]));
-    stops.push(stop);
-  });
+  stops.forEach((stop, index) => stopIndices.set(stop.id, index));
   
-  lineReader.on('close', () => {
-    callback(null, stops);
-  });
+  return {
+    edgeList: new EdgeList(),
+    // The index of each stop, by stop ID
+    stopIndices: stopIndices,
+    // Each edge of the list, by its origin and destination indices
+    edges: new Map()
+  };
+};
+
+//-------------------------------------------------
+// Add an edge between two stops (identified by stop ID) to the edge list.
+// Every trip between two stops produces its own row, so we collapse them
+// into a single edge carrying the shortest duration seen. Returns the edge
+// the row was collapsed into, if both stops are known.
+var recordEdge = function(edgeIndex, originStopId, destStopId, type, weight) {
+  const originId = edgeIndex.stopIndices.get(originStopId);
+  const destId   = edgeIndex.stopIndices.get(destStopId);
   
-  // Actually start reading the file
-  lineReader.resume();
+  if (typeof originId !== "undefined" && typeof destId !== "undefined") {
+    // Look to see if we have already discovered this edge
+    const key = `${originId}-${destId}`;
+    const existingEdge = edgeIndex.edges.get(key);
+    
+    // If we've seen this edge before, only use its duration if it is shorter
+    // than what we've already seen (and it is NOT zero)
+    if (existingEdge) {
+      if (weight < existingEdge.weight && weight !== 0) {
+        existingEdge.weight = weight;
+      }
+      return existingEdge;
+    // If we have not seen this edge before, add it to the graph
+    } else {
+      // Prevent edge weights of 0
+      if (weight === 0) {
+        weight = 60;
+      }
+      
+      const newEdge = new Edge({
+        type: type,
+        origin: originId,
+        destination: destId,
+        weight: weight
+      });
+      edgeIndex.edgeList.add(newEdge);
+      edgeIndex.edges.set(key, newEdge);
+      return newEdge;
+    }
+  }
+};
 
+//-------------------------------------------------
+// The directory holding a directory of input files for each system: data/,
+// unless it has been set somewhere else (as the tests do)
+var setDataDirectory = function(directory) {
+  dataDir = directory;
 };
 
-var getRoutes = function(systemId, stops, callback) {
-  let stopIds = stops.map(stop => stop.id);
-  let stopsWithRoutes = {};
-  
-  const lineReader = readline.createInterface({
-    input: fs.createReadStream(`./data/${systemId.toLowerCase()}/routes.csv`)
-  });
+var getDataDirectory = function() {
+  return dataDir;
+};
+
+//-------------------------------------------------
+// The directory a system's input files are in, data/<system>
+var getSystemDir = function(systemId) {
+  return `${dataDir}/${systemId.toLowerCase()}`;
+};
+
+//-------------------------------------------------
+// Load the stops and edges of a system from its stops, routes and edges
+// CSVs, checking every row into the report (see validation.js). Rows with
+// errors are left out, unless the report's validation is strict, in which
+// case any error fails the load.
+var getDataFiles = function(systemId, report, callback) {
+  const names = Object.keys(validation.COLUMNS);
   
-  lineReader.on('line', (line) => {
-    const row = line.split(',');
-    assert(row.length == NUM_ROUTES_COLS, 'Unexpected format for routes.csv');
+  async.map(names, (name, callback) => {
+    fs.readFile(`${getSystemDir(systemId)}/${name}.csv`, 'utf8', callback);
+  }, function(err, texts) {
+    if (err) { return callback(err); }
     
-    let route = new Route(row[ROUTE_ID], row[ROUTE_COLOR]);
-    let stop_id = row[ROUTE_STOP_ID];
+    const files = {};
+    names.forEach((name, i) => { files[name] = texts[i]; });
     
-    if (stopsWithRoutes[stop_id]) {
-      stopsWithRoutes[stop_id].push(route);
-    } else {
-      stopsWithRoutes[stop_id] = [ route ];
+    const rows = validation.checkDataFiles(files, report);
+    
+    report.log(systemId);
+    if (report.isFatal()) {
+      const more = report.errorCount > 1 ? ` (and ${report.errorCount - 1} more errors)` : '';
+      const err = new Error(validation.formatIssue(report.getErrors()[0]) + more);
+      
+      err.validation = report;
+      return callback(err);
     }
-  });
-  
-  lineReader.on('close', () => {
+    
+    const stops = rows.stops.map(row => new Stop(row.id, row.name, row.latitude, row.longitude));
+    const edgeIndex = createEdgeIndex(stops);
+    
     // Save the routes found for each stop into the master stop list
-    for (let stopId in stopsWithRoutes) {
-      stops[stopIds.indexOf(stopId)].routes = stopsWithRoutes[stopId];
-    }
-    callback(null, stops);
+    rows.routes.forEach(row => {
+      const stop = stops[edgeIndex.stopIndices.get(row.stopId)];
+      
+      stop.routes = (stop.routes || []).concat(new Route(row.routeId, row.color));
+    });
+    rows.edges.forEach(row => {
+      recordEdge(edgeIndex, row.origin, row.destination, row.type, row.weight);
+    });
+    
+    callback(null, stops, edgeIndex.edgeList, stops.length);
   });
-  
-  // Actually start reading the file
-  lineReader.resume();
-  
 };
 
-var getEdges = function(systemId, stops, callback) {
-  const edgeList = new EdgeList();
-  let numNodes = stops.length;
-  let stopIds = stops.map(stop => stop.id);
+//-------------------------------------------------
+// The rides the trips of a feed offer without changing vehicles: from each
+// stop of a trip to every later stop of it. Each ride between two stops is an
+// edge carrying the shortest run time seen, which counts the departures of
+// the trips making it by time band (see frequency.applyFrequencyWeighting).
+var getRides = function(stops, trips, countsTowardFrequency) {
+  const rideIndex = createEdgeIndex(stops);
   
-  const lineReader = readline.createInterface({
-    input: fs.createReadStream(`./data/${systemId.toLowerCase()}/edges.csv`)
-  });
-
-  lineReader.on('line', (line) => {
-    const row = line.split(',');
-    assert(row.length == NUM_EDGES_COLS, 'Unexpected format for edges.csv');
+  trips.filter(trip => countsTowardFrequency(trip.serviceId)).forEach(trip => {
+    const stopTimes = trip.stopTimes;
     
-    const originId = stopIds.indexOf(row[EDGE_ORIGIN]);
-    const destId   = stopIds.indexOf(row[EDGE_DESTINATION]);
-    
-    if (originId !== -1 && destId !== -1) {
-      // Look to see if we have already discovered this edge
-      const existingEdge = edgeList.contains(originId, destId);
-      const type = row[EDGE_TYPE];
-      let weight = parseInt(row[EDGE_WEIGHT]);
+    stopTimes.forEach((board, i) => {
+      if (isNaN(board.departure)) { return; }
       
-      // If we've seen this edge before, only use its duration if it is shorter
-      // than what we've already seen (and it is NOT zero)
-      if (existingEdge) {
-        if (weight < existingEdge.weight && weight !== 0) {
-          existingEdge.weight = weight;
-        }
-      // If we have not seen this edge before, add it to the graph
-      } else {
-        // Prevent edge weights of 0
-        if (weight === 0) {
-          weight = 60;
-        }
+      // A trip which passes a stop twice still only makes one ride to it
+      const destinations = new Set([board.stopId]);
+      
+      for (let j = i + 1; j < stopTimes.length; j++) {
+        const alight = stopTimes[j];
+        
+        if (isNaN(alight.arrival) || destinations.has(alight.stopId)) { continue; }
+        destinations.add(alight.stopId);
         
-        const newEdge = new Edge({
-          type: type,
-          origin: originId,
-          destination: destId,
-          weight: weight
-        });
-        edgeList.add(newEdge);
+        const ride = recordEdge(rideIndex, board.stopId, alight.stopId, EdgeType.ROUTE, alight.arrival - board.departure);
+        if (ride) {
+          frequency.recordDeparture(ride, board.departure);
+        }
       }
-    }
+    });
   });
   
-  lineReader.on('close', () => {
-    callback(null, stops, edgeList, numNodes);
+  return rideIndex.edgeList;
+};
+
+//-------------------------------------------------
+// Load the stops and edges of a system from a GTFS zip rather than the
+// exported CSVs, along with its timetable if the system asks for one and the
+// rides its trips offer, which count the departures by time band (see
+// getRides).
+var getFeed = function(feedPath, config, callback) {
+  loadFeed(feedPath, config, function(err, stops, edgeRows, schedule) {
+    if (err) { return callback(err); }
+    
+    const edgeIndex = createEdgeIndex(stops);
+    const countsTowardFrequency = frequency.createServiceFilter(schedule, config.frequencyDate);
+    
+    edgeRows.forEach((row) => {
+      recordEdge(edgeIndex, row.origin, row.destination, row.type, row.weight);
+    });
+    
+    const timetable = config.timeDependent ? new Timetable(stops, schedule) : undefined;
+    const rides = getRides(stops, schedule.trips, countsTowardFrequency);
+    
+    callback(null, stops, edgeIndex.edgeList, stops.length, timetable, rides);
   });
+};
+
+//-------------------------------------------------
+// A system is loaded from data/<system>/gtfs.zip when the agency's feed has
+// been dropped in, falling back to the stops/routes/edges CSVs otherwise
+var getFeedPath = function(systemId) {
+  return `${getSystemDir(systemId)}/${FEED_FILENAME}`;
+};
+
+//-------------------------------------------------
+// The files a system's graph is built from
+var getInputFiles = function(systemId) {
+  const feedPath = getFeedPath(systemId);
   
-  // Actually start reading the file
-  lineReader.resume();
+  if (fs.existsSync(feedPath)) {
+    return [ feedPath ];
+  }
+  return ['stops', 'routes', 'edges'].map(name => `${getSystemDir(systemId)}/${name}.csv`);
 };
 
+//-------------------------------------------------
+// Build the primary graph of a system from its input files, along with its
+// timetable if the system asks for one and the report of the problems found
+// in its CSVs (see validation.js). Throws an error if the system's
+// validation is bad.
+var loadGraph = function(systemId, system, callback) {
+  const feedPath = getFeedPath(systemId);
+  const report = new validation.ValidationReport(validation.parseValidation(system.validation));
+  
+  function load(callback) {
+    if (fs.existsSync(feedPath)) {
+      getFeed(feedPath, system.feed || {}, callback);
+    } else {
+      getDataFiles(systemId, report, callback);
+    }
+  }
+  
+  load(function(err, stops, edgeList, numNodes, timetable, rides) {
+    if (err) { return callback(err); }
+    
+    let graph;
+    try {
+      graph = new TransitGraph(edgeList, numNodes, stops);
+    } catch (err) {
+      return callback(err);
+    }
+    // Only systems loaded from a GTFS feed know their rides
+    if (typeof rides !== "undefined") {
+      graph.rides = rides;
+    }
+    callback(null, graph, timetable, report);
+  });
+};
+
+//-------------------------------------------------
+// Build the primary graph of a system from its input files (see loadGraph).
+// The merged graph is read from the cache when the input files are
+// unchanged since it was written, and created otherwise. The cache key is
+// passed along so the merged graph can be cached once it has been analyzed,
+// along with how long each step took in milliseconds: load (reading the
+// input files), cache (looking the merged graph up) and merge (only when it
+// was not cached), and the report of the problems found in the CSVs.
 var createGraph = function(systemId, system, callback) {
-  async.waterfall([
-      function(callback) {
-        getStops(systemId, callback);
-      },
-      function(stops, callback) {
-        getRoutes(systemId, stops, callback);
-      },
-      function(stops, callback) {
-        getEdges(systemId, stops, callback);
-      }
-    ],
-    function(err, stops, edgeList, numNodes) {
-      if (err) throw err;
+  const startTime = Date.now();
+  
+  loadGraph(systemId, system, function(err, graph, timetable, report) {
+    if (err) { return callback(err); }
+    
+    let mergedGraph, cacheKey;
+    const timings = { load: Date.now() - startTime };
+    
+    try {
+      let stepTime = Date.now();
+      cacheKey = graphCache.createKey(systemId, system, getInputFiles(systemId));
+      mergedGraph = graphCache.load(systemId, cacheKey);
+      timings.cache = Date.now() - stepTime;
       
-      let graph = new TransitGraph(edgeList, numNodes, stops);
-      let mergedGraph = traversals.mergeTransferNodes(graph);
-      if (mergedGraph) {
-        mergedGraph.calculatePathLengths();
-        callback(graph, mergedGraph);
-      } else {
-        // If we don't have a merged graph, return the primary graph as the
-        // merged graph.
-        // This situation occurs when there are no 'transfer' edges in the graph.
-        callback(graph, graph);
+      if (typeof mergedGraph === "undefined") {
+        stepTime = Date.now();
+        mergedGraph = createMergedGraph(graph);
+        timings.merge = Date.now() - stepTime;
       }
+    } catch (err) {
+      return callback(err);
     }
-  );
+    callback(null, graph, mergedGraph, timetable, cacheKey, timings, report);
+  });
+};
+
+//-------------------------------------------------
+// Merge the stops connected by transfers into single nodes
+var createMergedGraph = function(graph) {
+  let mergedGraph = traversals.mergeTransferNodes(graph);
+  if (mergedGraph) {
+    mergedGraph.calculatePathLengths();
+    return mergedGraph;
+  } else {
+    // If we don't have a merged graph, return the primary graph as the
+    // merged graph.
+    // This situation occurs when there are no 'transfer' edges in the graph.
+    return graph;
+  }
 };
 
+createGraph.loadGraph = loadGraph;
+createGraph.setDataDirectory = setDataDirectory;
+createGraph.getDataDirectory = getDataDirectory;
+createGraph.getSystemDir = getSystemDir;
+createGraph.createMergedGraph = createMergedGraph;
+
 module.exports = createGraph;
\ No newline at end of file
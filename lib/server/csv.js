@@ -0,0 +1,156 @@
+'use strict';
+
+//-------------------------------------------------
+// Parse the text of a CSV file (RFC 4180). Fields are separated by commas and
+// records by line breaks (LF or CRLF, or a CR ending the text). A field in
+// double quotes may hold commas, line breaks and doubled quotes (""), which
+// stand for one quote. Blank lines and a leading byte order mark are skipped.
+//
+// Returns each record as { line, fields }, where line is the line it starts
+// on. A record which could not be read cleanly (a quote left open, or text
+// after a closing quote) also has an error describing why.
+var parseCsv = function(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let error;
+  // Whether the current field is in quotes, and whether any field of the
+  // current record was (so a record of one empty quoted field is not blank)
+  let inQuotes = false;
+  let closedQuote = false;
+  let recordQuoted = false;
+  let line = 1;
+  let recordLine = 1;
+  
+  function endField() {
+    fields.push(field);
+    field = '';
+    closedQuote = false;
+  }
+  
+  function endRecord() {
+    endField();
+    if (fields.length > 1 || fields[0] !== '' || recordQuoted) {
+      const record = { line: recordLine, fields: fields };
+      
+      if (typeof error !== "undefined") { record.error = error; }
+      records.push(record);
+    }
+    fields = [];
+    error = undefined;
+    recordQuoted = false;
+  }
+  
+  text = text.replace(/^\uFEFF/, '');
+  
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    
+    // Most records have no quotes, so they are split whole rather than read
+    // a character at a time
+    if (fields.length === 0 && field.length === 0 && !inQuotes && !recordQuoted) {
+      const end = text.indexOf('\n', i) === -1 ? text.length : text.indexOf('\n', i);
+      const record = text.slice(i, text[end-1] === '\r' ? end - 1 : end);
+      
+      if (record.indexOf('"') === -1) {
+        if (record.length > 0) {
+          records.push({ line: line, fields: record.split(',') });
+        }
+        line++;
+        recordLine = line;
+        i = end;
+        continue;
+      }
+    }
+    
+    if (inQuotes) {
+      if (c === '"' && text[i+1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        inQuotes = false;
+        closedQuote = true;
+      } else {
+        if (c === '\n') { line++; }
+        field += c;
+      }
+    } else if (c === '"' && field.length === 0 && !closedQuote) {
+      inQuotes = true;
+      recordQuoted = true;
+    } else if (c === ',') {
+      endField();
+    } else if (c === '\n' || (c === '\r' && (text[i+1] === '\n' || i === text.length - 1))) {
+      if (c === '\r') { i++; }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      if (closedQuote && typeof error === "undefined") {
+        error = `text after a closing quote in field ${fields.length + 1}`;
+      }
+      field += c;
+    }
+  }
+  
+  if (inQuotes) {
+    error = `quote in field ${fields.length + 1} is never closed`;
+  }
+  if (fields.length > 0 || field.length > 0 || recordQuoted) {
+    endRecord();
+  }
+  
+  return records;
+};
+
+//-------------------------------------------------
+// Parse a CSV file as it is read, for files too large to hold in one string
+// (such as the stop_times.txt of a large GTFS feed). Each chunk of text is
+// passed to write, and the records which are complete (those followed by a
+// line break outside quotes) are parsed with parseCsv and passed to onRecord
+// one at a time. end parses whatever is left once the file has been read.
+// The lines of the records are counted from the start of each chunk parsed,
+// not of the file.
+var createCsvParser = function(onRecord) {
+  let pending = '';
+  let inQuotes = false;
+  
+  function parse(text) {
+    parseCsv(text).forEach(onRecord);
+  }
+  
+  return {
+    write: function(chunk) {
+      let end = -1;
+      
+      // A doubled quote flips inQuotes twice, so it is left as it was
+      if (!inQuotes && chunk.indexOf('"') === -1) {
+        end = chunk.lastIndexOf('\n');
+      } else {
+        for (let i = 0; i < chunk.length; i++) {
+          if (chunk[i] === '"') {
+            inQuotes = !inQuotes;
+          } else if (chunk[i] === '\n' && !inQuotes) {
+            end = i;
+          }
+        }
+      }
+      
+      if (end === -1) {
+        pending += chunk;
+        return;
+      }
+      parse(pending + chunk.slice(0, end + 1));
+      pending = chunk.slice(end + 1);
+    },
+    end: function() {
+      parse(pending);
+      pending = '';
+      inQuotes = false;
+    }
+  };
+};
+
+module.exports = {
+  parseCsv: parseCsv,
+  createCsvParser: createCsvParser
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+/*
+  Watches each system's data directory (data/<system>/) and, when its input
+  files change, rebuilds and reanalyzes only that system's graphs, swapping
+  them in once they are ready (see SystemManager.reloadSystem). The other
+  systems, and the system's old graphs until then, are served as before.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var getSystemDir = require('./createGraph').getSystemDir;
+var logger = require('../logger');
+
+// The files a system's graph is built from (see createGraph.js)
+const INPUT_FILES = ['stops.csv', 'routes.csv', 'edges.csv', 'gtfs.zip'];
+
+// Regenerating a system writes several files, often in many chunks, so a
+// reload waits for the changes to settle
+const DEFAULT_DELAY = 2000;
+
+let delay = DEFAULT_DELAY;
+let enabled = false;
+
+// The watch on each system's directory, keyed by system ID, along with its
+// pending reload timer and whether a reload is running or due once it ends
+const watches = {};
+
+var setEnabled = function(isEnabled) {
+  enabled = isEnabled;
+};
+
+var isEnabled = function() {
+  return enabled;
+};
+
+//-------------------------------------------------
+// How long to wait (in milliseconds) after the last change before reloading
+var setDelay = function(milliseconds) {
+  delay = milliseconds;
+};
+
+function reload(SystemManager, systemId) {
+  const watch = watches[systemId];
+  
+  if (typeof watch === "undefined" || !SystemManager.systemExists(systemId)) { return; }
+  // A change made during a reload is picked up by another once it is done
+  if (watch.reloading) {
+    watch.due = true;
+    return;
+  }
+  
+  watch.reloading = true;
+  SystemManager.reloadSystem(systemId, watch.config, function() {
+    watch.reloading = false;
+    if (watch.due) {
+      watch.due = false;
+      reload(SystemManager, systemId);
+    }
+  });
+}
+
+//-------------------------------------------------
+// Start watching a system's data directory, if watching is enabled. Only
+// changes to its input files trigger a reload.
+//
+// config - the system's entry in lib/systems.js (or its upload), which its
+//          graphs are built with
+var watchSystem = function(SystemManager, systemId, config) {
+  const dataDir = getSystemDir(systemId);
+  
+  if (!enabled || typeof watches[systemId] !== "undefined") { return; }
+  
+  const watch = { config: config, timer: undefined, reloading: false, due: false };
+  
+  try {
+    watch.watcher = fs.watch(dataDir, function(event, filename) {
+      // Some platforms do not say which file changed
+      if (filename && INPUT_FILES.indexOf(path.basename(String(filename))) === -1) { return; }
+      
+      logger.verbose(`${systemId}: ${filename || 'input file'} changed`);
+      clearTimeout(watch.timer);
+      watch.timer = setTimeout(() => reload(SystemManager, systemId), delay);
+    });
+  } catch (err) {
+    logger.error(`${systemId}: Could not watch ${dataDir}: ${err.message}`);
+    return;
+  }
+  // The directory itself being removed ends the watch
+  watch.watcher.on('error', function(err) {
+    logger.warn(`${systemId}: Stopped watching ${dataDir}: ${err.message}`);
+    unwatchSystem(systemId);
+  });
+  
+  watches[systemId] = watch;
+  logger.verbose(`${systemId}: Watching ${dataDir}`);
+};
+
+//-------------------------------------------------
+// Stop watching a system's data directory, dropping any reload not yet
+// started
+var unwatchSystem = function(systemId) {
+  const watch = watches[systemId];
+  
+  if (typeof watch === "undefined") { return; }
+  
+  clearTimeout(watch.timer);
+  watch.watcher.close();
+  delete watches[systemId];
+};
+
+module.exports = {
+  setEnabled: setEnabled,
+  isEnabled: isEnabled,
+  setDelay: setDelay,
+  watchSystem: watchSystem,
+  unwatchSystem: unwatchSystem
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+var utils = require('../utils');
+var normalize = require('./ranks').normalize;
+
+const PERCENTILES = [10, 25, 50, 75, 90];
+const HISTOGRAM_BINS = 10;
+
+//-------------------------------------------------
+// The Gini coefficient of a list of non-negative values: 0 when every value
+// is the same, approaching 1 the more of the total a few values hold
+var gini = function(values) {
+  const sorted = values.slice().sort((a,b) => a - b);
+  const n = sorted.length;
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  
+  if (n === 0 || total === 0) { return 0; }
+  
+  // With the values in ascending order, G = sum((2i - n - 1) * x_i) / (n * total)
+  const weighted = sorted.reduce((sum, value, i) => sum + (2 * (i + 1) - n - 1) * value, 0);
+  
+  return weighted / (n * total);
+};
+
+//-------------------------------------------------
+// The value below which a percentage of a sorted list falls, interpolating
+// between the two nearest values
+var percentile = function(sorted, percent) {
+  if (sorted.length === 0) { return 0; }
+  
+  const position = (sorted.length - 1) * percent / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+//-------------------------------------------------
+// How many values between 0 and 1 fall into each of a number of equal bins,
+// as a fraction of all the values so lists of different lengths compare.
+// A value of 1 falls into the last bin.
+var histogram = function(values, bins) {
+  const counts = [];
+  
+  for (let i = 0; i < bins; i++) {
+    counts.push(0);
+  }
+  values.forEach(value => {
+    counts[Math.min(bins - 1, Math.floor(value * bins))]++;
+  });
+  
+  return counts.map((count, i) => {
+    return {
+      from: i / bins,
+      to: (i + 1) / bins,
+      count: count,
+      fraction: values.length > 0 ? count / values.length : 0
+    };
+  });
+};
+
+//-------------------------------------------------
+// Describe the distribution of the scores of a system's stops in a mode.
+// Scores are normalized between 0 and 1 first (see ranks.normalize), so the
+// distributions of systems of any size can be compared. The Gini
+// coefficient is taken of the raw scores, which it does not depend on the
+// scale of.
+var describeDistribution = function(scores) {
+  const normalizedScores = normalize(scores);
+  const sorted = normalizedScores.slice().sort((a,b) => a - b);
+  const percentiles = {};
+  
+  PERCENTILES.forEach(percent => {
+    percentiles[percent] = percentile(sorted, percent);
+  });
+  
+  return {
+    stops: scores.length,
+    mean: utils.mean(normalizedScores),
+    stDev: utils.stDev(normalizedScores),
+    gini: gini(scores),
+    percentiles: percentiles,
+    histogram: histogram(normalizedScores, HISTOGRAM_BINS)
+  };
+};
+
+module.exports = {
+  gini: gini,
+  percentile: percentile,
+  histogram: histogram,
+  describeDistribution: describeDistribution
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+var betweenness = require('./betweenness');
+
+//-------------------------------------------------
+// How critical each edge is (in the order of the graph's edge list): how much
+// longer, on average, the shortest path between two stops becomes when the
+// edge is removed. The average is in seconds over every pair of stops which
+// was connected before, counting no delay for the pairs the removal
+// disconnects; those are counted separately.
+//
+// Removing an edge only changes the distances from a stop if the edge lies
+// on one of its shortest paths, so only those stops are searched again.
+var criticality = function(graph) {
+  const length = graph.length();
+  const distances = [];
+  let connectedPairs = 0;
+  
+  for (let source = 0; source < length; source++) {
+    distances.push(betweenness.shortestPathsFrom(graph, source).distances);
+    
+    for (let target = source + 1; target < length; target++) {
+      if (distances[source][target] < Infinity) { connectedPairs++; }
+    }
+  }
+  
+  const delays = [];
+  const disconnectedPairs = [];
+  
+  graph.edgeList.forEach(function(edge) {
+    const origin = edge.origin;
+    const destination = edge.destination;
+    const weight = graph.getWeight(origin, destination);
+    const key = betweenness.edgeKey(origin, destination);
+    let delay = 0;
+    let disconnected = 0;
+    
+    for (let source = 0; source < length; source++) {
+      const before = distances[source];
+      
+      if (before[origin] === Infinity ||
+          (before[origin] + weight !== before[destination] && before[destination] + weight !== before[origin])) {
+        continue;
+      }
+      
+      const after = betweenness.shortestPathsFrom(graph, source, key).distances;
+      
+      for (let target = source + 1; target < length; target++) {
+        if (before[target] === Infinity) { continue; }
+        
+        if (after[target] === Infinity) {
+          disconnected++;
+        } else {
+          delay += after[target] - before[target];
+        }
+      }
+    }
+    
+    delays.push(connectedPairs > 0 ? delay / connectedPairs : 0);
+    disconnectedPairs.push(disconnected);
+  });
+  
+  return { criticality: delays, disconnectedPairs: disconnectedPairs };
+};
+
+//-------------------------------------------------
+// Rank the edges of a graph: their betweenness, their criticality and the
+// number of pairs of stops each one disconnects, listed in the order of the
+// graph's edge list
+var calculateEdgeMetrics = function(graph) {
+  const critical = criticality(graph);
+  
+  return {
+    betweenness: betweenness.edgeBetweenness(graph),
+    criticality: critical.criticality,
+    disconnectedPairs: critical.disconnectedPairs
+  };
+};
+
+//-------------------------------------------------
+// Add the metrics of each edge to the properties of its feature. The
+// features of getGeoJsonEdges are in the order of the edge list.
+var addEdgeMetrics = function(geoJsonEdges, edgeMetrics) {
+  if (typeof edgeMetrics === "undefined") {
+    return geoJsonEdges;
+  }
+  
+  geoJsonEdges.features.forEach((feature, index) => {
+    feature.properties.betweenness = edgeMetrics.betweenness[index];
+    feature.properties.criticality = edgeMetrics.criticality[index];
+    feature.properties.disconnectedPairs = edgeMetrics.disconnectedPairs[index];
+  });
+  
+  return geoJsonEdges;
+};
+
+module.exports = {
+  criticality: criticality,
+  calculateEdgeMetrics: calculateEdgeMetrics,
+  addEdgeMetrics: addEdgeMetrics
+};
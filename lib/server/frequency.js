@@ -0,0 +1,124 @@
+'use strict';
+
+var TransitGraph = require('transit-tools').TransitGraph;
+var Edge = require('transit-tools').Edge;
+var EdgeList = require('transit-tools').EdgeList;
+var Timetable = require('./timetable');
+var TimeBand = require('../enums').TimeBand;
+var EdgeType = require('../enums').EdgeType;
+
+const SECONDS_PER_HOUR = 3600;
+const SECONDS_PER_DAY = 24 * SECONDS_PER_HOUR;
+
+// The hours (start inclusive, end exclusive) covered by each time band
+const TIME_BANDS = {
+  [TimeBand.NIGHT]:   { start: 0,  end: 6 },
+  [TimeBand.AM_PEAK]: { start: 6,  end: 10 },
+  [TimeBand.MIDDAY]:  { start: 10, end: 16 },
+  [TimeBand.PM_PEAK]: { start: 16, end: 20 },
+  [TimeBand.EVENING]: { start: 20, end: 24 }
+};
+
+// When a feed does not name the day to measure service on, we measure a
+// typical weekday
+const DEFAULT_SERVICE_DAY = 3; // Wednesday, in the order of Date.getUTCDay()
+
+//-------------------------------------------------
+// Find the band a time (in seconds after midnight) falls in. Trips running
+// past midnight are counted in the early hours of the next day.
+var getTimeBand = function(time) {
+  const hour = Math.floor((time % SECONDS_PER_DAY) / SECONDS_PER_HOUR);
+  
+  return TimeBand.ALL.filter(band => hour >= TIME_BANDS[band].start && hour < TIME_BANDS[band].end)[0];
+};
+
+//-------------------------------------------------
+// Build the function which decides whether a service's trips count towards
+// the frequencies of a system. If a date (YYYYMMDD) is configured, only the
+// services running that day count. Otherwise, the services running on
+// Wednesdays count, or every service if the feed has no calendar.txt.
+var createServiceFilter = function(schedule, date) {
+  if (date) {
+    return serviceId => Timetable.isServiceActiveOn(schedule, serviceId, date);
+  }
+  if (Object.keys(schedule.calendar).length === 0) {
+    return serviceId => true;
+  }
+  
+  return serviceId => {
+    const calendar = schedule.calendar[serviceId];
+    return calendar ? calendar.days[DEFAULT_SERVICE_DAY] : false;
+  };
+};
+
+//-------------------------------------------------
+// Count a departure along an edge in the band it falls in
+var recordDeparture = function(edge, time) {
+  if (typeof edge.departures === "undefined") {
+    edge.departures = {};
+    TimeBand.ALL.forEach(band => { edge.departures[band] = 0; });
+  }
+  
+  const band = getTimeBand(time);
+  if (band) {
+    edge.departures[band] += 1;
+  }
+};
+
+//-------------------------------------------------
+// The average number of seconds between departures along an edge during a
+// band, or Infinity if nothing runs then
+var getHeadway = function(edge, band) {
+  const count = edge.departures ? edge.departures[band] : 0;
+  const duration = (TIME_BANDS[band].end - TIME_BANDS[band].start) * SECONDS_PER_HOUR;
+  
+  return count > 0 ? duration / count : Infinity;
+};
+
+//-------------------------------------------------
+// Whether the rides a graph's trips offer (see createGraph) were counted when
+// it was loaded (only possible for systems loaded from a GTFS feed)
+var hasFrequencies = function(graph) {
+  return typeof graph.rides !== "undefined" && graph.rides.length() > 0;
+};
+
+//-------------------------------------------------
+// Create a copy of a graph weighted by the expected wait for a vehicle during
+// a band: half the headway, assuming passengers arrive at random. The wait is
+// charged once for every vehicle boarded, however far it is ridden, so the
+// route edges are replaced by the rides of the graph: an edge from each stop
+// to every later stop of the same trips, weighing the run time plus half the
+// headway of the vehicles making that ride. Rides without service during the
+// band are left out, so a line running every 30 minutes no longer looks as
+// good as one running every 3 minutes. Transfer edges are kept as they are.
+var applyFrequencyWeighting = function(graph, band) {
+  const edgeList = new EdgeList();
+  
+  graph.edgeList.forEach(function(edge) {
+    if (edge.type !== EdgeType.ROUTE) {
+      edgeList.add(new Edge(edge));
+    }
+  });
+  graph.rides.forEach(function(ride) {
+    const headway = getHeadway(ride, band);
+    if (headway === Infinity) { return; }
+    
+    edgeList.add(new Edge({
+      type: ride.type,
+      origin: ride.origin,
+      destination: ride.destination,
+      weight: ride.weight + headway / 2
+    }));
+  });
+  
+  return new TransitGraph(edgeList, graph.numNodes, graph.stops);
+};
+
+module.exports = {
+  getTimeBand: getTimeBand,
+  createServiceFilter: createServiceFilter,
+  recordDeparture: recordDeparture,
+  getHeadway: getHeadway,
+  hasFrequencies: hasFrequencies,
+  applyFrequencyWeighting: applyFrequencyWeighting
+};
@@ -0,0 +1,180 @@
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+var TransitGraph = require('transit-tools').TransitGraph;
+var Stop = require('transit-tools').Stop;
+var Route = require('transit-tools').Route;
+var Edge = require('transit-tools').Edge;
+var EdgeList = require('transit-tools').EdgeList;
+var logger = require('../logger');
+
+/*
+  The merged graph of each system, with its distance matrix, ranks and edge
+  metrics, is written to cache/<system>.json once it has been analyzed. At
+  the next boot it is read back instead of merging the transfer nodes and
+  running every algorithm again, as long as the system's input files and
+  feed configuration are unchanged.
+  
+  Bump CACHE_VERSION whenever the way graphs are built or ranked changes, so
+  that existing caches are ignored.
+*/
+const CACHE_VERSION = 4;
+const DEFAULT_CACHE_DIR = './cache';
+
+// JSON has no Infinity, so unreachable stops in the distance matrix are
+// stored as -1 (edge weights are never negative)
+const UNREACHABLE = -1;
+
+let enabled = true;
+let cacheDir = DEFAULT_CACHE_DIR;
+
+var setEnabled = function(isEnabled) {
+  enabled = isEnabled;
+};
+
+var setDirectory = function(directory) {
+  cacheDir = directory;
+};
+
+var isEnabled = function() {
+  return enabled;
+};
+
+var getCachePath = function(systemId) {
+  return path.join(cacheDir, `${systemId.toLowerCase()}.json`);
+};
+
+//-------------------------------------------------
+// Hash everything the merged graph and its ranks are derived from: the cache
+// version, the system's feed configuration and algorithm parameters and the
+// contents of its input files
+var createKey = function(systemId, system, inputFiles) {
+  const hash = crypto.createHash('sha1');
+  
+  hash.update(`${CACHE_VERSION}:${systemId}:${JSON.stringify(system.feed || {})}:${JSON.stringify(system.parameters || {})}`);
+  inputFiles.forEach(inputFile => {
+    hash.update(inputFile);
+    hash.update(fs.readFileSync(inputFile));
+  });
+  
+  return hash.digest('hex');
+};
+
+var serializeGraph = function(graph) {
+  return {
+    numNodes: graph.numNodes,
+    stops: graph.stops,
+    edges: graph.edgeList.list.map(edge => {
+      return {
+        type: edge.type,
+        origin: edge.origin,
+        destination: edge.destination,
+        weight: edge.weight
+      };
+    }),
+    distances: graph.distanceMatrix.matrix.map(row => {
+      return row.map(distance => distance === Infinity ? UNREACHABLE : distance);
+    }),
+    ranks: graph.ranks || {},
+    edgeMetrics: graph.edgeMetrics
+  };
+};
+
+var deserializeGraph = function(cached) {
+  const stops = cached.stops.map(stop => {
+    const routes = (stop.routes || []).map(route => new Route(route.id, route.color));
+    
+    return new Stop(stop.id, stop.name, stop.latitude, stop.longitude, routes);
+  });
+  const edgeList = new EdgeList(cached.edges.map(edge => new Edge(edge)));
+  const graph = new TransitGraph(edgeList, cached.numNodes, stops);
+  
+  graph.distanceMatrix.matrix = cached.distances.map(row => {
+    return row.map(distance => distance === UNREACHABLE ? Infinity : distance);
+  });
+  graph.ranks = cached.ranks;
+  graph.edgeMetrics = cached.edgeMetrics;
+  
+  return graph;
+};
+
+//-------------------------------------------------
+// Read the merged graph of a system back from the cache. Returns undefined
+// if there is no cache, or it was written by another version or from other
+// inputs.
+var load = function(systemId, key) {
+  const cachePath = getCachePath(systemId);
+  
+  if (!enabled || !fs.existsSync(cachePath)) {
+    return undefined;
+  }
+  
+  let cached;
+  try {
+    cached = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  } catch (err) {
+    logger.warn(`${systemId}: Ignoring unreadable cache ${cachePath}: ${err.message}`);
+    return undefined;
+  }
+  
+  if (cached.version !== CACHE_VERSION || cached.key !== key) {
+    logger.info(`${systemId}: Cache is out of date.`);
+    return undefined;
+  }
+  
+  logger.info(`${systemId}: Loading merged graph from cache.`);
+  return deserializeGraph(cached.mergedGraph);
+};
+
+//-------------------------------------------------
+// Write the merged graph of a system, with its ranks, to the cache. The file
+// is written under a temporary name and then renamed, so a crash midway
+// never leaves a half-written cache behind.
+var save = function(systemId, key, mergedGraph) {
+  if (!enabled) { return; }
+  
+  const cachePath = getCachePath(systemId);
+  const tempPath = `${cachePath}.tmp`;
+  
+  try {
+    if (!fs.existsSync(cacheDir)) {
+      fs.mkdirSync(cacheDir);
+    }
+    fs.writeFileSync(tempPath, JSON.stringify({
+      version: CACHE_VERSION,
+      key: key,
+      system: systemId,
+      mergedGraph: serializeGraph(mergedGraph)
+    }));
+    fs.renameSync(tempPath, cachePath);
+    logger.info(`${systemId}: Saved merged graph to cache.`);
+  } catch (err) {
+    logger.warn(`${systemId}: Could not write cache ${cachePath}: ${err.message}`);
+  }
+};
+
+//-------------------------------------------------
+// Delete the cached merged graph of a system, if there is one
+var remove = function(systemId) {
+  const cachePath = getCachePath(systemId);
+  
+  if (fs.existsSync(cachePath)) {
+    fs.unlinkSync(cachePath);
+  }
+};
+
+module.exports = {
+  CACHE_VERSION: CACHE_VERSION,
+  setEnabled: setEnabled,
+  setDirectory: setDirectory,
+  isEnabled: isEnabled,
+  getCachePath: getCachePath,
+  createKey: createKey,
+  serializeGraph: serializeGraph,
+  deserializeGraph: deserializeGraph,
+  load: load,
+  save: save,
+  remove: remove
+};
@@ -0,0 +1,250 @@
+'use strict';
+
+/*
+  Serialize a graph for network analysis tools: GraphML (NetworkX, igraph,
+  Gephi), GEXF (Gephi), CSV tables of edges or stops, and the JSON Graph
+  Format. Every format carries the same attributes:
+    stops - name, latitude, longitude, routes (their ids) and the score in
+            each mode the graph has been ranked in
+    edges - type (ROUTE, TRANSFER or THEORETICAL) and weight (in seconds)
+  Nodes are identified by their stop id. Edges are directed, as in the graph.
+*/
+
+var utils = require('../utils');
+var Mode = require('../enums').Mode;
+var ExportFormat = require('../enums').ExportFormat;
+
+const CONTENT_TYPES = {};
+CONTENT_TYPES[ExportFormat.GRAPHML] = 'application/graphml+xml';
+CONTENT_TYPES[ExportFormat.GEXF] = 'application/gexf+xml';
+CONTENT_TYPES[ExportFormat.CSV] = 'text/csv';
+CONTENT_TYPES[ExportFormat['JSON-GRAPH']] = 'application/json';
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8"?>';
+
+//-------------------------------------------------
+// The attributes of the stops and edges, each with the type the XML formats
+// declare. Ranks are only included for the modes the graph has scores for.
+function getAttributes(graph) {
+  const rankedModes = Mode.ALL.filter(mode => graph.ranks && Array.isArray(graph.ranks[mode]));
+  
+  return {
+    stop: [
+      { name: 'name', type: 'string' },
+      { name: 'latitude', type: 'double' },
+      { name: 'longitude', type: 'double' },
+      { name: 'routes', type: 'string' }
+    ].concat(rankedModes.map(mode => {
+      return { name: mode.toLowerCase(), type: 'double', mode: mode };
+    })),
+    edge: [
+      { name: 'type', type: 'string' },
+      { name: 'weight', type: 'double' }
+    ]
+  };
+}
+
+//-------------------------------------------------
+// The stops of a graph as plain objects of their attributes
+function describeStops(graph, attributes) {
+  return graph.stops.map((stop, node) => {
+    const description = {
+      id: String(stop.id),
+      name: stop.name,
+      latitude: stop.latitude,
+      longitude: stop.longitude,
+      routes: (stop.routes || []).map(route => route.id)
+    };
+    
+    attributes.stop.filter(attribute => attribute.mode).forEach(attribute => {
+      description[attribute.name] = graph.ranks[attribute.mode][node];
+    });
+    
+    return description;
+  });
+}
+
+//-------------------------------------------------
+// The edges of a graph as plain objects, from and to the stop ids
+function describeEdges(graph) {
+  return graph.edgeList.list.map(edge => {
+    return {
+      source: String(graph.stops[edge.origin].id),
+      target: String(graph.stops[edge.destination].id),
+      type: edge.type,
+      weight: edge.weight
+    };
+  });
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Lists are written as their items separated by spaces
+function xmlValue(value) {
+  return escapeXml(Array.isArray(value) ? value.join(' ') : value);
+}
+
+//-------------------------------------------------
+// GraphML: the attributes are declared as keys, and each stop and edge has
+// a data element for each of them
+function toGraphMl(graph, label) {
+  const attributes = getAttributes(graph);
+  const lines = [
+    XML_HEADER,
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">'
+  ];
+  
+  ['stop', 'edge'].forEach(kind => {
+    attributes[kind].forEach(attribute => {
+      lines.push(`  <key id="${attribute.name}" for="${kind === 'stop' ? 'node' : 'edge'}" ` +
+        `attr.name="${attribute.name}" attr.type="${attribute.type}"/>`);
+    });
+  });
+  lines.push(`  <graph id="${escapeXml(label)}" edgedefault="directed">`);
+  describeStops(graph, attributes).forEach(stop => {
+    lines.push(`    <node id="${escapeXml(stop.id)}">`);
+    attributes.stop.forEach(attribute => {
+      lines.push(`      <data key="${attribute.name}">${xmlValue(stop[attribute.name])}</data>`);
+    });
+    lines.push('    </node>');
+  });
+  describeEdges(graph).forEach(edge => {
+    lines.push(`    <edge source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">`);
+    attributes.edge.forEach(attribute => {
+      lines.push(`      <data key="${attribute.name}">${xmlValue(edge[attribute.name])}</data>`);
+    });
+    lines.push('    </edge>');
+  });
+  lines.push('  </graph>', '</graphml>');
+  
+  return lines.join('\n') + '\n';
+}
+
+//-------------------------------------------------
+// GEXF 1.2: the stop's name is its label and an edge's weight is built in,
+// so only the other attributes are declared
+function toGexf(graph, label) {
+  const attributes = getAttributes(graph);
+  const stopAttributes = attributes.stop.filter(attribute => attribute.name !== 'name');
+  const edgeAttributes = attributes.edge.filter(attribute => attribute.name !== 'weight');
+  const lines = [
+    XML_HEADER,
+    '<gexf xmlns="http://www.gexf.net/1.2draft" version="1.2">',
+    `  <meta><description>${escapeXml(label)}</description></meta>`,
+    '  <graph mode="static" defaultedgetype="directed">'
+  ];
+  
+  [['node', stopAttributes], ['edge', edgeAttributes]].forEach(declaration => {
+    lines.push(`    <attributes class="${declaration[0]}">`);
+    declaration[1].forEach(attribute => {
+      lines.push(`      <attribute id="${attribute.name}" title="${attribute.name}" type="${attribute.type}"/>`);
+    });
+    lines.push('    </attributes>');
+  });
+  
+  lines.push('    <nodes>');
+  describeStops(graph, attributes).forEach(stop => {
+    lines.push(`      <node id="${escapeXml(stop.id)}" label="${escapeXml(stop.name)}">`, '        <attvalues>');
+    stopAttributes.forEach(attribute => {
+      lines.push(`          <attvalue for="${attribute.name}" value="${xmlValue(stop[attribute.name])}"/>`);
+    });
+    lines.push('        </attvalues>', '      </node>');
+  });
+  lines.push('    </nodes>', '    <edges>');
+  describeEdges(graph).forEach((edge, i) => {
+    lines.push(`      <edge id="${i}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}" ` +
+      `weight="${edge.weight}">`, '        <attvalues>');
+    edgeAttributes.forEach(attribute => {
+      lines.push(`          <attvalue for="${attribute.name}" value="${xmlValue(edge[attribute.name])}"/>`);
+    });
+    lines.push('        </attvalues>', '      </edge>');
+  });
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  
+  return lines.join('\n') + '\n';
+}
+
+//-------------------------------------------------
+// CSV: a table of the edges (an edge list), or of the stops, which most tools
+// import separately
+function toCsv(graph, stopsOnly) {
+  const attributes = getAttributes(graph);
+  
+  if (stopsOnly) {
+    return utils.toCsv(describeStops(graph, attributes), ['id'].concat(attributes.stop.map(attribute => attribute.name)));
+  }
+  return utils.toCsv(describeEdges(graph), ['source', 'target'].concat(attributes.edge.map(attribute => attribute.name)));
+}
+
+//-------------------------------------------------
+// The JSON Graph Format (version 2): the stops keyed by id and a list of
+// edges, with their attributes as metadata
+function toJsonGraph(graph, label) {
+  const attributes = getAttributes(graph);
+  const nodes = {};
+  
+  describeStops(graph, attributes).forEach(stop => {
+    const metadata = {};
+    
+    attributes.stop.filter(attribute => attribute.name !== 'name').forEach(attribute => {
+      metadata[attribute.name] = stop[attribute.name];
+    });
+    nodes[stop.id] = { label: stop.name, metadata: metadata };
+  });
+  
+  return {
+    graph: {
+      label: label,
+      directed: true,
+      nodes: nodes,
+      edges: describeEdges(graph).map(edge => {
+        return {
+          source: edge.source,
+          target: edge.target,
+          relation: edge.type,
+          metadata: { type: edge.type, weight: edge.weight }
+        };
+      })
+    }
+  };
+}
+
+//-------------------------------------------------
+// Serialize a graph in an export format. The label names the graph (such as
+// the system's id) and the stopsOnly option picks the stop table of the CSV
+// format over the edge list. Returns the content type and the body, which is
+// an object for the JSON Graph Format and text otherwise.
+var exportGraph = function(graph, format, label, options) {
+  options = options || {};
+  
+  let body;
+  switch (format) {
+    case ExportFormat.GRAPHML:
+      body = toGraphMl(graph, label);
+      break;
+    case ExportFormat.GEXF:
+      body = toGexf(graph, label);
+      break;
+    case ExportFormat.CSV:
+      body = toCsv(graph, options.stopsOnly);
+      break;
+    case ExportFormat['JSON-GRAPH']:
+      body = toJsonGraph(graph, label);
+      break;
+    default:
+      throw new Error(`Bad export format: ${format}`);
+  }
+  
+  return { contentType: CONTENT_TYPES[format], body: body };
+};
+
+module.exports = {
+  exportGraph: exportGraph
+};
@@ -0,0 +1,388 @@
+'use strict';
+
+var async = require('async');
+var path = require('path');
+var yauzl = require('yauzl');
+var Stop = require('transit-tools').Stop;
+var Route = require('transit-tools').Route;
+var EdgeType = require('../enums').EdgeType;
+var createCsvParser = require('./csv').createCsvParser;
+
+// The day columns of calendar.txt, in the order of Date.getUTCDay()
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const SECONDS_PER_HOUR = 3600;
+const SECONDS_PER_MINUTE = 60;
+
+//-------------------------------------------------
+// Convert a GTFS time (HH:MM:SS) into seconds after midnight. Hours may
+// exceed 23 for trips that run past midnight on the same service day.
+var parseTime = function(time) {
+  const parts = time.trim().split(':').map(part => parseInt(part, 10));
+
+  if (parts.length !== 3 || parts.some(part => isNaN(part))) {
+    return NaN;
+  }
+
+  return parts[0] * SECONDS_PER_HOUR + parts[1] * SECONDS_PER_MINUTE + parts[2];
+};
+
+//-------------------------------------------------
+// Fill in the times GTFS allows a trip to leave blank at stops which are not
+// timepoints, spacing them evenly between the timepoints on either side. A
+// stop with only one of its times takes it for both. Times before the first
+// timepoint or after the last are left blank.
+var interpolateTimes = function(stopTimes) {
+  stopTimes.forEach((stopTime) => {
+    if (isNaN(stopTime.arrival)) { stopTime.arrival = stopTime.departure; }
+    if (isNaN(stopTime.departure)) { stopTime.departure = stopTime.arrival; }
+  });
+  
+  let previous = -1;
+  stopTimes.forEach((stopTime, i) => {
+    if (isNaN(stopTime.departure)) { return; }
+    
+    if (previous !== -1 && i - previous > 1) {
+      const start = stopTimes[previous].departure;
+      const step = (stopTime.arrival - start) / (i - previous);
+      
+      for (let j = previous + 1; j < i; j++) {
+        stopTimes[j].arrival = stopTimes[j].departure = Math.round(start + step * (j - previous));
+      }
+    }
+    previous = i;
+  });
+  
+  return stopTimes;
+};
+
+//-------------------------------------------------
+// Stream one file out of the feed archive, calling onRow with an object
+// keyed by the file's header for every row. The callback receives a flag
+// indicating whether the file was present in the archive at all.
+var readFeedFile = function(feedPath, filename, onRow, callback) {
+  yauzl.open(feedPath, { lazyEntries: true, autoClose: false }, function(err, zipfile) {
+    if (err) { return callback(err); }
+
+    let found = false;
+
+    function finish(err) {
+      zipfile.close();
+      callback(err, found);
+    }
+
+    zipfile.on('error', finish);
+    zipfile.on('end', function() {
+      if (!found) { finish(null); }
+    });
+    zipfile.on('entry', function(entry) {
+      // Some agencies zip the directory rather than its contents, so match
+      // on the file name alone
+      if (path.basename(entry.fileName) !== filename) {
+        zipfile.readEntry();
+        return;
+      }
+      found = true;
+
+      zipfile.openReadStream(entry, function(err, stream) {
+        if (err) { return finish(err); }
+
+        let header;
+        // The same parser as the CSVs of other systems (see csv.js), which
+        // skips blank lines and the byte order mark some feeds are exported
+        // with, and reads quoted fields across line breaks
+        const parser = createCsvParser((record) => {
+          const fields = record.fields;
+
+          if (typeof header === "undefined") {
+            header = fields.map(field => field.trim());
+            return;
+          }
+
+          const row = {};
+          header.forEach((column, i) => {
+            row[column] = (typeof fields[i] === "undefined") ? '' : fields[i].trim();
+          });
+          onRow(row);
+        });
+
+        stream.setEncoding('utf8');
+        stream.on('data', (chunk) => { parser.write(chunk); });
+        stream.on('error', finish);
+        stream.on('end', () => {
+          parser.end();
+          finish(null);
+        });
+      });
+    });
+
+    zipfile.readEntry();
+  });
+};
+
+//-------------------------------------------------
+// Read a file which the GTFS specification requires, failing the load if
+// the agency left it out
+var readRequiredFile = function(feedPath, filename, onRow, callback) {
+  readFeedFile(feedPath, filename, onRow, function(err, found) {
+    if (err) { return callback(err); }
+    if (!found) { return callback(new Error(`GTFS feed ${feedPath} is missing ${filename}`)); }
+
+    callback(null);
+  });
+};
+
+//-------------------------------------------------
+// Build the function which maps a stop ID found in the feed onto the ID of
+// the station it belongs to, according to a system's feed configuration
+var createStationResolver = function(config, parentStations) {
+  const suffixes = config.stopIdSuffixes || [];
+  
+  return function(stopId) {
+    if (config.collapseParentStations && parentStations[stopId]) {
+      stopId = parentStations[stopId];
+    }
+    
+    suffixes.some((suffix) => {
+      const strip = stopId.length > suffix.length && stopId.endsWith(suffix);
+      if (strip) {
+        stopId = stopId.slice(0, -suffix.length);
+      }
+      return strip;
+    });
+    
+    return stopId;
+  };
+};
+
+//-------------------------------------------------
+// Decide whether a row of routes.txt belongs in the graph
+var includeRoute = function(config, row) {
+  if (config.routeTypes && config.routeTypes.indexOf(parseInt(row.route_type, 10)) === -1) {
+    return false;
+  }
+  if (config.routeIds && config.routeIds.indexOf(row.route_id) === -1) {
+    return false;
+  }
+  return true;
+};
+
+//-------------------------------------------------
+// Load a GTFS zip into the stops and edge rows from which a TransitGraph is
+// built. Edge rows carry stop IDs (not indices) so they can be reduced with
+// the same logic used for edges.csv.
+// The config is the `feed` entry of a system in lib/systems.js.
+//
+// The callback also receives the schedule: the service calendar needed to
+// know which trips run on a given day, the stops of every trip in order
+// with their arrival and departure times and, when the config asks for a
+// time-dependent graph, every trip's hop between consecutive stops (a
+// "connection") with its departure and arrival times, and the transfers.
+var loadFeed = function(feedPath, config, callback) {
+  const routes = {};
+  const tripRoutes = {};
+  const tripServices = {};
+  const tripStopTimes = {};
+  const stopRows = [];
+  const parentStations = {};
+  const stopRoutes = {};
+  const stops = [];
+  const edgeRows = [];
+  const schedule = {
+    trips: [],
+    connections: [],
+    transfers: [],
+    calendar: {},
+    calendarDates: {}
+  };
+  let getStationId;
+
+  async.series([
+    function(callback) {
+      readRequiredFile(feedPath, 'routes.txt', (row) => {
+        if (!includeRoute(config, row)) { return; }
+        
+        // Prefer the public-facing short name (e.g. '14' rather than an
+        // internal database key), but not every agency fills it in
+        const id = row.route_short_name || row.route_id;
+        routes[row.route_id] = new Route(id, row.route_color);
+      }, callback);
+    },
+    function(callback) {
+      readRequiredFile(feedPath, 'trips.txt', (row) => {
+        if (routes[row.route_id]) {
+          tripRoutes[row.trip_id] = row.route_id;
+          tripServices[row.trip_id] = row.service_id;
+        }
+      }, callback);
+    },
+    function(callback) {
+      readRequiredFile(feedPath, 'stops.txt', (row) => {
+        stopRows.push(row);
+        if (row.parent_station) {
+          parentStations[row.stop_id] = row.parent_station;
+        }
+      }, function(err) {
+        getStationId = createStationResolver(config, parentStations);
+        callback(err);
+      });
+    },
+    function(callback) {
+      readRequiredFile(feedPath, 'stop_times.txt', (row) => {
+        if (!tripRoutes[row.trip_id]) { return; }
+
+        if (!tripStopTimes[row.trip_id]) {
+          tripStopTimes[row.trip_id] = [];
+        }
+        tripStopTimes[row.trip_id].push({
+          stopId: getStationId(row.stop_id),
+          sequence: parseInt(row.stop_sequence, 10),
+          arrival: parseTime(row.arrival_time),
+          departure: parseTime(row.departure_time)
+        });
+      }, callback);
+    },
+    function(callback) {
+      for (let tripId in tripStopTimes) {
+        const route = routes[tripRoutes[tripId]];
+        // stop_times.txt is not required to be sorted
+        const stopTimes = interpolateTimes(tripStopTimes[tripId].sort((a,b) => a.sequence - b.sequence));
+
+        schedule.trips.push({
+          tripId: tripId,
+          serviceId: tripServices[tripId],
+          stopTimes: stopTimes
+        });
+
+        stopTimes.forEach((stopTime, i) => {
+          if (!stopRoutes[stopTime.stopId]) {
+            stopRoutes[stopTime.stopId] = [];
+          }
+          if (stopRoutes[stopTime.stopId].indexOf(route) === -1) {
+            stopRoutes[stopTime.stopId].push(route);
+          }
+
+          const previous = stopTimes[i-1];
+
+          // A hop whose times could not be filled in is left out. The time
+          // spent waiting at the stop is not part of the ride.
+          if (i > 0 && !isNaN(previous.departure) && !isNaN(stopTime.arrival)) {
+            edgeRows.push({
+              origin: previous.stopId,
+              destination: stopTime.stopId,
+              type: EdgeType.ROUTE,
+              weight: stopTime.arrival - previous.departure
+            });
+            
+            if (config.timeDependent) {
+              schedule.connections.push({
+                origin: previous.stopId,
+                destination: stopTime.stopId,
+                departure: previous.departure,
+                arrival: stopTime.arrival,
+                tripId: tripId,
+                serviceId: tripServices[tripId]
+              });
+            }
+          }
+        });
+      }
+      callback();
+    },
+    function(callback) {
+      const stationIds = [];
+      const stationRows = {};
+      
+      stopRows.forEach((row) => {
+        const stationId = getStationId(row.stop_id);
+        
+        if (!stationRows[stationId]) {
+          stationIds.push(stationId);
+        }
+        // Prefer the station's own row over the row of one of its platforms
+        if (!stationRows[stationId] || row.stop_id === stationId) {
+          stationRows[stationId] = row;
+        }
+      });
+      
+      // Only keep the stations that are actually served by a trip
+      stationIds.filter(stationId => stopRoutes[stationId]).forEach((stationId) => {
+        const row = stationRows[stationId];
+        stops.push(new Stop(stationId, row.stop_name, parseFloat(row.stop_lat), parseFloat(row.stop_lon), stopRoutes[stationId]));
+      });
+      callback();
+    },
+    function(callback) {
+      // transfers.txt is optional in the GTFS specification, so a feed
+      // without it simply produces a graph without transfer edges
+      readFeedFile(feedPath, 'transfers.txt', (row) => {
+        const origin = getStationId(row.from_stop_id);
+        const destination = getStationId(row.to_stop_id);
+        
+        if (origin !== destination) {
+          edgeRows.push({
+            origin: origin,
+            destination: destination,
+            type: EdgeType.TRANSFER,
+            weight: parseInt(row.min_transfer_time, 10) || 0
+          });
+        }
+      }, callback);
+    },
+    function(callback) {
+      if (!config.transferCoincidentStops) { return callback(); }
+      
+      // Some agencies model each line's platform as its own stop without
+      // listing the transfers between them
+      const locations = {};
+      stops.forEach((stop) => {
+        const key = [stop.name, stop.latitude, stop.longitude].join('|');
+        
+        (locations[key] || []).forEach((other) => {
+          edgeRows.push({
+            origin: stop.id,
+            destination: other.id,
+            type: EdgeType.TRANSFER,
+            weight: 0
+          });
+        });
+        locations[key] = (locations[key] || []).concat(stop);
+      });
+      callback();
+    },
+    function(callback) {
+      if (config.timeDependent) {
+        schedule.transfers = edgeRows.filter(row => row.type === EdgeType.TRANSFER);
+      }
+      
+      // A feed may describe its service with calendar.txt, calendar_dates.txt
+      // or both, so neither is required on its own
+      readFeedFile(feedPath, 'calendar.txt', (row) => {
+        schedule.calendar[row.service_id] = {
+          days: WEEKDAYS.map(day => row[day] === '1'),
+          startDate: row.start_date,
+          endDate: row.end_date
+        };
+      }, callback);
+    },
+    function(callback) {
+      readFeedFile(feedPath, 'calendar_dates.txt', (row) => {
+        if (!schedule.calendarDates[row.service_id]) {
+          schedule.calendarDates[row.service_id] = {};
+        }
+        schedule.calendarDates[row.service_id][row.date] = parseInt(row.exception_type, 10);
+      }, callback);
+    }
+  ],
+  function(err) {
+    if (err) { return callback(err); }
+
+    callback(null, stops, edgeRows, schedule);
+  });
+};
+
+module.exports = {
+  loadFeed: loadFeed,
+  readFeedFile: readFeedFile,
+  parseTime: parseTime
+};
@@ -17,10 +17,18 @@ var logger = require('../logger');
 var Systems = require('../systems');
 var System = require('./system');
 var SystemManager = require('./systemManager');
+var graphCache = require('./graphCache');
+var theoretical = require('./theoretical');
+var upload = require('./upload');
+var dataWatcher = require('./dataWatcher');
+var parseParameters = require('./parameters').parseParameters;
+var parseValidation = require('./validation').parseValidation;
 var Verbosity = require('../enums').Verbosity;
+var Fitness = require('../enums').Fitness;
 var argv = require('minimist')(process.argv.slice(2));
 
 const DEFAULT_VERBOSITY = Verbosity.info;
+const DEFAULT_FITNESS = Fitness.CLOSENESS;
 
 function loadSystem(systemId) {
   return (typeof argv.system === "undefined" || argv.system.toUpperCase() === systemId);
@@ -32,23 +40,121 @@ if (typeof argv.verbosity !== "undefined") {
   logger.transports.console.level = DEFAULT_VERBOSITY;
 }
 
+// --no-cache rebuilds and reanalyzes every graph, ignoring the cache
+if (argv.cache === false) {
+  graphCache.setEnabled(false);
+}
+
+// --no-watch leaves the graphs as they were at boot, even if the files under
+// data/ change
+dataWatcher.setEnabled(argv.watch !== false);
+
+//-------------------------------------------------
+// --theoretical searches for the links which would improve each system the
+// most once it has been analyzed, adding 1 to 5 links, or only the numbers
+// listed (--theoretical=2 or --theoretical=1,3). --fitness picks what the
+// links should improve (default: closeness).
+function getTheoreticalOptions() {
+  if (typeof argv.theoretical === "undefined" || argv.theoretical === false) {
+    return undefined;
+  }
+  
+  let routes = [];
+  if (argv.theoretical === true) {
+    for (let numRoutes = 1; numRoutes <= theoretical.MAX_ROUTES; numRoutes++) {
+      routes.push(numRoutes);
+    }
+  } else {
+    routes = String(argv.theoretical).split(',').map(Number);
+  }
+  routes.forEach(numRoutes => {
+    if (!Number.isInteger(numRoutes) || numRoutes < 1 || numRoutes > theoretical.MAX_ROUTES) {
+      throw new Error(`Bad number of theoretical routes (expected 1-${theoretical.MAX_ROUTES}): ${argv.theoretical}`);
+    }
+  });
+  
+  let fitness = DEFAULT_FITNESS;
+  if (typeof argv.fitness !== "undefined") {
+    if (!Fitness.isValid(String(argv.fitness).toUpperCase())) {
+      throw new Error(`Bad fitness (expected one of ${Fitness.ALL.join(', ')}): ${argv.fitness}`);
+    }
+    fitness = Fitness[String(argv.fitness).toUpperCase()];
+  }
+  
+  return { routes: routes, fitness: fitness };
+}
+
+const theoreticalOptions = getTheoreticalOptions();
+
+//-------------------------------------------------
+// --seed seeds the random walks of every system (and the theoretical graph
+// search) instead of its own seed or the default, so published ranks can be
+// reproduced with the same seed
+function getSeed() {
+  if (typeof argv.seed === "undefined") {
+    return undefined;
+  }
+  
+  return parseParameters({ seed: argv.seed }).seed;
+}
+
+const seed = getSeed();
+
+// --validation=strict refuses to load a system with any error in its CSVs,
+// and --validation=lenient loads the rows without errors, whatever each
+// system's own validation is (see validation.js)
+const validation = typeof argv.validation === "undefined" ? undefined : parseValidation(argv.validation);
+
 function loadGraphs(callback) {
   logger.info("Populating SystemManager");
   
+  // Systems uploaded through the API before this boot are loaded alongside
+  // the configured ones
+  const systems = Object.assign(upload.getUploadedSystems(), Systems);
+  
   let createGraphs = [];
-  for (let systemId in Systems) {
+  for (let systemId in systems) {
     // Add this system to the SystemManager if it has been specified on the
     // command line (for debugging) or none has been specified (production behavior)
     if (loadSystem(systemId)) {
-      let system = Systems[systemId];
+      let system = systems[systemId];
+      // The seed is part of the system's parameters, and so of its cache key
+      if (typeof seed !== "undefined") {
+        system = Object.assign({}, system, { parameters: Object.assign({}, system.parameters, { seed: seed }) });
+      }
+      if (typeof validation !== "undefined") {
+        system = Object.assign({}, system, { validation: validation });
+      }
       SystemManager.add(new System(systemId, system.location, system.latitude, system.longitude));
+      SystemManager.setParameters(systemId, system.parameters);
+      // A system which fails to load is reloaded once its files are fixed
+      dataWatcher.watchSystem(SystemManager, systemId, system);
       
       createGraphs.push(function(callback) {
         logger.info(systemId + ": Initializing graph");
-        createGraph(systemId, system, function(graph, mergedGraph) {
+        createGraph(systemId, system, function(err, graph, mergedGraph, timetable, cacheKey, timings, report) {
+          // A system which fails to load is reported by the status API, and
+          // the other systems are still served
+          if (err) {
+            logger.error(`${systemId}: Graph failed to load: ${err.message}`);
+            SystemManager.setLoadError(systemId, err);
+            if (err.validation) {
+              SystemManager.setValidation(systemId, err.validation);
+            }
+            callback();
+            return;
+          }
+          
           logger.info(systemId + ': Graph initialized');
+          logger.verbose(`${systemId}: Loading took (ms) ${JSON.stringify(timings)}`);
           SystemManager.setPrimaryGraph(systemId, graph);
           SystemManager.setMergedGraph(systemId, mergedGraph);
+          SystemManager.setCacheKey(systemId, cacheKey);
+          SystemManager.addTimings(systemId, timings);
+          SystemManager.setValidation(systemId, report);
+          if (timetable) {
+            SystemManager.setTimetable(systemId, timetable);
+          }
           callback();
         });
       });
@@ -65,10 +171,15 @@ function loadGraphs(callback) {
 function startServer(callback) {
     
   function afterServerBoot() {
-    // Run the ranking algorithms on each graph.
-    // This must happen after the server boots because it is a bottleneck.
+    // Run the ranking algorithms on each graph, in child processes so the
+    // server can answer requests in the meantime. Requests for ranks which
+    // are not ready yet are told the analysis is pending.
     // This call will store the rank results inside each graph itself because WHY NOT.
-    SystemManager.analyzeGraphs();
+    SystemManager.analyzeGraphs(function() {
+      if (theoreticalOptions) {
+        SystemManager.findTheoreticalGraphs(theoreticalOptions);
+      }
+    });
   }
   
   server.listen(SystemManager, afterServerBoot);
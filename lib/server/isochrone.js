@@ -0,0 +1,125 @@
+'use strict';
+
+var routing = require('./routing');
+var Geometry = require('../enums').Geometry;
+
+const SECONDS_PER_MINUTE = 60;
+
+const DEFAULT_BANDS = [10, 20, 30, 45];
+
+// Each reachable stop covers a small area around it, roughly 250 metres
+// (in degrees of latitude), so even a band reaching a single stop has a shape
+const STOP_RADIUS = 0.00225;
+const STOP_RADIUS_POINTS = 8;
+
+//-------------------------------------------------
+// The points around a stop which its area is drawn with. Degrees of
+// longitude shrink away from the equator, so the circle is widened to match.
+function pointsAround(stop) {
+  const points = [];
+  const longitudeScale = Math.cos(stop.latitude * Math.PI / 180) || 1;
+  
+  for (let i = 0; i < STOP_RADIUS_POINTS; i++) {
+    const angle = 2 * Math.PI * i / STOP_RADIUS_POINTS;
+    
+    points.push([
+      stop.longitude + STOP_RADIUS * Math.cos(angle) / longitudeScale,
+      stop.latitude + STOP_RADIUS * Math.sin(angle)
+    ]);
+  }
+  
+  return points;
+}
+
+function cross(o, a, b) {
+  return (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+}
+
+//-------------------------------------------------
+// The convex hull of a list of [longitude, latitude] points, found with
+// Andrew's monotone chain. Returns the hull counter-clockwise as a closed
+// ring (the first point repeated at the end), as GeoJSON polygons expect.
+var convexHull = function(points) {
+  const sorted = points.slice().sort((a,b) => a[0] === b[0] ? a[1] - b[1] : a[0] - b[0]);
+  const lower = [];
+  const upper = [];
+  
+  sorted.forEach(point => {
+    while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+      lower.pop();
+    }
+    lower.push(point);
+  });
+  sorted.slice().reverse().forEach(point => {
+    while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+      upper.pop();
+    }
+    upper.push(point);
+  });
+  
+  // The last point of each chain is the first point of the other
+  const hull = lower.slice(0, -1).concat(upper.slice(0, -1));
+  
+  return hull.concat([hull[0]]);
+};
+
+//-------------------------------------------------
+// Find every stop reachable from the origin within a budget (in minutes),
+// with its travel time in seconds, along with a GeoJSON polygon covering the
+// stops reachable within each band (also in minutes). Bands beyond the budget
+// are left out.
+var calculateIsochrone = function(graph, origin, budget, bands) {
+  const times = routing.travelTimes(graph, origin);
+  const reachable = [];
+  
+  times.forEach((time, node) => {
+    if (time <= budget * SECONDS_PER_MINUTE) {
+      const stop = graph.stops[node];
+      
+      reachable.push({
+        id: stop.id,
+        name: stop.name,
+        latitude: stop.latitude,
+        longitude: stop.longitude,
+        travelTime: time
+      });
+    }
+  });
+  reachable.sort((a,b) => a.travelTime - b.travelTime);
+  
+  const features = (bands || DEFAULT_BANDS)
+    .filter(minutes => minutes <= budget)
+    .sort((a,b) => a - b)
+    .map(minutes => {
+      const stops = reachable.filter(stop => stop.travelTime <= minutes * SECONDS_PER_MINUTE);
+      const points = stops.reduce((points, stop) => points.concat(pointsAround(stop)), []);
+      
+      return {
+        'type': 'Feature',
+        'properties': {
+          'minutes': minutes,
+          'stopCount': stops.length
+        },
+        'geometry': {
+          'type': Geometry.Polygon,
+          'coordinates': [ convexHull(points) ]
+        }
+      };
+    });
+  
+  return {
+    origin: graph.stops[origin].id,
+    budget: budget,
+    stops: reachable,
+    bands: {
+      'type': 'FeatureCollection',
+      'features': features
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_BANDS: DEFAULT_BANDS,
+  convexHull: convexHull,
+  calculateIsochrone: calculateIsochrone
+};
@@ -0,0 +1,101 @@
+'use strict';
+
+var Mode = require('../enums').Mode;
+
+// The parameters of the algorithms behind the modes, used unless a system
+// (see systems.js), the --seed flag or a request sets its own. The damping
+// and alpha are the ones transit-tools has always ranked with.
+//   damping    - the probability PageRank follows an edge rather than
+//                jumping to a random node (1 = it never jumps)
+//   alpha      - how much Katz centrality attenuates longer walks
+//   walks      - the number of random walks from each node (accessibility)
+//   walkLength - the number of steps of each random walk
+//   seed       - the seed of the random walks (and of the theoretical graph
+//                search), so the same ranks are found every run
+const DEFAULT_PARAMETERS = {
+  damping: 1,
+  alpha: 0.5,
+  walks: 50,
+  walkLength: 50,
+  seed: 1
+};
+
+// Walks are stored for every node, so their number and length are bounded
+const MAX_WALKS = 1000;
+const MAX_WALK_LENGTH = 200;
+const MAX_SEED = 4294967295;
+
+// The parameters each mode depends on, so that changing one of them only
+// ranks the modes using it again
+const MODE_PARAMETERS = {};
+MODE_PARAMETERS[Mode.PAGE_RANK] = ['damping'];
+MODE_PARAMETERS[Mode.KATZ] = ['alpha'];
+MODE_PARAMETERS[Mode.ACCESSIBILITY] = ['walks', 'walkLength', 'seed'];
+MODE_PARAMETERS[Mode.CLOSENESS] = [];
+MODE_PARAMETERS[Mode.BETWEENNESS] = [];
+
+const isValid = {
+  damping: value => value >= 0 && value <= 1,
+  alpha: value => value > 0,
+  walks: value => Number.isInteger(value) && value >= 1 && value <= MAX_WALKS,
+  walkLength: value => Number.isInteger(value) && value >= 1 && value <= MAX_WALK_LENGTH,
+  seed: value => Number.isInteger(value) && value >= 0 && value <= MAX_SEED
+};
+
+//-------------------------------------------------
+// Pick the parameters out of an object of values, such as a query string or
+// a system's configuration, converting them to numbers. Other properties
+// are ignored. Throws an error for a bad value.
+var parseParameters = function(values) {
+  const parameters = {};
+  
+  Object.keys(DEFAULT_PARAMETERS).forEach(name => {
+    if (typeof values[name] === "undefined") { return; }
+    
+    const value = Number(values[name]);
+    
+    if (values[name] === '' || !isValid[name](value)) {
+      throw new Error(`Bad ${name}: ${values[name]}`);
+    }
+    parameters[name] = value;
+  });
+  
+  return parameters;
+};
+
+//-------------------------------------------------
+// The parameters a mode is ranked with: the defaults, overridden by the
+// parameters given. Only the parameters the mode depends on are returned.
+var resolveParameters = function(mode, parameters) {
+  const resolved = {};
+  
+  (MODE_PARAMETERS[mode] || []).forEach(name => {
+    resolved[name] = typeof parameters[name] === "undefined" ? DEFAULT_PARAMETERS[name] : parameters[name];
+  });
+  
+  return resolved;
+};
+
+//-------------------------------------------------
+// The seed of a set of parameters, or the default
+var getSeed = function(parameters) {
+  return typeof parameters.seed === "undefined" ? DEFAULT_PARAMETERS.seed : parameters.seed;
+};
+
+//-------------------------------------------------
+// Identifies the ranks of a mode calculated with a set of parameters, such
+// as 'PAGE_RANK?damping=0.85'. Parameters the mode does not depend on are
+// left out, so they do not change the key.
+var parametersKey = function(mode, parameters) {
+  const resolved = resolveParameters(mode, parameters);
+  
+  return mode + '?' + Object.keys(resolved).sort().map(name => `${name}=${resolved[name]}`).join('&');
+};
+
+module.exports = {
+  DEFAULT_PARAMETERS: DEFAULT_PARAMETERS,
+  parseParameters: parseParameters,
+  resolveParameters: resolveParameters,
+  getSeed: getSeed,
+  parametersKey: parametersKey
+};
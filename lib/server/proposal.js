@@ -0,0 +1,67 @@
+'use strict';
+
+var Edge = require('transit-tools').Edge;
+var EdgeList = require('transit-tools').EdgeList;
+var rankStops = require('./ranks').rankStops;
+var EdgeType = require('../enums').EdgeType;
+
+//-------------------------------------------------
+// A copy of a graph with the proposed links added as theoretical edges. Each
+// link is an object with the origin and destination node indices and the
+// weight (its run time in seconds).
+var createProposalGraph = function(graph, links) {
+  const edges = links.map(link => {
+    return new Edge({
+      type: EdgeType.THEORETICAL,
+      origin: link.origin,
+      destination: link.destination,
+      weight: link.weight
+    });
+  });
+  
+  return graph.createNewGraphWithEdges(new EdgeList(edges));
+};
+
+//-------------------------------------------------
+// Compare each stop of a graph in a mode with its ranks before the proposed
+// links are added (the graph's own ranks) and after (the ranks of the
+// proposal graph, which SystemManager.evaluateProposal calculates in a child
+// process). The stops are listed from the one which gains the most to the
+// one which loses the most, each with its score and rank before and after.
+var evaluateProposal = function(graph, links, mode, proposalRanks) {
+  const proposalGraph = createProposalGraph(graph, links);
+  const baseline = {};
+  
+  proposalGraph.ranks = {};
+  proposalGraph.ranks[mode] = proposalRanks;
+  rankStops(graph, mode).forEach(stop => { baseline[stop.id] = stop; });
+  
+  const stops = rankStops(proposalGraph, mode).map(stop => {
+    const before = baseline[stop.id];
+    
+    return {
+      id: stop.id,
+      name: stop.name,
+      baseline: { score: before.score, rank: before.rank },
+      proposal: { score: stop.score, rank: stop.rank },
+      change: { score: stop.score - before.score, rank: before.rank - stop.rank }
+    };
+  });
+  
+  return {
+    mode: mode,
+    links: links.map(link => {
+      return {
+        from: graph.stops[link.origin].id,
+        to: graph.stops[link.destination].id,
+        weight: link.weight
+      };
+    }),
+    stops: stops.sort((a,b) => b.change.score - a.change.score)
+  };
+};
+
+module.exports = {
+  createProposalGraph: createProposalGraph,
+  evaluateProposal: evaluateProposal
+};
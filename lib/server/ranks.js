@@ -0,0 +1,70 @@
+'use strict';
+
+var SortOrder = require('../enums').SortOrder;
+
+//-------------------------------------------------
+// Scale scores between 0 (the lowest) and 1 (the highest), so the scores of
+// modes with very different ranges can be compared. If every score is the
+// same, they all scale to 1.
+var normalize = function(scores) {
+  const min = Math.min.apply(null, scores);
+  const max = Math.max.apply(null, scores);
+  const range = max - min;
+  
+  return scores.map(score => range === 0 ? 1 : (score - min) / range);
+};
+
+//-------------------------------------------------
+// Describe every stop of a graph along with its score in a mode, ordered from
+// the highest score to the lowest. Each stop's rank is its ordinal position
+// in that order, with tied stops sharing the best rank among them (1, 2, 2, 4).
+// The scores are the graph's ranks in the mode, unless others are given.
+var rankStops = function(graph, mode, scores) {
+  scores = scores || graph.ranks[mode];
+  const normalizedScores = normalize(scores);
+  const rankedStops = graph.stops.map((stop, node) => {
+    return {
+      id: stop.id,
+      name: stop.name,
+      latitude: stop.latitude,
+      longitude: stop.longitude,
+      routes: stop.routes || [],
+      score: scores[node],
+      normalizedScore: normalizedScores[node]
+    };
+  });
+  
+  rankedStops.sort((a,b) => b.score - a.score);
+  rankedStops.forEach((stop, i) => {
+    const previous = rankedStops[i - 1];
+    stop.rank = (i > 0 && previous.score === stop.score) ? previous.rank : i + 1;
+  });
+  
+  return rankedStops;
+};
+
+//-------------------------------------------------
+// A page of the ranked stops of a graph in a mode. The stops keep their
+// ranks whichever order they are listed in.
+var getRankPage = function(graph, mode, sort, limit, offset, scores) {
+  const rankedStops = rankStops(graph, mode, scores);
+  
+  if (sort === SortOrder.ASC) {
+    rankedStops.reverse();
+  }
+  
+  return {
+    mode: mode,
+    sort: sort,
+    total: rankedStops.length,
+    limit: limit,
+    offset: offset,
+    stops: rankedStops.slice(offset, typeof limit === "undefined" ? undefined : offset + limit)
+  };
+};
+
+module.exports = {
+  normalize: normalize,
+  rankStops: rankStops,
+  getRankPage: getRankPage
+};
@@ -0,0 +1,282 @@
+'use strict';
+
+var EdgeType = require('../enums').EdgeType;
+var Geometry = require('../enums').Geometry;
+var edgeKey = require('./betweenness').edgeKey;
+
+// Alternatives beyond this many are rarely useful and each one costs another
+// round of shortest path searches
+const MAX_PATHS = 10;
+
+// The index of each stop of a graph by its ID (as a string), built the first
+// time a stop of the graph is looked up, along with the stops it was built
+// from
+const stopIndices = new WeakMap();
+
+//-------------------------------------------------
+// Find the index of a stop from the ID given in a request. The IDs of systems
+// loaded from CSV files may be numbers, so compare them as strings.
+var findStopIndex = function(graph, stopId) {
+  let cached = stopIndices.get(graph);
+  
+  if (typeof cached === "undefined" || cached.stops !== graph.stops) {
+    const indices = new Map();
+    
+    // The first of stops sharing an ID is found, as with indexOf
+    graph.getStopIds().forEach((id, index) => {
+      if (!indices.has(String(id))) { indices.set(String(id), index); }
+    });
+    cached = { stops: graph.stops, indices: indices };
+    stopIndices.set(graph, cached);
+  }
+  
+  const index = cached.indices.get(String(stopId));
+  return typeof index === "undefined" ? -1 : index;
+};
+
+//-------------------------------------------------
+// The cost of traversing an edge: its weight, plus the penalty if it is a
+// transfer
+var edgeCost = function(edge, transferPenalty) {
+  return edge.weight + (edge.type === EdgeType.TRANSFER ? transferPenalty : 0);
+};
+
+var pathCost = function(graph, nodes, transferPenalty) {
+  let cost = 0;
+  
+  for (let i = 1; i < nodes.length; i++) {
+    cost += edgeCost(graph.getEdge(nodes[i - 1], nodes[i]), transferPenalty);
+  }
+  
+  return cost;
+};
+
+//-------------------------------------------------
+// Dijkstra's algorithm over the neighbours of each node, keeping the
+// predecessor of each node so paths can be rebuilt. Stops early once the
+// destination (if given) is settled.
+//
+// options (all optional):
+//   transferPenalty - added to the weight of every transfer edge
+//   excludedNodes   - object whose keys are nodes the path may not visit
+//   excludedEdges   - object whose keys (see edgeKey) are edges the path may
+//                     not use
+var search = function(graph, origin, destination, options) {
+  const length = graph.length();
+  const transferPenalty = (options && options.transferPenalty) || 0;
+  const excludedNodes = (options && options.excludedNodes) || {};
+  const excludedEdges = (options && options.excludedEdges) || {};
+  let distances, visited, previous;
+  
+  for (distances = []; distances.length < length; distances.push(Infinity));
+  for (visited = []; visited.length < length; visited.push(false));
+  for (previous = []; previous.length < length; previous.push(-1));
+  
+  distances[origin] = 0;
+  
+  for (let iterations = 0; iterations < length; iterations++) {
+    let current = -1;
+    for (let i = 0; i < length; i++) {
+      if (!visited[i] && distances[i] < Infinity && (current === -1 || distances[i] < distances[current])) {
+        current = i;
+      }
+    }
+    if (current === -1 || current === destination) { break; }
+    visited[current] = true;
+    
+    graph.getIncomingNodes(current).forEach(neighbour => {
+      if (excludedNodes[neighbour] || excludedEdges[edgeKey(current, neighbour)]) { return; }
+      
+      const distance = distances[current] + edgeCost(graph.getEdge(current, neighbour), transferPenalty);
+      
+      if (distance < distances[neighbour]) {
+        distances[neighbour] = distance;
+        previous[neighbour] = current;
+      }
+    });
+  }
+  
+  return { distances: distances, previous: previous };
+};
+
+//-------------------------------------------------
+// The shortest travel time from the origin to every node (Infinity for the
+// nodes which cannot be reached)
+var travelTimes = function(graph, origin, options) {
+  return search(graph, origin, undefined, options).distances;
+};
+
+//-------------------------------------------------
+// The shortest path between two nodes as the list of node indices from
+// origin to destination, or undefined if the destination cannot be reached.
+// Takes the same options as search.
+var shortestPath = function(graph, origin, destination, options) {
+  const length = graph.length();
+  const result = search(graph, origin, destination, options);
+  const distances = result.distances;
+  const previous = result.previous;
+  
+  if (distances[destination] === Infinity) {
+    return undefined;
+  }
+  
+  const nodes = [destination];
+  while (nodes[0] !== origin) {
+    nodes.unshift(previous[nodes[0]]);
+    
+    if (nodes.length > length) {
+      throw new Error('cycle detected during shortest path calculation!');
+    }
+  }
+  
+  return nodes;
+};
+
+//-------------------------------------------------
+// Yen's algorithm for the k shortest loopless paths. Each new path leaves an
+// earlier one at some "spur" node, so for every node along the previous path
+// we search for the shortest way on from the spur which neither revisits the
+// path so far nor repeats an edge already taken from the same spur by an
+// earlier path. The cheapest of these candidates is the next path. Returns
+// up to k lists of node indices, cheapest first.
+var kShortestPaths = function(graph, origin, destination, k, transferPenalty) {
+  const first = shortestPath(graph, origin, destination, { transferPenalty: transferPenalty });
+  if (typeof first === "undefined") {
+    return [];
+  }
+  
+  const paths = [first];
+  const candidates = [];
+  const known = { [first.join(',')]: true };
+  
+  while (paths.length < Math.min(k, MAX_PATHS)) {
+    const previousPath = paths[paths.length - 1];
+    
+    for (let i = 0; i < previousPath.length - 1; i++) {
+      const spur = previousPath[i];
+      const root = previousPath.slice(0, i + 1);
+      const rootKey = root.join(',');
+      const excludedNodes = {};
+      const excludedEdges = {};
+      
+      root.slice(0, -1).forEach(node => { excludedNodes[node] = true; });
+      paths.filter(path => path.slice(0, i + 1).join(',') === rootKey)
+           .forEach(path => { excludedEdges[edgeKey(path[i], path[i + 1])] = true; });
+      
+      const spurPath = shortestPath(graph, spur, destination, {
+        transferPenalty: transferPenalty,
+        excludedNodes: excludedNodes,
+        excludedEdges: excludedEdges
+      });
+      if (typeof spurPath === "undefined") { continue; }
+      
+      const candidate = root.slice(0, -1).concat(spurPath);
+      const candidateKey = candidate.join(',');
+      if (!known[candidateKey]) {
+        known[candidateKey] = true;
+        candidates.push({ nodes: candidate, cost: pathCost(graph, candidate, transferPenalty) });
+      }
+    }
+    
+    if (candidates.length === 0) { break; }
+    
+    candidates.sort((a,b) => a.cost - b.cost);
+    paths.push(candidates.shift().nodes);
+  }
+  
+  return paths;
+};
+
+//-------------------------------------------------
+// Describe a path (a list of node indices) the way the route API returns it:
+// the stops in order, the duration of each leg between consecutive stops,
+// the number of transfers, the total time and a GeoJSON LineString to draw.
+// The cost is the total time plus the transfer penalty the path was found
+// with.
+var describeRoute = function(graph, nodes, transferPenalty) {
+  const stops = nodes.map(node => graph.stops[node]);
+  const legs = [];
+  
+  for (let i = 1; i < nodes.length; i++) {
+    const edge = graph.getEdge(nodes[i - 1], nodes[i]);
+    
+    legs.push({
+      origin: stops[i - 1].id,
+      destination: stops[i].id,
+      type: edge.type,
+      duration: edge.weight
+    });
+  }
+  
+  return {
+    stops: stops.map(stop => {
+      return {
+        id: stop.id,
+        name: stop.name,
+        latitude: stop.latitude,
+        longitude: stop.longitude
+      };
+    }),
+    legs: legs,
+    transfers: legs.filter(leg => leg.type === EdgeType.TRANSFER).length,
+    totalTime: legs.reduce((total, leg) => total + leg.duration, 0),
+    cost: pathCost(graph, nodes, transferPenalty || 0),
+    geometry: {
+      'type': Geometry.LineString,
+      'coordinates': stops.map(stop => [ stop.longitude, stop.latitude ])
+    }
+  };
+};
+
+//-------------------------------------------------
+// Describe a journey found in a timetable (see Timetable.shortestPath) from
+// a node, like describeRoute: the stops where each leg starts and ends, and
+// each leg with its departure and arrival (in seconds after midnight), its
+// duration and, for a ride, its trip. The total time includes the wait for
+// the first trip.
+var describeJourney = function(graph, origin, journey) {
+  const stops = [graph.stops[origin]].concat(journey.legs.map(leg => graph.stops[leg.destination]));
+  const legs = journey.legs.map(leg => {
+    const described = {
+      origin: graph.stops[leg.origin].id,
+      destination: graph.stops[leg.destination].id,
+      type: leg.type,
+      departure: leg.departure,
+      arrival: leg.arrival,
+      duration: leg.arrival - leg.departure
+    };
+    
+    if (leg.type === EdgeType.ROUTE) { described.tripId = leg.tripId; }
+    return described;
+  });
+  
+  return {
+    stops: stops.map(stop => {
+      return {
+        id: stop.id,
+        name: stop.name,
+        latitude: stop.latitude,
+        longitude: stop.longitude
+      };
+    }),
+    legs: legs,
+    transfers: legs.filter(leg => leg.type === EdgeType.TRANSFER).length,
+    departure: journey.departure,
+    arrival: journey.arrival,
+    totalTime: journey.duration,
+    geometry: {
+      'type': Geometry.LineString,
+      'coordinates': stops.map(stop => [ stop.longitude, stop.latitude ])
+    }
+  };
+};
+
+module.exports = {
+  MAX_PATHS: MAX_PATHS,
+  findStopIndex: findStopIndex,
+  travelTimes: travelTimes,
+  shortestPath: shortestPath,
+  kShortestPaths: kShortestPaths,
+  describeRoute: describeRoute,
+  describeJourney: describeJourney
+};
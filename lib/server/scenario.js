@@ -0,0 +1,175 @@
+'use strict';
+
+var TransitGraph = require('transit-tools').TransitGraph;
+var EdgeList = require('transit-tools').EdgeList;
+var Edge = require('transit-tools').Edge;
+var travelTimes = require('./betweenness').travelTimes;
+var edgeKey = require('./betweenness').edgeKey;
+var utils = require('../utils');
+
+// Only the stops whose closeness drops the most are listed
+const MOST_AFFECTED_STOPS = 10;
+
+//-------------------------------------------------
+// A copy of a graph without the closed stops' edges and the closed edges.
+// The closed stops are kept as nodes, so the node indices do not change.
+//
+// closedNodes - object whose keys are the closed nodes
+// closedEdges - object whose keys (see edgeKey) are the closed edges
+var createScenarioGraph = function(graph, closedNodes, closedEdges) {
+  const edgeList = new EdgeList();
+  
+  graph.edgeList.forEach(function(edge) {
+    if (closedNodes[edge.origin] || closedNodes[edge.destination] ||
+        closedEdges[edgeKey(edge.origin, edge.destination)]) {
+      return;
+    }
+    edgeList.add(new Edge(edge));
+  });
+  
+  return new TransitGraph(edgeList, graph.numNodes, graph.stops);
+};
+
+//-------------------------------------------------
+// The groups of open nodes which can reach each other, largest first
+var connectedComponents = function(graph, closedNodes) {
+  const length = graph.length();
+  const component = [];
+  const components = [];
+  
+  for (let node = 0; node < length; node++) {
+    component.push(-1);
+  }
+  
+  for (let start = 0; start < length; start++) {
+    if (component[start] !== -1 || closedNodes[start]) { continue; }
+    
+    const members = [start];
+    component[start] = components.length;
+    
+    for (let i = 0; i < members.length; i++) {
+      graph.getIncomingNodes(members[i]).forEach(neighbour => {
+        if (component[neighbour] === -1 && !closedNodes[neighbour]) {
+          component[neighbour] = components.length;
+          members.push(neighbour);
+        }
+      });
+    }
+    components.push(members);
+  }
+  
+  return components.sort((a,b) => b.length - a.length);
+};
+
+//-------------------------------------------------
+// Harmonic closeness of a node: the mean of the inverse travel time to every
+// other open node, where the nodes it cannot reach count as 0. Unlike the
+// closeness mode it stays meaningful once the network is split, and closing
+// anything can only lower it.
+function closeness(times, origin, closedNodes) {
+  let others = 0;
+  let total = 0;
+  
+  times[origin].forEach((time, destination) => {
+    if (destination === origin || closedNodes[destination]) { return; }
+    
+    others++;
+    total += time > 0 ? 1 / time : 0;
+  });
+  
+  return others > 0 ? total / others : 0;
+}
+
+function describeStop(stop) {
+  return { id: stop.id, name: stop.name };
+}
+
+//-------------------------------------------------
+// Close stops and edges of a graph (given as node indices and pairs of node
+// indices) and compare the resulting network with the original:
+//   components        - how many groups of stops can reach each other before
+//                       and after, and the stops cut off from the largest
+//   unreachableStops  - the open stops which could reach the largest group
+//                       before, but not after
+//   averageTravelTime - the mean travel time (seconds) between the pairs of
+//                       open stops which can reach each other both before
+//                       and after
+//   closeness         - the mean closeness of the open stops before and
+//                       after, and the stops whose closeness drops the most
+var runScenario = function(graph, closedNodeList, closedEdgeList) {
+  const closedNodes = {};
+  const closedEdges = {};
+  
+  closedNodeList.forEach(node => { closedNodes[node] = true; });
+  closedEdgeList.forEach(edge => { closedEdges[edgeKey(edge[0], edge[1])] = true; });
+  
+  const scenarioGraph = createScenarioGraph(graph, closedNodes, closedEdges);
+  const baselineComponents = connectedComponents(graph, {});
+  const scenarioComponents = connectedComponents(scenarioGraph, closedNodes);
+  const mainScenarioComponent = {};
+  (scenarioComponents[0] || []).forEach(node => { mainScenarioComponent[node] = true; });
+  
+  const baselineTimes = travelTimes(graph);
+  const scenarioTimes = travelTimes(scenarioGraph);
+  const baselineTravelTimes = [];
+  const scenarioTravelTimes = [];
+  const stops = [];
+  
+  for (let origin = 0; origin < graph.length(); origin++) {
+    if (closedNodes[origin]) { continue; }
+    
+    for (let destination = origin + 1; destination < graph.length(); destination++) {
+      if (closedNodes[destination]) { continue; }
+      
+      if (baselineTimes[origin][destination] < Infinity && scenarioTimes[origin][destination] < Infinity) {
+        baselineTravelTimes.push(baselineTimes[origin][destination]);
+        scenarioTravelTimes.push(scenarioTimes[origin][destination]);
+      }
+    }
+    
+    const before = closeness(baselineTimes, origin, closedNodes);
+    const after = closeness(scenarioTimes, origin, closedNodes);
+    stops.push(Object.assign(describeStop(graph.stops[origin]), {
+      baseline: before,
+      scenario: after,
+      change: after - before
+    }));
+  }
+  
+  // With every stop closed or cut off there is nothing to average
+  const baselineTravelTime = baselineTravelTimes.length > 0 ? utils.mean(baselineTravelTimes) : 0;
+  const scenarioTravelTime = scenarioTravelTimes.length > 0 ? utils.mean(scenarioTravelTimes) : 0;
+  const baselineCloseness = stops.length > 0 ? utils.mean(stops.map(stop => stop.baseline)) : 0;
+  const scenarioCloseness = stops.length > 0 ? utils.mean(stops.map(stop => stop.scenario)) : 0;
+  
+  return {
+    components: {
+      baseline: baselineComponents.length,
+      scenario: scenarioComponents.length,
+      disconnected: scenarioComponents.slice(1).map(members => members.map(node => describeStop(graph.stops[node])))
+    },
+    unreachableStops: (baselineComponents[0] || [])
+      .filter(node => !closedNodes[node] && !mainScenarioComponent[node])
+      .map(node => describeStop(graph.stops[node])),
+    averageTravelTime: {
+      baseline: baselineTravelTime,
+      scenario: scenarioTravelTime,
+      change: scenarioTravelTime - baselineTravelTime
+    },
+    closeness: {
+      baseline: baselineCloseness,
+      scenario: scenarioCloseness,
+      change: scenarioCloseness - baselineCloseness,
+      mostAffected: stops
+        .filter(stop => stop.change < 0)
+        .sort((a,b) => a.change - b.change)
+        .slice(0, MOST_AFFECTED_STOPS)
+    }
+  };
+};
+
+module.exports = {
+  createScenarioGraph: createScenarioGraph,
+  connectedComponents: connectedComponents,
+  runScenario: runScenario
+};
@@ -3,6 +3,7 @@
 var http = require('http');
 var path = require('path');
 var express = require('express');
+var bodyParser = require('body-parser');
 var socketio = require('socket.io');
 var socketMsg = require('../constants.js');
 var traversals = require('transit-tools').traversals;
@@ -10,12 +11,34 @@ var SocketTraverser = require('./socketTraverser.js');
 var logger = require('../logger.js');
 var Mode = require('../enums').Mode;
 var GraphType = require('../enums').GraphType;
+var Weighting = require('../enums').Weighting;
+var TimeBand = require('../enums').TimeBand;
+var SortOrder = require('../enums').SortOrder;
+var ExportFormat = require('../enums').ExportFormat;
+var AnalysisState = require('../enums').AnalysisState;
+var LoadState = require('../enums').LoadState;
 var utils = require('../utils');
+var parseTime = require('./gtfsFeed').parseTime;
+var routing = require('./routing');
+var isochrone = require('./isochrone');
+var ranks = require('./ranks');
+var addEdgeMetrics = require('./edgeMetrics').addEdgeMetrics;
+var exportGraph = require('./graphExport').exportGraph;
+var scenario = require('./scenario');
+var upload = require('./upload');
+var describeDistribution = require('./distribution').describeDistribution;
+var parseParameters = require('./parameters').parseParameters;
+var estimateTravelTime = require('./theoretical').estimateTravelTime;
 
 var router = express();
 
 const DEFAULT_IP = "0.0.0.0";
 const DEFAULT_PORT = 3000;
+const DEFAULT_NUM_ROUTES = 3;
+
+// Uploaded GTFS feeds and CSVs can be much larger than the other requests
+const UPLOAD_LIMIT = '100mb';
+const ZIP_TYPES = ['application/zip', 'application/x-zip-compressed', 'application/octet-stream'];
 
 // Set up Express to fetch the client from a subdirectory
 router.use('/demo',express.static(path.resolve(__dirname, '../../public/demo')));
@@ -27,11 +50,116 @@ router.use('/rank/paris',express.static(path.resolve(__dirname, '../../public/ra
 router.use('/rank/dc',express.static(path.resolve(__dirname, '../../public/rank/dc')));
 router.use('/rank/dcp',express.static(path.resolve(__dirname, '../../public/rank/dcp')));
 
+router.use('/compare',express.static(path.resolve(__dirname, '../../public/compare')));
+
 router.use('/bundle',express.static(path.resolve(__dirname, '../../public/bundle')));
 router.use('/files',express.static(path.resolve(__dirname, '../../public/files')));
 
 this.server = http.createServer(router);
 
+//-------------------------------------------------
+// The response to a request for ranks which are still being calculated,
+// along with how far the analysis of the system (or the one given) has got
+function analysisPending(SystemManager, systemId, analysis) {
+  const response = utils.errorToJson(`Analysis pending for system: ${systemId}`);
+  response.analysis = analysis || SystemManager.getAnalysisStatus(systemId);
+  
+  return response;
+}
+
+//-------------------------------------------------
+// Whether the graphs of a system are loaded. If they are still loading or
+// could not be built, responds with an error saying how far the load got.
+function checkLoaded(SystemManager, systemId, res) {
+  const state = SystemManager.getLoadState(systemId);
+  
+  if (state === LoadState.LOADED) {
+    return true;
+  }
+  
+  const response = utils.errorToJson(state === LoadState.FAILED ?
+    `System failed to load: ${systemId}` : `System still loading: ${systemId}`);
+  response.load = SystemManager.getStatus(systemId).load;
+  res.send(response);
+  return false;
+}
+
+//-------------------------------------------------
+// Look up the origin and destination stops and the transfer penalty (in
+// seconds) of a route request. Responds with an error and returns undefined
+// if any of them are bad.
+function parseRouteQuery(graph, query, res) {
+  const origin = routing.findStopIndex(graph, query.from);
+  const destination = routing.findStopIndex(graph, query.to);
+  let transferPenalty = 0;
+  
+  if (origin === -1) {
+    res.send(utils.errorToJson(`Bad origin stop: ${query.from}`));
+    return undefined;
+  }
+  if (destination === -1) {
+    res.send(utils.errorToJson(`Bad destination stop: ${query.to}`));
+    return undefined;
+  }
+  if (typeof query.transferPenalty !== "undefined") {
+    transferPenalty = Number(query.transferPenalty);
+    
+    if (isNaN(transferPenalty) || transferPenalty < 0) {
+      res.send(utils.errorToJson(`Bad transfer penalty: ${query.transferPenalty}`));
+      return undefined;
+    }
+  }
+  
+  return {
+    origin: origin,
+    destination: destination,
+    transferPenalty: transferPenalty
+  };
+}
+
+//-------------------------------------------------
+// The weighting and time band of a request (run time during the AM peak by
+// default), or undefined after responding with an error if either is bad
+function parseWeightingQuery(query, res) {
+  let weighting = Weighting.RUN_TIME;
+  let band = TimeBand.AM_PEAK;
+  
+  if (typeof query.weighting !== "undefined") {
+    if (!Weighting.isValid(query.weighting.toUpperCase())) {
+      res.send(utils.errorToJson(`Bad weighting: ${query.weighting}`));
+      return undefined;
+    }
+    weighting = Weighting[query.weighting.toUpperCase()];
+  }
+  if (typeof query.band !== "undefined") {
+    if (!TimeBand.isValid(query.band.toUpperCase())) {
+      res.send(utils.errorToJson(`Bad time band: ${query.band}`));
+      return undefined;
+    }
+    band = TimeBand[query.band.toUpperCase()];
+  }
+  
+  return { weighting: weighting, band: band };
+}
+
+//-------------------------------------------------
+// The primary graph of a system to route on, weighted by frequency during a
+// band if the request asks for it (see getFrequencyWeightedGraph), or
+// undefined after responding with an error
+function getRoutingGraph(SystemManager, systemId, query, res) {
+  const weighted = parseWeightingQuery(query, res);
+  if (typeof weighted === "undefined") { return undefined; }
+  
+  if (weighted.weighting !== Weighting.FREQUENCY) {
+    return SystemManager.getGraph(systemId, GraphType.PRIMARY);
+  }
+  if (!SystemManager.hasFrequencies(systemId)) {
+    res.send(utils.errorToJson(`Service frequencies are only available for systems loaded from a GTFS feed: ${systemId}`));
+    return undefined;
+  }
+  return SystemManager.getFrequencyWeightedGraph(systemId, GraphType.PRIMARY, weighted.band);
+}
+
 exports.listen = function(SystemManager, afterServerBoot) {
   var io = socketio.listen(this.server);
   logger.info("Starting server");
@@ -54,18 +182,39 @@ exports.listen = function(SystemManager, afterServerBoot) {
     }
     let type = req.query.type;
     let mode = req.query.mode;
+    let format = req.query.format;
     const filter = req.query.filter;
-
+    
     if (typeof type !== "undefined") {
       if (GraphType.isValid(type.toUpperCase())) {
         type = GraphType[type.toUpperCase()];
       } else {
         res.send(utils.errorToJson(`Bad graph type: ${type}`));
+        return;
       }
     } else {
       type = GraphType.PRIMARY;
     }
     
+    const weighted = parseWeightingQuery(req.query, res);
+    if (typeof weighted === "undefined") { return; }
+    const weighting = weighted.weighting;
+    const band = weighted.band;
+    
+    // Without a format the graph is GeoJSON
+    if (typeof format !== "undefined") {
+      if (ExportFormat.isValid(format.toUpperCase())) {
+        format = ExportFormat[format.toUpperCase()];
+      } else {
+        res.send(utils.errorToJson(`Bad format: ${format}`));
+        return;
+      }
+      if (typeof filter !== "undefined" && (format !== ExportFormat.CSV || (filter != "stops" && filter != "edges"))) {
+        res.send(utils.errorToJson(`Bad filter: ${filter} (only stops or edges with the csv format)`));
+        return;
+      }
+    }
+    
     if (typeof mode !== "undefined") {
       if (Mode.isValid(mode.toUpperCase())) {
         mode = Mode[mode.toUpperCase()];
@@ -80,12 +229,68 @@ exports.listen = function(SystemManager, afterServerBoot) {
       }
     }
     
+    let graph;
+    if (weighting === Weighting.FREQUENCY) {
+      if (type !== GraphType.PRIMARY && type !== GraphType.MERGED) {
+        res.send(utils.errorToJson(`Weighting can only be provided with PRIMARY or MERGED graph!`));
+        return;
+      }
+      if (!SystemManager.hasFrequencies(systemId)) {
+        res.send(utils.errorToJson(`Service frequencies are only available for systems loaded from a GTFS feed: ${systemId}`));
+        return;
+      }
+      
+      // The weighted graph is ranked in the background the first time a mode
+      // is asked for
+      if (typeof mode !== "undefined") {
+        const analysis = SystemManager.rankFrequencyWeightedGraph(systemId, band, mode);
+        
+        if (analysis.state === AnalysisState.FAILED) {
+          res.send(utils.errorToJson(`Ranking failed: ${analysis.error}`));
+          return;
+        }
+        if (analysis.state !== AnalysisState.COMPLETE) {
+          res.send(analysisPending(SystemManager, systemId, analysis));
+          return;
+        }
+      }
+      graph = SystemManager.getFrequencyWeightedGraph(systemId, type, band);
+    } else {
+      if (typeof mode !== "undefined" && !SystemManager.isAnalyzed(systemId, mode)) {
+        res.send(analysisPending(SystemManager, systemId));
+        return;
+      }
+      // Theoretical graphs only exist once the server has been asked to
+      // search for them and the search is done
+      if (!SystemManager.hasGraph(systemId, type)) {
+        const response = utils.errorToJson(`Graph not available: ${type}`);
+        response.theoretical = SystemManager.getTheoreticalStatus(systemId);
+        res.send(response);
+        return;
+      }
+      graph = SystemManager.getGraph(systemId, type);
+    }
+    
+    // The other formats carry every rank the graph has, not only the mode's
+    if (typeof format !== "undefined") {
+      const exported = exportGraph(graph, format, systemId, { stopsOnly: filter == "stops" });
+      
+      res.type(exported.contentType);
+      res.send(exported.body);
+      return;
+    }
+    
+    // The edges of the merged graph carry their betweenness and criticality
+    // once they have been analyzed
     if (typeof filter === "undefined") {
-      res.send(SystemManager.getGraph(systemId, type).getGeoJson(mode));
+      const geoJson = graph.getGeoJsonStops(mode);
+      
+      geoJson.features = geoJson.features.concat(addEdgeMetrics(graph.getGeoJsonEdges(), graph.edgeMetrics).features);
+      res.send(geoJson);
     } else if (filter == "edges") {
-      res.send(SystemManager.getGraph(systemId, type).getGeoJsonEdges());
+      res.send(addEdgeMetrics(graph.getGeoJsonEdges(), graph.edgeMetrics));
     } else if (filter == "stops") {
-      res.send(SystemManager.getGraph(systemId, type).getGeoJsonStops(mode));
+      res.send(graph.getGeoJsonStops(mode));
     } else {
       res.send(utils.errorToJson(`Bad filter: ${filter}`));
     }
@@ -102,6 +307,518 @@ exports.listen = function(SystemManager, afterServerBoot) {
     res.send(SystemManager.getInfo(systemId));
   });
   
+  router.get('/api/v0/system/:system/status', function(req, res) {
+    const systemId = req.params.system;
+    
+    if (!SystemManager.systemExists(systemId)) {
+      res.send(utils.errorToJson(`Bad system: ${systemId}`));
+      return;
+    }
+    
+    res.send(SystemManager.getStatus(systemId));
+  });
+  
+  //-------------------------------------------------
+  // The problems found in a system's stops, routes and edges CSVs when its
+  // graphs were built, each with its file and line (see validation.js). A
+  // system loaded from a GTFS zip has no CSVs to check. The limit query
+  // returns only the first issues.
+  router.get('/api/v0/system/:system/validation', function(req, res) {
+    const systemId = req.params.system;
+    let limit = req.query.limit;
+    
+    if (!SystemManager.systemExists(systemId)) {
+      res.send(utils.errorToJson(`Bad system: ${systemId}`));
+      return;
+    }
+    if (typeof limit !== "undefined") {
+      limit = Number(limit);
+      
+      if (!Number.isInteger(limit) || limit < 0) {
+        res.send(utils.errorToJson(`Bad limit: ${req.query.limit}`));
+        return;
+      }
+    }
+    if (!SystemManager.hasValidation(systemId)) {
+      res.send(utils.errorToJson(`${systemId} is still loading`));
+      return;
+    }
+    
+    res.send(SystemManager.getValidation(systemId).toJson(limit));
+  });
+  
+  //-------------------------------------------------
+  // Add a system from a GTFS zip (sent as application/zip) or its stops,
+  // routes and edges CSVs (sent as JSON), described by the query string. The
+  // response is the system's status once its graphs are built; the analysis
+  // goes on in the background.
+  router.post('/api/v0/system',
+    bodyParser.raw({ type: ZIP_TYPES, limit: UPLOAD_LIMIT }),
+    bodyParser.json({ limit: UPLOAD_LIMIT }),
+    function(req, res) {
+      let info;
+      try {
+        info = upload.parseSystemInfo(SystemManager, req.query);
+      } catch (err) {
+        res.send(utils.errorToJson(err.message));
+        return;
+      }
+      
+      let files;
+      if (Buffer.isBuffer(req.body) && req.body.length > 0) {
+        files = { feed: req.body };
+      } else if (req.body && typeof req.body.stops !== "undefined") {
+        files = { stops: req.body.stops, routes: req.body.routes, edges: req.body.edges };
+      } else {
+        res.send(utils.errorToJson('Expected a GTFS zip (application/zip) or stops, routes and edges CSVs (application/json)'));
+        return;
+      }
+      
+      upload.importSystem(SystemManager, info, files, function(err) {
+        if (err) {
+          res.send(utils.errorToJson(`Could not import system ${info.id}: ${err.message}`));
+          return;
+        }
+        
+        res.send(SystemManager.getStatus(info.id));
+      });
+    });
+  
+  router.delete('/api/v0/system/:system', function(req, res) {
+    const systemId = req.params.system;
+    
+    if (!SystemManager.systemExists(systemId)) {
+      res.send(utils.errorToJson(`Bad system: ${systemId}`));
+      return;
+    }
+    
+    try {
+      upload.removeSystem(SystemManager, systemId);
+    } catch (err) {
+      res.send(utils.errorToJson(err.message));
+      return;
+    }
+    res.send({ id: systemId.toUpperCase(), removed: true });
+  });
+  
+  router.get('/api/v0/ranks/:system', function(req, res) {
+    const systemId = req.params.system;
+    
+    if (!SystemManager.systemExists(systemId)) {
+      res.send(utils.errorToJson(`Bad system: ${systemId}`));
+      return;
+    }
+    let mode = req.query.mode;
+    let sort = req.query.sort;
+    let limit = req.query.limit;
+    let offset = req.query.offset;
+    
+    if (typeof mode !== "undefined" && Mode.isValid(mode.toUpperCase())) {
+      mode = Mode[mode.toUpperCase()];
+    } else {
+      res.send(utils.errorToJson(`Bad mode: ${mode}`));
+      return;
+    }
+    
+    if (typeof sort !== "undefined") {
+      if (SortOrder.isValid(sort.toUpperCase())) {
+        sort = SortOrder[sort.toUpperCase()];
+      } else {
+        res.send(utils.errorToJson(`Bad sort order: ${sort}`));
+        return;
+      }
+    } else {
+      sort = SortOrder.DESC;
+    }
+    
+    if (typeof limit !== "undefined") {
+      limit = Number(limit);
+      
+      if (!Number.isInteger(limit) || limit < 1) {
+        res.send(utils.errorToJson(`Bad limit: ${req.query.limit}`));
+        return;
+      }
+    }
+    
+    if (typeof offset !== "undefined") {
+      offset = Number(offset);
+      
+      if (!Number.isInteger(offset) || offset < 0) {
+        res.send(utils.errorToJson(`Bad offset: ${req.query.offset}`));
+        return;
+      }
+    } else {
+      offset = 0;
+    }
+    
+    let parameters;
+    try {
+      parameters = parseParameters(req.query);
+    } catch (err) {
+      res.send(utils.errorToJson(err.message));
+      return;
+    }
+    
+    if (!SystemManager.isAnalyzed(systemId, mode)) {
+      res.send(analysisPending(SystemManager, systemId));
+      return;
+    }
+    
+    const graph = SystemManager.getGraph(systemId, GraphType.MERGED);
+    
+    SystemManager.getRanks(systemId, mode, parameters, function(err, scores, rankParameters) {
+      if (err) {
+        res.send(utils.errorToJson(`Ranking failed: ${err.message}`));
+        return;
+      }
+      
+      res.send(Object.assign({ mode: mode, parameters: rankParameters },
+        ranks.getRankPage(graph, mode, sort, limit, offset, scores)));
+    });
+  });
+  
+  router.get('/api/v0/compare', function(req, res) {
+    let mode = req.query.mode;
+    const systemIds = typeof req.query.systems === "undefined" ?
+      SystemManager.getIds() : req.query.systems.split(',');
+    
+    if (typeof mode !== "undefined" && Mode.isValid(mode.toUpperCase())) {
+      mode = Mode[mode.toUpperCase()];
+    } else {
+      res.send(utils.errorToJson(`Bad mode: ${mode}`));
+      return;
+    }
+    
+    for (let i = 0; i < systemIds.length; i++) {
+      if (!SystemManager.systemExists(systemIds[i])) {
+        res.send(utils.errorToJson(`Bad system: ${systemIds[i]}`));
+        return;
+      }
+    }
+    
+    // Systems whose ranks are still being calculated are listed with their
+    // analysis status, so the others can be compared in the meantime
+    const systems = systemIds.map(systemId => {
+      const system = SystemManager.get(systemId);
+      
+      if (!SystemManager.isAnalyzed(systemId, mode)) {
+        return Object.assign({ id: system.id, location: system.location }, analysisPending(SystemManager, systemId));
+      }
+      
+      const graph = SystemManager.getGraph(systemId, GraphType.MERGED);
+      
+      return Object.assign({ id: system.id, location: system.location }, describeDistribution(graph.ranks[mode]));
+    });
+    
+    res.send({ mode: mode, systems: systems });
+  });
+  
+  router.get('/api/v0/route/:system', function(req, res) {
+    const systemId = req.params.system;
+    
+    if (!SystemManager.systemExists(systemId)) {
+      res.send(utils.errorToJson(`Bad system: ${systemId}`));
+      return;
+    }
+    if (!checkLoaded(SystemManager, systemId, res)) {
+      return;
+    }
+    
+    const graph = getRoutingGraph(SystemManager, systemId, req.query, res);
+    if (typeof graph === "undefined") { return; }
+    const query = parseRouteQuery(graph, req.query, res);
+    if (typeof query === "undefined") { return; }
+    
+    // With a departure time, the route follows the trips of the timetable
+    if (typeof req.query.time !== "undefined") {
+      if (!SystemManager.hasTimetable(systemId)) {
+        res.send(utils.errorToJson(`No timetable for system: ${systemId}`));
+        return;
+      }
+      
+      const time = parseTime(req.query.time);
+      const date = req.query.date;
+      
+      if (isNaN(time)) {
+        res.send(utils.errorToJson(`Bad time (expected HH:MM:SS): ${req.query.time}`));
+        return;
+      }
+      if (!/^\d{8}$/.test(date)) {
+        res.send(utils.errorToJson(`Bad date (expected YYYYMMDD): ${date}`));
+        return;
+      }
+      
+      const journey = SystemManager.getTimetable(systemId).shortestPath(query.origin, query.destination, time, date);
+      if (typeof journey === "undefined") {
+        res.send(utils.errorToJson(`No route from ${req.query.from} to ${req.query.to} at ${req.query.time} on ${date}`));
+        return;
+      }
+      
+      res.send(routing.describeJourney(graph, query.origin, journey));
+      return;
+    }
+    
+    const nodes = routing.shortestPath(graph, query.origin, query.destination, {
+      transferPenalty: query.transferPenalty
+    });
+    if (typeof nodes === "undefined") {
+      res.send(utils.errorToJson(`No route from ${req.query.from} to ${req.query.to}`));
+      return;
+    }
+    
+    res.send(routing.describeRoute(graph, nodes, query.transferPenalty));
+  });
+  
+  router.get('/api/v0/routes/:system', function(req, res) {
+    const systemId = req.params.system;
+    
+    if (!SystemManager.systemExists(systemId)) {
+      res.send(utils.errorToJson(`Bad system: ${systemId}`));
+      return;
+    }
+    if (!checkLoaded(SystemManager, systemId, res)) {
+      return;
+    }
+    
+    const graph = getRoutingGraph(SystemManager, systemId, req.query, res);
+    if (typeof graph === "undefined") { return; }
+    const query = parseRouteQuery(graph, req.query, res);
+    if (typeof query === "undefined") { return; }
+    
+    let k = DEFAULT_NUM_ROUTES;
+    if (typeof req.query.k !== "undefined") {
+      k = Number(req.query.k);
+      
+      if (!Number.isInteger(k) || k < 1 || k > routing.MAX_PATHS) {
+        res.send(utils.errorToJson(`Bad number of routes (expected 1-${routing.MAX_PATHS}): ${req.query.k}`));
+        return;
+      }
+    }
+    
+    const paths = routing.kShortestPaths(graph, query.origin, query.destination, k, query.transferPenalty);
+    
+    res.send({
+      transferPenalty: query.transferPenalty,
+      routes: paths.map(nodes => routing.describeRoute(graph, nodes, query.transferPenalty))
+    });
+  });
+  
+  router.get('/api/v0/isochrone/:system', function(req, res) {
+    const systemId = req.params.system;
+    
+    if (!SystemManager.systemExists(systemId)) {
+      res.send(utils.errorToJson(`Bad system: ${systemId}`));
+      return;
+    }
+    if (!checkLoaded(SystemManager, systemId, res)) {
+      return;
+    }
+    
+    const graph = SystemManager.getGraph(systemId, GraphType.PRIMARY);
+    const origin = routing.findStopIndex(graph, req.query.from);
+    if (origin === -1) {
+      res.send(utils.errorToJson(`Bad origin stop: ${req.query.from}`));
+      return;
+    }
+    
+    let bands = isochrone.DEFAULT_BANDS;
+    if (typeof req.query.bands !== "undefined") {
+      bands = req.query.bands.split(',').map(Number);
+      
+      if (bands.some(minutes => isNaN(minutes) || minutes <= 0)) {
+        res.send(utils.errorToJson(`Bad time bands (expected minutes separated by commas): ${req.query.bands}`));
+        return;
+      }
+    }
+    
+    let budget = Math.max(...bands);
+    if (typeof req.query.minutes !== "undefined") {
+      budget = Number(req.query.minutes);
+      
+      if (isNaN(budget) || budget <= 0) {
+        res.send(utils.errorToJson(`Bad time budget (expected minutes): ${req.query.minutes}`));
+        return;
+      }
+    }
+    
+    res.send(isochrone.calculateIsochrone(graph, origin, budget, bands));
+  });
+  
+  router.post('/api/v0/scenario/:system', bodyParser.json(), function(req, res) {
+    const systemId = req.params.system;
+    
+    if (!SystemManager.systemExists(systemId)) {
+      res.send(utils.errorToJson(`Bad system: ${systemId}`));
+      return;
+    }
+    if (!checkLoaded(SystemManager, systemId, res)) {
+      return;
+    }
+    let type = req.query.type;
+    const closedStops = req.body.stops || [];
+    const closedEdges = req.body.edges || [];
+    
+    if (typeof type !== "undefined") {
+      if (GraphType.isValid(type.toUpperCase()) &&
+          (type.toUpperCase() === GraphType.PRIMARY || type.toUpperCase() === GraphType.MERGED)) {
+        type = GraphType[type.toUpperCase()];
+      } else {
+        res.send(utils.errorToJson(`Bad graph type (expected PRIMARY or MERGED): ${type}`));
+        return;
+      }
+    } else {
+      type = GraphType.PRIMARY;
+    }
+    
+    if (!Array.isArray(closedStops) || !Array.isArray(closedEdges) ||
+        closedStops.length + closedEdges.length === 0) {
+      res.send(utils.errorToJson(`Expected a list of stops and/or edges to close`));
+      return;
+    }
+    
+    const graph = SystemManager.getGraph(systemId, type);
+    const closedNodes = [];
+    const closedNodePairs = [];
+    
+    for (let i = 0; i < closedStops.length; i++) {
+      const node = routing.findStopIndex(graph, closedStops[i]);
+      
+      if (node === -1) {
+        res.send(utils.errorToJson(`Bad stop: ${closedStops[i]}`));
+        return;
+      }
+      closedNodes.push(node);
+    }
+    for (let i = 0; i < closedEdges.length; i++) {
+      const edge = closedEdges[i] || {};
+      const origin = routing.findStopIndex(graph, edge.from);
+      const destination = routing.findStopIndex(graph, edge.to);
+      
+      if (origin === -1 || destination === -1 || !graph.edgeExists(origin, destination)) {
+        res.send(utils.errorToJson(`Bad edge: ${edge.from} to ${edge.to}`));
+        return;
+      }
+      closedNodePairs.push([origin, destination]);
+    }
+    
+    const result = scenario.runScenario(graph, closedNodes, closedNodePairs);
+    
+    res.send(Object.assign({
+      type: type,
+      closedStops: closedStops,
+      closedEdges: closedEdges
+    }, result));
+  });
+  
+  router.post('/api/v0/proposal/:system', bodyParser.json(), function(req, res) {
+    const systemId = req.params.system;
+    
+    if (!SystemManager.systemExists(systemId)) {
+      res.send(utils.errorToJson(`Bad system: ${systemId}`));
+      return;
+    }
+    let mode = req.query.mode;
+    const proposedEdges = req.body.edges;
+    
+    if (typeof mode !== "undefined" && Mode.isValid(mode.toUpperCase())) {
+      mode = Mode[mode.toUpperCase()];
+    } else {
+      res.send(utils.errorToJson(`Bad mode: ${mode}`));
+      return;
+    }
+    
+    if (!Array.isArray(proposedEdges) || proposedEdges.length === 0) {
+      res.send(utils.errorToJson(`Expected a list of edges to add`));
+      return;
+    }
+    
+    if (!SystemManager.isAnalyzed(systemId, mode)) {
+      res.send(analysisPending(SystemManager, systemId));
+      return;
+    }
+    
+    const graph = SystemManager.getGraph(systemId, GraphType.MERGED);
+    const links = [];
+    
+    for (let i = 0; i < proposedEdges.length; i++) {
+      const edge = proposedEdges[i] || {};
+      const origin = routing.findStopIndex(graph, edge.from);
+      const destination = routing.findStopIndex(graph, edge.to);
+      
+      if (origin === -1 || destination === -1 || origin === destination) {
+        res.send(utils.errorToJson(`Bad edge: ${edge.from} to ${edge.to}`));
+        return;
+      }
+      if (graph.edgeExists(origin, destination)) {
+        res.send(utils.errorToJson(`Stops already connected: ${edge.from} to ${edge.to}`));
+        return;
+      }
+      
+      // Without a run time, the link is as fast as a theoretical route
+      let weight = edge.time;
+      if (typeof weight === "undefined") {
+        weight = estimateTravelTime(graph, origin, destination);
+      } else if (typeof weight !== "number" || !(weight > 0)) {
+        res.send(utils.errorToJson(`Bad run time: ${edge.time}`));
+        return;
+      }
+      links.push({ origin: origin, destination: destination, weight: weight });
+    }
+    
+    SystemManager.evaluateProposal(systemId, links, mode, function(err, result) {
+      if (err) {
+        res.send(utils.errorToJson(`Ranking failed: ${err.message}`));
+        return;
+      }
+      res.send(result);
+    });
+  });
+  
+  router.get('/api/v0/timetable/:system/closeness', function(req, res) {
+    const systemId = req.params.system;
+    
+    if (!SystemManager.systemExists(systemId)) {
+      res.send(utils.errorToJson(`Bad system: ${systemId}`));
+      return;
+    }
+    if (!SystemManager.hasTimetable(systemId)) {
+      res.send(utils.errorToJson(`No timetable for system: ${systemId}`));
+      return;
+    }
+    
+    const time = parseTime(req.query.time || '');
+    const date = req.query.date;
+    
+    if (isNaN(time)) {
+      res.send(utils.errorToJson(`Bad time (expected HH:MM:SS): ${req.query.time}`));
+      return;
+    }
+    if (!/^\d{8}$/.test(date)) {
+      res.send(utils.errorToJson(`Bad date (expected YYYYMMDD): ${date}`));
+      return;
+    }
+    
+    const timetable = SystemManager.getTimetable(systemId);
+    
+    SystemManager.getTimetableCloseness(systemId, time, date, function(err, closeness) {
+      if (err) {
+        res.send(utils.errorToJson(`Ranking failed: ${err.message}`));
+        return;
+      }
+      
+      const ranks = {};
+      closeness.forEach((rank, index) => {
+        ranks[timetable.stops[index].id] = rank;
+      });
+      
+      res.send({
+        time: req.query.time,
+        date: date,
+        ranks: ranks
+      });
+    });
+  });
+  
   //=================================================
   // Socket interface
   // This feature is Up in the Air. Except for use with
@@ -146,7 +863,7 @@ exports.listen = function(SystemManager, afterServerBoot) {
       logger.info(socketMsg.startDfs);
       
       let graph = SystemManager.getGraph(system, GraphType.PRIMARY);
-
+      
       traversals.dfs(graph,graph.getStopIndex(stopId),graphTraverser);
     });
     
@@ -168,18 +885,53 @@ exports.listen = function(SystemManager, afterServerBoot) {
       graph.dijkstra(graph.getStopIndex(originId), graph.getStopIndex(destinationId), graphTraverser);
     });
     
+    socket.on(socketMsg.startKShortest, function(system, originId, destinationId, transferPenalty) {
+      graphTraverser.reset();
+      logger.info(socketMsg.startKShortest);
+      
+      let graph = SystemManager.getGraph(system, GraphType.PRIMARY);
+      
+      const paths = routing.kShortestPaths(graph, graph.getStopIndex(originId), graph.getStopIndex(destinationId), DEFAULT_NUM_ROUTES, transferPenalty || 0);
+      const routes = paths.map(nodes => routing.describeRoute(graph, nodes, transferPenalty));
+      
+      // Draw the best path as visited edges and the alternatives as left edges
+      paths.forEach(function(nodes, index) {
+        for (let i = 1; i < nodes.length; i++) {
+          const edge = graph.createEdge(nodes[i - 1], nodes[i]);
+          
+          if (index === 0) {
+            graphTraverser.visit(edge);
+          } else {
+            graphTraverser.leave(edge);
+          }
+        }
+      });
+      
+      if (routes.length === 0) {
+        graphTraverser.summary({ pathLength: 0 });
+      }
+      // Each summary is shown above the previous one, so send the best last
+      for (let i = routes.length - 1; i >= 0; i--) {
+        graphTraverser.summary({ route: i + 1, pathLength: routes[i].totalTime, transfers: routes[i].transfers });
+      }
+    });
+    
     socket.on(socketMsg.getMode, function(system, mode) {
       graphTraverser.reset();
       logger.info(socketMsg.getMode,':',mode);
       
+      if (!Mode.isValid(mode)) {
+        throw new Error('Bad mode: ' + mode);
+      }
+      if (!SystemManager.isAnalyzed(system, mode)) {
+        logger.warn(`${system}: ${mode} requested before its analysis completed`);
+        return;
+      }
+      
       const graph = SystemManager.getGraph(system, GraphType.MERGED);
       
       const ranks = graph.ranks[mode];
       
-      if (typeof ranks === "undefined") {
-        throw new Error('Bad mode: ' + mode);
-      }
-      
       graphTraverser.recordRanks(ranks);
     });
   });
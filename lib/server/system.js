@@ -1,5 +1,11 @@
 'use strict';
 
+var AnalysisState = require('../enums').AnalysisState;
+var LoadState = require('../enums').LoadState;
+var GraphType = require('../enums').GraphType;
+var Mode = require('../enums').Mode;
+var DEFAULT_PARAMETERS = require('./parameters').DEFAULT_PARAMETERS;
+
 class System {
   constructor(id, location, latitude, longitude, graph) {
     this.id = id;
@@ -7,6 +13,57 @@ class System {
     this.latitude = latitude;
     this.longitude = longitude;
     this.graphs = {};
+    // Graphs weighted by service frequency, keyed by time band, and how far
+    // the ranking of each in a mode has got, keyed by band and mode
+    this.weightedGraphs = {};
+    this.weightedAnalysis = {};
+    this.timetable = undefined;
+    // Hash of the input files, under which the analyzed merged graph is cached
+    this.cacheKey = undefined;
+    // The algorithm parameters (see parameters.js) the merged graph is
+    // ranked with at boot, where they differ from the defaults
+    this.parameters = {};
+    // Ranks of the merged graph asked for with other parameters (keyed by
+    // parametersKey) and closeness in the timetable at a time and date,
+    // oldest first, and the callbacks waiting for those still being
+    // calculated
+    this.rankCache = new Map();
+    this.pendingRanks = {};
+    // The analysis processes running for the system
+    this.workers = new Set();
+    // Set once the system has been removed (see SystemManager.remove)
+    this.removed = false;
+    // How the last rebuild of the graphs from changed input files went (see
+    // dataWatcher.js), and how many have been swapped in
+    this.reload = {
+      state: AnalysisState.PENDING,
+      count: 0,
+      error: undefined
+    };
+    // How far the search for the links to add to the merged graph has got,
+    // if it was asked for
+    this.theoretical = {
+      enabled: false,
+      state: AnalysisState.PENDING,
+      fitness: undefined,
+      routes: [],
+      completedTypes: [],
+      error: undefined
+    };
+    // Set if the graph could not be built from the system's input files
+    this.loadError = undefined;
+    // The problems found in the input files when the graphs were built (see
+    // validation.js)
+    this.validation = undefined;
+    // How long each step of loading and analysis took, in milliseconds
+    this.timings = {};
+    // How far the ranking of the merged graph has got
+    this.analysis = {
+      state: AnalysisState.PENDING,
+      currentMode: undefined,
+      completedModes: [],
+      error: undefined
+    };
   }
   
   //-------------------------------------------------
@@ -19,7 +76,124 @@ class System {
       id: this.id,
       location: this.location,
       latitude: this.latitude,
-      longitude: this.longitude
+      longitude: this.longitude,
+      timeDependent: typeof this.timetable !== "undefined",
+      analysis: this.getAnalysisStatus()
+    };
+  }
+  
+  //-------------------------------------------------
+  // The state of the analysis, with its progress as the fraction of its
+  // steps which are done: ranking each mode, then the edges
+  getAnalysisStatus() {
+    const completedSteps = this.analysis.completedModes.length + (this.hasEdgeMetrics() ? 1 : 0);
+    
+    return {
+      state: this.analysis.state,
+      currentMode: this.analysis.currentMode,
+      completedModes: this.analysis.completedModes.slice(),
+      progress: completedSteps / (Mode.ALL.length + 1),
+      error: this.analysis.error
+    };
+  }
+  
+  getReloadStatus() {
+    return {
+      state: this.reload.state,
+      count: this.reload.count,
+      error: this.reload.error
+    };
+  }
+  
+  //-------------------------------------------------
+  // How many errors and warnings were found in the input files, once they
+  // have been checked (the validation API lists them)
+  getValidationStatus() {
+    if (typeof this.validation === "undefined") {
+      return undefined;
+    }
+    
+    return {
+      validation: this.validation.validation,
+      valid: !this.validation.hasErrors(),
+      errors: this.validation.errorCount,
+      warnings: this.validation.warningCount
+    };
+  }
+  
+  getTheoreticalStatus() {
+    return {
+      enabled: this.theoretical.enabled,
+      state: this.theoretical.state,
+      fitness: this.theoretical.fitness,
+      routes: this.theoretical.routes.slice(),
+      completedTypes: this.theoretical.completedTypes.slice(),
+      error: this.theoretical.error
+    };
+  }
+  
+  isAnalyzed(mode) {
+    return this.analysis.completedModes.indexOf(mode) !== -1;
+  }
+  
+  //-------------------------------------------------
+  // Whether the betweenness and criticality of the merged graph's edges are
+  // ready
+  hasEdgeMetrics() {
+    const graph = this.graphs[GraphType.MERGED];
+    
+    return typeof graph !== "undefined" && typeof graph.edgeMetrics !== "undefined";
+  }
+  
+  //-------------------------------------------------
+  // A system is loaded once both its primary and merged graphs are set
+  getLoadState() {
+    if (typeof this.loadError !== "undefined") {
+      return LoadState.FAILED;
+    }
+    if (typeof this.graphs[GraphType.PRIMARY] === "undefined" ||
+        typeof this.graphs[GraphType.MERGED] === "undefined") {
+      return LoadState.LOADING;
+    }
+    return LoadState.LOADED;
+  }
+  
+  //-------------------------------------------------
+  // Everything known about how far the system has got: whether its graphs
+  // are loaded, which modes have been ranked, how long each step took, the
+  // size of each graph and any errors along the way
+  getStatus() {
+    const metrics = {};
+    const graphs = {};
+    
+    Mode.ALL.forEach(mode => { metrics[mode] = this.isAnalyzed(mode); });
+    metrics.EDGES = this.hasEdgeMetrics();
+    GraphType.ALL.forEach(type => {
+      const graph = this.graphs[type];
+      
+      if (typeof graph !== "undefined") {
+        graphs[type] = {
+          nodes: graph.length(),
+          edges: graph.edgeList.length()
+        };
+      }
+    });
+    
+    return {
+      id: this.id,
+      load: {
+        state: this.getLoadState(),
+        error: this.loadError
+      },
+      analysis: this.getAnalysisStatus(),
+      theoretical: this.getTheoreticalStatus(),
+      reload: this.getReloadStatus(),
+      validation: this.getValidationStatus(),
+      // Every parameter the merged graph was ranked with, seed included
+      parameters: Object.assign({}, DEFAULT_PARAMETERS, this.parameters),
+      metrics: metrics,
+      timings: Object.assign({}, this.timings),
+      graphs: graphs
     };
   }
 }
@@ -1,36 +1,158 @@
 'use strict';
 
+var path = require('path');
+var os = require('os');
+var childProcess = require('child_process');
+var async = require('async');
 var System = require('./system');
 var TransitGraph = require('transit-tools').TransitGraph;
+var Edge = require('transit-tools').Edge;
+var EdgeList = require('transit-tools').EdgeList;
+var Timetable = require('./timetable');
+var frequency = require('./frequency');
+var createGraph = require('./createGraph');
+var createMergedGraph = createGraph.createMergedGraph;
+var graphCache = require('./graphCache');
+var proposal = require('./proposal');
 var logger = require('../logger');
-var traversals = require('transit-tools').traversals;
 var utils = require('../utils');
+var parameters = require('./parameters');
+var AnalysisMessage = require('./analysis').AnalysisMessage;
 var Mode = require('../enums').Mode;
 var GraphType = require('../enums').GraphType;
+var AnalysisState = require('../enums').AnalysisState;
+var LoadState = require('../enums').LoadState;
 
-const NUM_RANDOM_WALKS   = 50;
-const RANDOM_WALK_LENGTH = 50;
+const WORKER_PATH = path.resolve(__dirname, 'analysisWorker.js');
+
+// Each analysis keeps a processor busy, so run no more of them at once than
+// there are processors
+const MAX_CONCURRENT_ANALYSES = os.cpus().length;
+
+// Ranks with other parameters are kept for the most recent parameter sets
+const MAX_CACHED_RANKS = 20;
 
 class SystemManager {
   constructor() {
     this.systems = [];
+    // The systems by lowercase ID, so looking one up for each request does
+    // not search them all
+    this.index = new Map();
   }
   
   add(system) {
     utils.checkType(system, System);
     logger.info('SystemManager: adding ', system);
     this.systems.push(system);
+    this.updateIndex(system.id);
+  }
+  
+  //-------------------------------------------------
+  // Point the index at the first system with an ID, after the systems have
+  // changed
+  updateIndex(id) {
+    const key = id.toLowerCase();
+    const system = this.systems.filter(system => system.id.toLowerCase() === key)[0];
+    
+    if (typeof system === "undefined") {
+      this.index.delete(key);
+    } else {
+      this.index.set(key, system);
+    }
+  }
+  
+  //-------------------------------------------------
+  // Stop serving a system, stopping any analysis still running for it
+  remove(id) {
+    const system = this.get(id);
+    
+    logger.info(`${system.id}: SystemManager: removing`);
+    this.systems.splice(this.systems.indexOf(system), 1);
+    this.updateIndex(system.id);
+    system.removed = true;
+    system.workers.forEach(worker => worker.kill());
+  }
+  
+  //-------------------------------------------------
+  // Build a system's graphs again from its input files (see createGraph) and
+  // analyze them, then swap them in. Until then, and if anything fails, the
+  // old graphs and ranks are served. The new graphs are set up on a new
+  // System, which replaces the old one in a single step, so every request
+  // sees either the old graphs and ranks or the new ones. Requests already
+  // answering from the old System finish with it. Only one reload of a
+  // system runs at a time: another is refused until it is done.
+  //
+  // config - the system's entry in lib/systems.js (or its upload)
+  reloadSystem(id, config, callback) {
+    const current = this.get(id);
+    const startTime = Date.now();
+    
+    if (current.reload.state === AnalysisState.RUNNING) {
+      return callback(new Error('a reload is already running'));
+    }
+    
+    current.reload.state = AnalysisState.RUNNING;
+    current.reload.error = undefined;
+    
+    function fail(err) {
+      current.reload.state = AnalysisState.FAILED;
+      current.reload.error = err.message;
+      logger.error(`${current.id}: Reload failed: ${err.message}`);
+      callback(err);
+    }
+    
+    logger.info(`${current.id}: Reloading graph`);
+    createGraph(current.id, config, (err, graph, mergedGraph, timetable, cacheKey, timings, validation) => {
+      if (err) { return fail(err); }
+      
+      const system = new System(current.id, current.location, current.latitude, current.longitude);
+      
+      system.parameters = current.parameters;
+      system.graphs[GraphType.PRIMARY] = graph;
+      system.graphs[GraphType.MERGED] = mergedGraph;
+      system.timetable = timetable;
+      system.cacheKey = cacheKey;
+      system.validation = validation;
+      Object.assign(system.timings, timings);
+      
+      this.analyzeSystem(system, err => {
+        if (err) { return fail(err); }
+        if (current.removed) { return fail(new Error('system was removed')); }
+        // Only swap out the System if it is still the one being served
+        if (this.systems.indexOf(current) === -1) { return fail(new Error('system was replaced')); }
+        
+        system.reload.state = AnalysisState.COMPLETE;
+        system.reload.count = current.reload.count + 1;
+        system.timings.reload = Date.now() - startTime;
+        this.systems[this.systems.indexOf(current)] = system;
+        this.updateIndex(system.id);
+        logger.info(`${system.id}: Reloaded graph`);
+        
+        // The theoretical graphs of the old graph do not apply to the new one
+        if (current.theoretical.enabled) {
+          this.findTheoreticalGraphsOf(system, {
+            routes: current.theoretical.routes,
+            fitness: current.theoretical.fitness
+          }, function() {});
+        }
+        callback(null);
+      });
+    });
   }
   
   get(id) {
     logger.verbose(`${id}: getting system`);
-    let system = this.systems.filter(system => system.id.toLowerCase() === id.toLowerCase());
+    const system = this.index.get(id.toLowerCase());
     
-    if (system.length !== 1) {
+    if (typeof system === "undefined") {
       logger.error('system not found: ' + id);
     }
     
-    return system[0];
+    return system;
+  }
+  
+  getIds() {
+    return this.systems.map(system => system.id);
   }
   
   systemExists(id) {
@@ -56,6 +178,10 @@ class SystemManager {
     const system = this.get(id);
     
     system.graphs[type] = graph;
+    // Ranks with other parameters were calculated on the graph replaced
+    if (type === GraphType.MERGED) {
+      system.rankCache.clear();
+    }
   }
   
   getGraph(id, type) {
@@ -69,51 +195,515 @@ class SystemManager {
     return graph;
   }
   
-  analyzeGraphs() {
-    this.systems.forEach((system,index) => {
+  hasGraph(id, type) {
+    return typeof this.get(id).graphs[type] !== "undefined";
+  }
+  
+  setTimetable(id, timetable) {
+    utils.checkType(timetable, Timetable);
+    const system = this.get(id);
+    
+    system.timetable = timetable;
+    // Closeness was calculated from the timetable replaced
+    system.rankCache.clear();
+  }
+  
+  getTimetable(id) {
+    const system = this.get(id);
+    
+    if (typeof system.timetable === "undefined") {
+      throw new Error('timetable does not exist! id='+id);
+    }
+    
+    return system.timetable;
+  }
+  
+  hasTimetable(id) {
+    return typeof this.get(id).timetable !== "undefined";
+  }
+  
+  //-------------------------------------------------
+  // The report of the problems found in a system's input files (see
+  // validation.js)
+  setValidation(id, report) {
+    this.get(id).validation = report;
+  }
+  
+  getValidation(id) {
+    const system = this.get(id);
+    
+    if (typeof system.validation === "undefined") {
+      throw new Error('validation report does not exist! id='+id);
+    }
+    
+    return system.validation;
+  }
+  
+  hasValidation(id) {
+    return typeof this.get(id).validation !== "undefined";
+  }
+  
+  //-------------------------------------------------
+  // The algorithm parameters a system is ranked with at boot (see
+  // parameters.js). Throws an error for a bad value.
+  setParameters(id, values) {
+    this.get(id).parameters = parameters.parseParameters(values || {});
+  }
+  
+  getParameters(id) {
+    return this.get(id).parameters;
+  }
+  
+  //-------------------------------------------------
+  // The ranks of the merged graph in a mode, with the system's parameters
+  // overridden by those of a request. The ranks calculated at boot are used
+  // if the parameters the mode depends on are the same. Otherwise the ranks
+  // are calculated in a child process, and kept for the next request with
+  // the same parameters.
+  //
+  // callback(err, ranks, parameters) - the parameters are those the mode
+  //                                    depends on, defaults included
+  getRanks(id, mode, requestParameters, callback) {
+    const system = this.get(id);
+    const graph = this.getGraph(id, GraphType.MERGED);
+    const merged = Object.assign({}, system.parameters, requestParameters);
+    const resolved = parameters.resolveParameters(mode, merged);
+    const key = parameters.parametersKey(mode, merged);
+    
+    if (key === parameters.parametersKey(mode, system.parameters)) {
+      callback(null, graph.ranks[mode], resolved);
+      return;
+    }
+    
+    calculateOnce(system, key, () => {
+      return {
+        systemId: system.id,
+        graph: graphCache.serializeGraph(graph),
+        modes: [mode],
+        parameters: merged
+      };
+    }, message => {
+      return message.type === AnalysisMessage.ranks ? message.ranks : undefined;
+    }, function(err, ranks) {
+      callback(err, ranks, resolved);
+    });
+  }
+  
+  //-------------------------------------------------
+  // Rank the merged graph again in a mode with the proposed links added (see
+  // proposal.js), with the system's parameters, in a child process. Every
+  // proposal is different, so the ranks are not kept.
+  //
+  // callback(err, result) - the result of proposal.evaluateProposal
+  evaluateProposal(id, links, mode, callback) {
+    const system = this.get(id);
+    const graph = this.getGraph(id, GraphType.MERGED);
+    const request = {
+      systemId: system.id,
+      graph: graphCache.serializeGraph(proposal.createProposalGraph(graph, links)),
+      modes: [mode],
+      parameters: system.parameters
+    };
+    let ranks;
+    
+    runWorker(system, request, function(message) {
+      if (message.type === AnalysisMessage.ranks) {
+        ranks = message.ranks;
+      }
+    }, function(err) {
+      if (err) {
+        callback(err);
+        return;
+      }
+      callback(null, proposal.evaluateProposal(graph, links, mode, ranks));
+    });
+  }
+  
+  //-------------------------------------------------
+  // The closeness of every stop of a system's timetable when leaving at a
+  // time (in seconds after midnight) on a date (YYYYMMDD). This scans the
+  // timetable once from every stop, so it is done in a child process and
+  // kept for the next request for the same time and date.
+  getTimetableCloseness(id, time, date, callback) {
+    const system = this.get(id);
+    const timetable = this.getTimetable(id);
+    const key = `TIMETABLE_CLOSENESS?date=${date}&time=${time}`;
+    
+    calculateOnce(system, key, () => {
+      return {
+        systemId: system.id,
+        timetable: timetable.toJson(),
+        timetableCloseness: { time: time, date: date }
+      };
+    }, message => {
+      return message.type === AnalysisMessage.timetableCloseness ? message.ranks : undefined;
+    }, callback);
+  }
+  
+  setCacheKey(id, cacheKey) {
+    this.get(id).cacheKey = cacheKey;
+  }
+  
+  //-------------------------------------------------
+  // Whether a system's graphs are loaded, still loading or failed to load
+  // (see System.getLoadState)
+  getLoadState(id) {
+    return this.get(id).getLoadState();
+  }
+  
+  setLoadError(id, err) {
+    this.get(id).loadError = err.message;
+  }
+  
+  //-------------------------------------------------
+  // Record how long steps took (an object of milliseconds keyed by step)
+  addTimings(id, timings) {
+    Object.assign(this.get(id).timings, timings);
+  }
+  
+  getStatus(id) {
+    return this.get(id).getStatus();
+  }
+  
+  //-------------------------------------------------
+  // Whether the ranks of a mode are ready on the merged graph
+  isAnalyzed(id, mode) {
+    return this.get(id).isAnalyzed(mode);
+  }
+  
+  getAnalysisStatus(id) {
+    return this.get(id).getAnalysisStatus();
+  }
+  
+  getTheoreticalStatus(id) {
+    return this.get(id).getTheoreticalStatus();
+  }
+  
+  //-------------------------------------------------
+  // Get a graph whose route edges also carry the expected wait for a vehicle
+  // during a time band, creating it on first use
+  getFrequencyWeightedGraph(id, type, band) {
+    const system = this.get(id);
+    const primaryGraph = this.getGraph(id, GraphType.PRIMARY);
+    
+    if (!frequency.hasFrequencies(primaryGraph)) {
+      throw new Error('service frequencies were not loaded for id='+id);
+    }
+    if (type !== GraphType.PRIMARY && type !== GraphType.MERGED) {
+      throw new Error('graph cannot be weighted by frequency! type='+type);
+    }
+    
+    if (typeof system.weightedGraphs[band] === "undefined") {
+      logger.info(`${system.id}: Weighting graph by frequency during ${band}.`);
+      const graph = frequency.applyFrequencyWeighting(primaryGraph, band);
       
-      //-------------------------------------------------------
-      logger.info(`${system.id}: Starting analysis`);
-      const graph = this.getGraph(system.id, GraphType.MERGED);
-      graph.ranks = {};
+      system.weightedGraphs[band] = {
+        [GraphType.PRIMARY]: graph,
+        [GraphType.MERGED]: createMergedGraph(graph)
+      };
+    }
+    
+    return system.weightedGraphs[band][type];
+  }
+  
+  hasFrequencies(id) {
+    return frequency.hasFrequencies(this.getGraph(id, GraphType.PRIMARY));
+  }
+  
+  //-------------------------------------------------
+  // Rank the merged graph weighted by frequency during a band (see
+  // getFrequencyWeightedGraph) in a mode, in a child process. The ranks are
+  // kept on the weighted graph once they arrive, so each mode is only ranked
+  // once for each band. Returns how far the ranking has got, as the analysis
+  // status of a system does. A failure is reported once, and the ranking is
+  // tried again the next time it is asked for.
+  rankFrequencyWeightedGraph(id, band, mode) {
+    const system = this.get(id);
+    const graph = this.getFrequencyWeightedGraph(id, GraphType.MERGED, band);
+    const key = `${band}?mode=${mode}`;
+    const previous = system.weightedAnalysis[key];
+    
+    graph.ranks = graph.ranks || {};
+    if (typeof graph.ranks[mode] !== "undefined") {
+      return { state: AnalysisState.COMPLETE, error: undefined };
+    }
+    if (typeof previous !== "undefined" && previous.state === AnalysisState.FAILED) {
+      delete system.weightedAnalysis[key];
+      return Object.assign({}, previous);
+    }
+    
+    if (typeof system.weightedAnalysis[key] === "undefined") {
+      const analysis = { state: AnalysisState.RUNNING, error: undefined };
+      const request = {
+        systemId: system.id,
+        graph: graphCache.serializeGraph(graph),
+        modes: [mode],
+        parameters: system.parameters
+      };
       
-      //-------------------------------------------------------
-      logger.info(`${system.id}: Calculating ${NUM_RANDOM_WALKS} random walks of length ${RANDOM_WALK_LENGTH}.`);
-      graph.calculateRandomWalks(NUM_RANDOM_WALKS, RANDOM_WALK_LENGTH);
+      system.weightedAnalysis[key] = analysis;
+      logger.info(`${system.id}: Calculating ${mode} weighted by frequency during ${band}.`);
+      runWorker(system, request, function(message) {
+        if (message.type === AnalysisMessage.ranks) {
+          graph.ranks[mode] = message.ranks;
+        }
+      }, function(err) {
+        analysis.state = err ? AnalysisState.FAILED : AnalysisState.COMPLETE;
+        analysis.error = err ? err.message : undefined;
+      });
+    }
+    
+    return Object.assign({}, system.weightedAnalysis[key]);
+  }
+  
+  //-------------------------------------------------
+  // Rank the merged graph of every system, each in its own child process so
+  // the server keeps answering requests in the meantime. The ranks of each
+  // mode, and then the metrics of its edges, are stored on the graph as soon
+  // as they arrive, and the progress on the system.
+  analyzeGraphs(callback) {
+    this.systems.forEach(system => {
+      system.analysis.state = AnalysisState.PENDING;
+      system.analysis.error = undefined;
+    });
+    
+    async.eachLimit(this.systems, MAX_CONCURRENT_ANALYSES, (system, done) => {
+      this.analyzeSystem(system, function(err) {
+        // One system failing does not stop the others from being analyzed
+        done();
+      });
+    }, function() {
+      logger.info("");
+      logger.info("=====================");
+      logger.info("All systems analyzed.");
+      logger.info("=====================");
       
-      //-------------------------------------------------------
-      logger.info(`${system.id}: Calculating ${Mode.ACCESSIBILITY}.`);
-      graph.ranks[Mode.ACCESSIBILITY] = traversals.outwardAccessibility(graph);
+      if (callback) { callback(); }
+    });
+  }
+  
+  analyzeSystem(system, callback) {
+    if (system.getLoadState() !== LoadState.LOADED) {
+      system.analysis.state = AnalysisState.FAILED;
+      system.analysis.error = 'graph was not loaded';
+      callback(new Error(system.analysis.error));
+      return;
+    }
+    
+    logger.info(`${system.id}: Starting analysis`);
+    // The system may be a reload which has not been swapped in yet
+    const graph = system.graphs[GraphType.MERGED];
+    const startTime = Date.now();
+    // Ranks read back from the cache do not need to be calculated again
+    const modesToCalculate = Mode.ALL.filter(mode => !graph.ranks || typeof graph.ranks[mode] === "undefined");
+    graph.ranks = graph.ranks || {};
+    system.analysis.completedModes = Mode.ALL.filter(mode => modesToCalculate.indexOf(mode) === -1);
+    const calculateEdgeMetrics = typeof graph.edgeMetrics === "undefined";
+    
+    if (modesToCalculate.length === 0 && !calculateEdgeMetrics) {
+      system.analysis.state = AnalysisState.COMPLETE;
+      logger.info(`${system.id}: Analysis complete.`);
+      callback();
+      return;
+    }
+    
+    system.analysis.state = AnalysisState.RUNNING;
+    
+    const request = {
+      systemId: system.id,
+      graph: graphCache.serializeGraph(graph),
+      modes: modesToCalculate,
+      parameters: system.parameters,
+      edgeMetrics: calculateEdgeMetrics
+    };
+    
+    runWorker(system, request, function(message) {
+      switch (message.type) {
+        case AnalysisMessage.start:
+          logger.info(`${system.id}: Calculating ${message.mode}.`);
+          system.analysis.currentMode = message.mode;
+          break;
+        case AnalysisMessage.ranks:
+          logger.info(`${system.id}: Calculated ${message.mode} in ${message.duration} ms.`);
+          graph.ranks[message.mode] = message.ranks;
+          system.timings[message.mode] = message.duration;
+          system.analysis.completedModes.push(message.mode);
+          break;
+        case AnalysisMessage.edgeMetrics:
+          logger.info(`${system.id}: Calculated edge metrics in ${message.duration} ms.`);
+          graph.edgeMetrics = message.edgeMetrics;
+          system.timings.edgeMetrics = message.duration;
+          break;
+      }
+    }, function(err) {
+      system.analysis.currentMode = undefined;
+      system.timings.analysis = Date.now() - startTime;
       
-      //-------------------------------------------------------
-      logger.info(`${system.id}: Calculating ${Mode.PAGE_RANK}.`);
-      graph.ranks[Mode.PAGE_RANK] = traversals.pageRank(graph);
+      if (err) {
+        system.analysis.state = AnalysisState.FAILED;
+        system.analysis.error = err.message;
+        logger.error(`${system.id}: Analysis failed: ${err.message}`);
+      } else {
+        system.analysis.state = AnalysisState.COMPLETE;
+        if (typeof system.cacheKey !== "undefined" && !system.removed) {
+          graphCache.save(system.id, system.cacheKey, graph);
+        }
+        logger.info(`${system.id}: Analysis complete.`);
+      }
+      callback(err);
+    });
+  }
+  
+  //-------------------------------------------------
+  // Search for the links which would improve the merged graph of every
+  // analyzed system the most, adding 1 to 5 of them (see theoretical.js).
+  // This is slow, so it only runs when asked for, once the analysis is done.
+  // Each graph type THEORETICAL-<n>R holds the merged graph with n links
+  // added as soon as they are found.
+  //
+  // options:
+  //   routes  - the numbers of links to add
+  //   fitness - the Fitness the links should improve
+  findTheoreticalGraphs(options, callback) {
+    async.eachLimit(this.systems, MAX_CONCURRENT_ANALYSES, (system, done) => {
+      this.findTheoreticalGraphsOf(system, options, function(err) {
+        done();
+      });
+    }, function() {
+      logger.info("Theoretical graphs found.");
       
-      //-------------------------------------------------------
-      logger.info(`${system.id}: Calculating ${Mode.KATZ}.`);
-      graph.ranks[Mode.KATZ] = traversals.katzCentrality(graph);
+      if (callback) { callback(); }
+    });
+  }
+  
+  findTheoreticalGraphsOf(system, options, callback) {
+    const theoretical = system.theoretical;
+    
+    theoretical.enabled = true;
+    theoretical.fitness = options.fitness;
+    theoretical.routes = options.routes.slice();
+    theoretical.completedTypes = [];
+    theoretical.error = undefined;
+    
+    if (system.analysis.state !== AnalysisState.COMPLETE) {
+      theoretical.state = AnalysisState.FAILED;
+      theoretical.error = 'system was not analyzed';
+      callback(new Error(theoretical.error));
+      return;
+    }
+    
+    logger.info(`${system.id}: Searching for theoretical graphs by ${options.fitness}.`);
+    const graph = system.graphs[GraphType.MERGED];
+    const startTime = Date.now();
+    
+    theoretical.state = AnalysisState.RUNNING;
+    
+    // The search is seeded like the random walks, so it finds the same links
+    // every run
+    const request = {
+      systemId: system.id,
+      graph: graphCache.serializeGraph(graph),
+      theoretical: Object.assign({ seed: parameters.getSeed(system.parameters) }, options)
+    };
+    
+    runWorker(system, request, message => {
+      if (message.type !== AnalysisMessage.theoretical) { return; }
       
-      //-------------------------------------------------------
-      logger.info(`${system.id}: Calculating ${Mode.CLOSENESS}.`);
-      graph.ranks[Mode.CLOSENESS] = traversals.closenessCentrality(graph);
+      logger.info(`${system.id}: Found ${message.graphType} in ${message.duration} ms (fitness ${message.fitness}).`);
+      const edges = new EdgeList(message.edges.map(edge => new Edge(edge)));
       
-      //-------------------------------------------------------
-      // Calculate the theoretical graphs adding 1-5 new "routes"
-      //for (let numRoutes = 1; numRoutes <= 5; numRoutes++) {
-      //  let type = GraphType[`THEORETICAL-${numRoutes}R`];
-      //  
-      //  logger.info(`${system.id}: Calculating theoretical graph for ${type}.`);
-      //  const theoreticalGraph = traversals.findCriticalEdges(graph, numRoutes);
-      //  this.setGraph(system.id, type, theoreticalGraph);
-      //}
-    
-      logger.info(`${system.id}: Analysis complete.`);
+      system.graphs[message.graphType] = graph.createNewGraphWithEdges(edges);
+      system.timings[message.graphType] = message.duration;
+      theoretical.completedTypes.push(message.graphType);
+    }, function(err) {
+      system.timings.theoretical = Date.now() - startTime;
+      
+      if (err) {
+        theoretical.state = AnalysisState.FAILED;
+        theoretical.error = err.message;
+        logger.error(`${system.id}: Theoretical graph search failed: ${err.message}`);
+      } else {
+        theoretical.state = AnalysisState.COMPLETE;
+      }
+      callback(err);
     });
-    logger.info("");
-    logger.info("=====================");
-    logger.info("All systems analyzed.");
-    logger.info("=====================");
   }
 }
 
+//-------------------------------------------------
+// Run the request createRequest returns in an analysis process and keep its
+// result in the system's cache under a key, for the next request with the
+// same key. The same result is only calculated once, however many ask for it
+// while it is being calculated. getResult picks the result out of the
+// messages the process answers with (returning undefined for the others).
+function calculateOnce(system, key, createRequest, getResult, callback) {
+  if (system.rankCache.has(key)) {
+    callback(null, system.rankCache.get(key));
+    return;
+  }
+  if (typeof system.pendingRanks[key] !== "undefined") {
+    system.pendingRanks[key].push(callback);
+    return;
+  }
+  system.pendingRanks[key] = [callback];
+  
+  logger.info(`${system.id}: Calculating ${key}.`);
+  let result;
+  
+  runWorker(system, createRequest(), function(message) {
+    if (typeof getResult(message) !== "undefined") {
+      result = getResult(message);
+    }
+  }, function(err) {
+    const callbacks = system.pendingRanks[key];
+    delete system.pendingRanks[key];
+    
+    if (!err) {
+      system.rankCache.set(key, result);
+      if (system.rankCache.size > MAX_CACHED_RANKS) {
+        system.rankCache.delete(system.rankCache.keys().next().value);
+      }
+    }
+    callbacks.forEach(callback => callback(err, result));
+  });
+}
+
+//-------------------------------------------------
+// Send a request to a new analysis process (see analysisWorker.js), passing
+// every message it answers with to onMessage. The callback is called once,
+// when the process is done or has failed. The process is kept on the system
+// while it runs, so it can be stopped if the system is removed.
+function runWorker(system, request, onMessage, callback) {
+  const worker = childProcess.fork(WORKER_PATH);
+  let finished = false;
+  
+  function finish(err) {
+    if (finished) { return; }
+    finished = true;
+    system.workers.delete(worker);
+    callback(err);
+  }
+  
+  worker.on('message', function(message) {
+    switch (message.type) {
+      case AnalysisMessage.done:
+        finish();
+        break;
+      case AnalysisMessage.error:
+        finish(new Error(message.error));
+        break;
+      default:
+        onMessage(message);
+    }
+  });
+  worker.on('error', finish);
+  // Only reached without a done or error message if the process died
+  worker.on('close', function(code) {
+    finish(new Error(`analysis process exited with code ${code}`));
+  });
+  
+  system.workers.add(worker);
+  worker.send(request);
+}
+
 module.exports = new SystemManager;
\ No newline at end of file
@@ -0,0 +1,220 @@
+'use strict';
+
+var Edge = require('transit-tools').Edge;
+var EdgeList = require('transit-tools').EdgeList;
+var traversals = require('transit-tools').traversals;
+var travelTimes = require('./betweenness').travelTimes;
+var utils = require('../utils');
+var EdgeType = require('../enums').EdgeType;
+var GraphType = require('../enums').GraphType;
+var Fitness = require('../enums').Fitness;
+
+// The same search as traversals.findCriticalEdges
+const GENERATIONS = 20;
+const MUTATION_RATE = 40; // percent
+const POPULATION_SIZE = 10;
+
+const MAX_ROUTES = 5;
+
+// How many random pairs of stops are tried for a new link before looking
+// through every pair for the ones which are still missing
+const MAX_PROPOSAL_ATTEMPTS = 1000;
+
+// Proposed links are assumed to run as fast as the transit-tools estimate
+const AVERAGE_SPEED_IN_MPH = 30;
+const EARTH_RADIUS_IN_MILES = 3959;
+const SECONDS_PER_HOUR = 3600;
+
+//-------------------------------------------------
+// The graph type holding a system's merged graph with a number of proposed
+// routes added
+var getGraphType = function(numRoutes) {
+  return GraphType[`THEORETICAL-${numRoutes}R`];
+};
+
+//-------------------------------------------------
+// Great-circle distance between two stops
+function distanceInMiles(origin, destination) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const deltaLatitude = toRadians(destination.latitude - origin.latitude);
+  const deltaLongitude = toRadians(destination.longitude - origin.longitude);
+  const a = Math.pow(Math.sin(deltaLatitude / 2), 2) +
+            Math.cos(toRadians(origin.latitude)) * Math.cos(toRadians(destination.latitude)) *
+            Math.pow(Math.sin(deltaLongitude / 2), 2);
+  
+  return 2 * EARTH_RADIUS_IN_MILES * Math.asin(Math.sqrt(a));
+}
+
+//-------------------------------------------------
+// How long (in seconds) a new link between two stops would take, travelling
+// straight between them at the average speed
+var estimateTravelTime = function(graph, origin, destination) {
+  const miles = distanceInMiles(graph.stops[origin], graph.stops[destination]);
+  
+  // Stops at the same coordinates still take a moment to travel between
+  return Math.max(1, miles / AVERAGE_SPEED_IN_MPH * SECONDS_PER_HOUR);
+};
+
+//-------------------------------------------------
+// Every pair of stops which is not already connected. Links run both ways,
+// so each pair is only listed once.
+function missingPairs(graph) {
+  const pairs = [];
+  
+  for (let origin = 0; origin < graph.length(); origin++) {
+    for (let destination = origin + 1; destination < graph.length(); destination++) {
+      if (!graph.edgeExists(origin, destination)) {
+        pairs.push([origin, destination]);
+      }
+    }
+  }
+  
+  return pairs;
+}
+
+//-------------------------------------------------
+// A link between two random stops which are not already connected. Random
+// pairs are rarely connected in a transit system, so a few are tried before
+// falling back to the list of missing pairs, which is empty when the graph
+// has fewer than two stops or every stop is already linked to every other.
+// The stops are picked with the random generator given, or Math.random.
+var proposeEdge = function(graph, random) {
+  let origin, destination;
+  let attempts = 0;
+  
+  do {
+    if (attempts++ === MAX_PROPOSAL_ATTEMPTS) {
+      const pairs = missingPairs(graph);
+      
+      if (pairs.length === 0) {
+        throw new Error(`No links can be added to a graph of ${graph.length()} stops which are all connected`);
+      }
+      const pair = pairs[utils.rand(pairs.length, random)];
+      
+      origin = pair[0];
+      destination = pair[1];
+      break;
+    }
+    origin = utils.rand(graph.length(), random);
+    destination = utils.rand(graph.length(), random);
+  } while (origin === destination || graph.edgeExists(origin, destination));
+  
+  return new Edge({
+    type: EdgeType.THEORETICAL,
+    origin: origin,
+    destination: destination,
+    weight: estimateTravelTime(graph, origin, destination)
+  });
+};
+
+function meanCloseness(graph) {
+  return utils.mean(travelTimes(graph).map(row => {
+    return graph.length() / row.reduce((total, time) => total + time, 0);
+  }));
+}
+
+function meanTravelTime(graph) {
+  const reachable = [];
+  
+  travelTimes(graph).forEach((row, origin) => {
+    row.forEach((time, destination) => {
+      if (destination !== origin && time < Infinity) { reachable.push(time); }
+    });
+  });
+  
+  return reachable.length > 0 ? utils.mean(reachable) : 0;
+}
+
+//-------------------------------------------------
+// How well a graph serves its riders. Higher is better for every metric:
+//   CLOSENESS   - the mean closeness centrality of the stops
+//   PAGE_RANK   - how evenly importance is spread (1 / the standard
+//                 deviation of the page ranks)
+//   TRAVEL_TIME - how short trips are (the negative mean travel time
+//                 between the stops which can reach each other)
+var calculateFitness = function(graph, fitness) {
+  switch (fitness) {
+    case Fitness.CLOSENESS:
+      return meanCloseness(graph);
+    case Fitness.PAGE_RANK:
+      return 1 / utils.stDev(traversals.pageRank(graph));
+    case Fitness.TRAVEL_TIME:
+      return -meanTravelTime(graph);
+    default:
+      throw new Error('Bad fitness: ' + fitness);
+  }
+};
+
+//-------------------------------------------------
+// Search for the links which, added to a graph, improve its fitness the
+// most. A population of random sets of links evolves over a number of
+// generations: the fitter half survives each generation, and the rest is
+// replaced by crossing pairs of survivors, some of which are mutated by
+// swapping one of their links for a new random one. Every random choice is
+// drawn from the generator given (see utils.seededRandom), or Math.random.
+// Returns the fittest set of links with its fitness.
+var findTheoreticalEdges = function(graph, numRoutes, fitness, random) {
+  if (!Number.isInteger(numRoutes) || numRoutes < 1 || numRoutes > MAX_ROUTES) {
+    throw new Error(`Bad number of routes (expected 1-${MAX_ROUTES}): ${numRoutes}`);
+  }
+  
+  function evaluate(edges) {
+    return {
+      edges: edges,
+      fitness: calculateFitness(graph.createNewGraphWithEdges(new EdgeList(edges)), fitness)
+    };
+  }
+  function createSolution() {
+    const edges = [];
+    
+    for (let i = 0; i < numRoutes; i++) {
+      edges.push(proposeEdge(graph, random));
+    }
+    return edges;
+  }
+  function crossover(a, b) {
+    const middle = utils.coinFlip(random) ? Math.floor(numRoutes / 2) : Math.ceil(numRoutes / 2);
+    
+    return a.slice(0, middle).concat(b.slice(middle));
+  }
+  function mutate(edges) {
+    const mutated = edges.slice();
+    
+    mutated[utils.rand(mutated.length, random)] = proposeEdge(graph, random);
+    return mutated;
+  }
+  
+  let population = [];
+  for (let i = 0; i < POPULATION_SIZE; i++) {
+    population.push(evaluate(createSolution()));
+  }
+  
+  for (let generation = 0; generation < GENERATIONS; generation++) {
+    population.sort((a,b) => b.fitness - a.fitness);
+    
+    const survivors = population.slice(0, Math.ceil(POPULATION_SIZE / 2));
+    const children = [];
+    
+    while (survivors.length + children.length < POPULATION_SIZE) {
+      let edges = crossover(survivors[utils.rand(survivors.length, random)].edges, survivors[utils.rand(survivors.length, random)].edges);
+      
+      if (utils.randPercent(random) < MUTATION_RATE) {
+        edges = mutate(edges);
+      }
+      children.push(evaluate(edges));
+    }
+    population = survivors.concat(children);
+  }
+  
+  population.sort((a,b) => b.fitness - a.fitness);
+  return population[0];
+};
+
+module.exports = {
+  MAX_ROUTES: MAX_ROUTES,
+  getGraphType: getGraphType,
+  estimateTravelTime: estimateTravelTime,
+  proposeEdge: proposeEdge,
+  calculateFitness: calculateFitness,
+  findTheoreticalEdges: findTheoreticalEdges
+};
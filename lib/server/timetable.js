@@ -0,0 +1,264 @@
+'use strict';
+
+var EdgeType = require('../enums').EdgeType;
+
+// calendar_dates.txt exception types
+const SERVICE_ADDED = 1;
+const SERVICE_REMOVED = 2;
+
+//-------------------------------------------------
+// Find the index of the first connection departing at or after a time
+function firstDepartureAfter(connections, time) {
+  let lo = 0;
+  let hi = connections.length;
+
+  while (lo < hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (connections[mid].departure < time) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+
+  return lo;
+}
+
+//-------------------------------------------------
+// The schedule of a system: every trip's hop between two consecutive stops
+// with its departure and arrival time. Unlike a TransitGraph, whose edges
+// only carry the shortest run time between two stops, a Timetable answers
+// questions for a given time of day on a given service day.
+//
+// Stops are referred to by their index in the primary graph.
+class Timetable {
+  constructor(stops, schedule) {
+    const stopIndices = {};
+    stops.forEach((stop, index) => {
+      stopIndices[stop.id] = index;
+    });
+    const isKnown = row => typeof stopIndices[row.origin] !== "undefined" &&
+                           typeof stopIndices[row.destination] !== "undefined";
+
+    this.stops = stops;
+    this.calendar = schedule.calendar;
+    this.calendarDates = schedule.calendarDates;
+
+    // Connection scanning relies on the connections being ordered by departure
+    this.connections = schedule.connections.filter(isKnown).map(connection => {
+      return {
+        origin: stopIndices[connection.origin],
+        destination: stopIndices[connection.destination],
+        departure: connection.departure,
+        arrival: connection.arrival,
+        tripId: connection.tripId,
+        serviceId: connection.serviceId
+      };
+    }).sort((a,b) => a.departure - b.departure);
+
+    for (this.transfers = []; this.transfers.length < stops.length; this.transfers.push([]));
+    schedule.transfers.filter(isKnown).forEach(transfer => {
+      this.transfers[stopIndices[transfer.origin]].push({
+        destination: stopIndices[transfer.destination],
+        weight: transfer.weight
+      });
+    });
+  }
+
+  length() {
+    return this.stops.length;
+  }
+
+  //-------------------------------------------------
+  // The timetable as plain data, to be sent to an analysis process
+  toJson() {
+    return {
+      stops: this.stops,
+      calendar: this.calendar,
+      calendarDates: this.calendarDates,
+      connections: this.connections,
+      transfers: this.transfers
+    };
+  }
+
+  //-------------------------------------------------
+  // A timetable from the data toJson returns. Its stops are plain objects
+  // rather than Stops.
+  static fromJson(json) {
+    return Object.assign(Object.create(Timetable.prototype), json);
+  }
+
+  //-------------------------------------------------
+  // Whether trips of a service run on a date (YYYYMMDD)
+  isServiceActive(serviceId, date) {
+    return Timetable.isServiceActiveOn(this, serviceId, date);
+  }
+
+  //-------------------------------------------------
+  // Whether trips of a service run on a date (YYYYMMDD), according to the
+  // calendar and calendarDates of a schedule loaded from a feed
+  static isServiceActiveOn(schedule, serviceId, date) {
+    const exceptions = schedule.calendarDates[serviceId];
+    if (exceptions && exceptions[date] === SERVICE_ADDED) {
+      return true;
+    }
+    if (exceptions && exceptions[date] === SERVICE_REMOVED) {
+      return false;
+    }
+
+    const calendar = schedule.calendar[serviceId];
+    if (!calendar || date < calendar.startDate || date > calendar.endDate) {
+      return false;
+    }
+
+    const day = new Date(Date.UTC(
+      parseInt(date.substr(0, 4), 10),
+      parseInt(date.substr(4, 2), 10) - 1,
+      parseInt(date.substr(6, 2), 10)
+    )).getUTCDay();
+
+    return calendar.days[day];
+  }
+
+  //-------------------------------------------------
+  // Connection Scan: visit each connection in order of departure and keep it
+  // if its stop has been reached in time, or its trip has already been
+  // boarded. Returns the earliest arrival at each stop along with how the
+  // stop was reached.
+  scan(origin, departureTime, date) {
+    const arrivals = [];
+    const journeys = [];
+    const boarded = {};
+    const activeServices = {};
+
+    for (let i = 0; i < this.length(); i++) {
+      arrivals.push(Infinity);
+      journeys.push(undefined);
+    }
+    arrivals[origin] = departureTime;
+    this.relaxTransfers(origin, arrivals, journeys);
+
+    for (let i = firstDepartureAfter(this.connections, departureTime); i < this.connections.length; i++) {
+      const connection = this.connections[i];
+
+      if (typeof activeServices[connection.serviceId] === "undefined") {
+        activeServices[connection.serviceId] = this.isServiceActive(connection.serviceId, date);
+      }
+      if (!activeServices[connection.serviceId]) { continue; }
+
+      if (!boarded[connection.tripId] && arrivals[connection.origin] <= connection.departure) {
+        boarded[connection.tripId] = connection;
+      }
+      if (boarded[connection.tripId] && connection.arrival < arrivals[connection.destination]) {
+        arrivals[connection.destination] = connection.arrival;
+        journeys[connection.destination] = {
+          type: EdgeType.ROUTE,
+          board: boarded[connection.tripId],
+          alight: connection
+        };
+        this.relaxTransfers(connection.destination, arrivals, journeys);
+      }
+    }
+
+    return { arrivals: arrivals, journeys: journeys };
+  }
+
+  relaxTransfers(stop, arrivals, journeys) {
+    this.transfers[stop].forEach(transfer => {
+      if (arrivals[stop] + transfer.weight < arrivals[transfer.destination]) {
+        arrivals[transfer.destination] = arrivals[stop] + transfer.weight;
+        journeys[transfer.destination] = {
+          type: EdgeType.TRANSFER,
+          origin: stop,
+          weight: transfer.weight
+        };
+      }
+    });
+  }
+
+  //-------------------------------------------------
+  // The earliest time (in seconds after midnight) each stop can be reached
+  // when leaving the origin at departureTime on the given date
+  earliestArrivals(origin, departureTime, date) {
+    return this.scan(origin, departureTime, date).arrivals;
+  }
+
+  //-------------------------------------------------
+  // The fastest journey between two stops, as a list of legs which are
+  // either a ride on a single trip or a transfer. Returns undefined when the
+  // destination cannot be reached that day.
+  shortestPath(origin, destination, departureTime, date) {
+    const result = this.scan(origin, departureTime, date);
+    const legs = [];
+    let stop = destination;
+
+    if (result.arrivals[destination] === Infinity) {
+      return undefined;
+    }
+
+    while (stop !== origin) {
+      const journey = result.journeys[stop];
+
+      if (journey.type === EdgeType.TRANSFER) {
+        legs.unshift({
+          type: EdgeType.TRANSFER,
+          origin: journey.origin,
+          destination: stop,
+          departure: result.arrivals[journey.origin],
+          arrival: result.arrivals[journey.origin] + journey.weight
+        });
+        stop = journey.origin;
+      } else {
+        legs.unshift({
+          type: EdgeType.ROUTE,
+          tripId: journey.board.tripId,
+          origin: journey.board.origin,
+          destination: stop,
+          departure: journey.board.departure,
+          arrival: journey.alight.arrival
+        });
+        stop = journey.board.origin;
+      }
+
+      if (legs.length > this.length()) {
+        throw new Error('cycle detected during timetable path calculation!');
+      }
+    }
+
+    return {
+      departure: departureTime,
+      arrival: result.arrivals[destination],
+      duration: result.arrivals[destination] - departureTime,
+      legs: legs
+    };
+  }
+
+  //-------------------------------------------------
+  // Harmonic closeness centrality from the travel times experienced when
+  // leaving every stop at departureTime on the given date: the mean of the
+  // inverse travel time to every other stop, where the stops which cannot be
+  // reached that day count as 0
+  closenessCentrality(departureTime, date) {
+    const length = this.length();
+    const ranks = [];
+
+    for (let origin = 0; origin < length; origin++) {
+      const arrivals = this.earliestArrivals(origin, departureTime, date);
+      let summation = 0;
+
+      arrivals.forEach((arrival, destination) => {
+        const time = arrival - departureTime;
+
+        if (destination !== origin && time > 0) {
+          summation += 1 / time;
+        }
+      });
+
+      ranks.push(length > 1 ? summation / (length - 1) : 0);
+    }
+
+    return ranks;
+  }
+}
+
+module.exports = Timetable;
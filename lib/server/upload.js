@@ -0,0 +1,294 @@
+'use strict';
+
+/*
+  Systems added through the API (POST /api/v0/system) rather than
+  lib/systems.js. An upload is either the agency's GTFS zip or the same
+  stops/routes/edges CSVs the other systems are exported as. It is checked,
+  then written to data/<system>/ like any other system, along with a
+  system.json of its location, so it is loaded again at the next boot.
+*/
+
+var fs = require('fs');
+var path = require('path');
+var yauzl = require('yauzl');
+var createGraph = require('./createGraph');
+var graphCache = require('./graphCache');
+var dataWatcher = require('./dataWatcher');
+var validation = require('./validation');
+var System = require('./system');
+var Systems = require('../systems');
+var logger = require('../logger');
+var Validation = require('../enums').Validation;
+
+const INFO_FILENAME = 'system.json';
+const FEED_FILENAME = 'gtfs.zip';
+const CSV_FILES = Object.keys(validation.COLUMNS);
+
+// The files createGraph needs from a feed (see gtfsFeed.js)
+const REQUIRED_FEED_FILES = ['routes.txt', 'trips.txt', 'stops.txt', 'stop_times.txt'];
+
+const MAX_ID_LENGTH = 32;
+// Only so many problems are reported, however many lines have them
+const MAX_PROBLEMS = 10;
+
+// The systems being imported, so the same ID cannot be uploaded twice at once
+const importing = new Set();
+
+//-------------------------------------------------
+// Check the query string of an upload: the system's ID (letters, digits and
+// underscores), its location and optionally the latitude and longitude the
+// map centers on. Throws an error if any of them are bad.
+var parseSystemInfo = function(SystemManager, query) {
+  const id = typeof query.id === "undefined" ? '' : String(query.id).toUpperCase();
+  const info = { id: id };
+  
+  if (!/^[A-Z0-9_]+$/.test(id) || id.length > MAX_ID_LENGTH) {
+    throw new Error(`Bad system ID (expected up to ${MAX_ID_LENGTH} letters, digits or underscores): ${query.id}`);
+  }
+  if (typeof Systems[id] !== "undefined" || importing.has(id) ||
+      SystemManager.getIds().some(existing => existing.toUpperCase() === id) ||
+      fs.existsSync(createGraph.getSystemDir(id))) {
+    throw new Error(`System already exists: ${id}`);
+  }
+  if (typeof query.location === "undefined" || String(query.location).trim().length === 0) {
+    throw new Error('Missing location');
+  }
+  info.location = String(query.location).trim();
+  
+  [['latitude', 90], ['longitude', 180]].forEach(coordinate => {
+    const name = coordinate[0];
+    
+    if (typeof query[name] === "undefined") { return; }
+    
+    const value = Number(query[name]);
+    if (query[name] === '' || isNaN(value) || Math.abs(value) > coordinate[1]) {
+      throw new Error(`Bad ${name}: ${query[name]}`);
+    }
+    info[name] = value;
+  });
+  
+  return info;
+};
+
+//-------------------------------------------------
+// Find what would stop the CSVs from being loaded: missing files and the
+// errors found by strict validation (see validation.js). Returns a
+// description of each problem, with its file and line.
+var checkCsvFiles = function(files) {
+  const missing = CSV_FILES.filter(name => typeof files[name] !== "string" || files[name].trim().length === 0);
+  
+  if (missing.length > 0) {
+    return missing.map(name => `${name}.csv is missing`);
+  }
+  
+  const report = new validation.ValidationReport(Validation.STRICT, Infinity);
+  validation.checkDataFiles(files, report);
+  
+  return report.getErrors().map(validation.formatIssue);
+};
+
+//-------------------------------------------------
+// Make sure a GTFS zip can be read and has the files the graph is built from
+function checkFeed(buffer, callback) {
+  yauzl.fromBuffer(buffer, { lazyEntries: true }, function(err, zipfile) {
+    if (err) { return callback(new Error(`Bad GTFS zip: ${err.message}`)); }
+    
+    const found = new Set();
+    
+    zipfile.on('error', err => callback(new Error(`Bad GTFS zip: ${err.message}`)));
+    zipfile.on('entry', function(entry) {
+      found.add(path.basename(entry.fileName));
+      zipfile.readEntry();
+    });
+    zipfile.on('end', function() {
+      const missing = REQUIRED_FEED_FILES.filter(filename => !found.has(filename));
+      
+      if (missing.length > 0) {
+        return callback(new Error(`GTFS zip is missing ${missing.join(', ')}`));
+      }
+      callback(null);
+    });
+    zipfile.readEntry();
+  });
+}
+
+// The data directory only holds the files written here, so it is emptied
+// file by file
+function removeDataDir(systemId) {
+  const dataDir = createGraph.getSystemDir(systemId);
+  
+  if (!fs.existsSync(dataDir)) { return; }
+  
+  fs.readdirSync(dataDir).forEach(filename => fs.unlinkSync(path.join(dataDir, filename)));
+  fs.rmdirSync(dataDir);
+}
+
+//-------------------------------------------------
+// Build a system's graphs (see createGraph) and add it to the SystemManager.
+// The system's location is read from the config, and when the latitude or
+// longitude are left out the map centers on the mean of its stops.
+var registerSystem = function(SystemManager, systemId, config, callback) {
+  createGraph(systemId, config, function(err, graph, mergedGraph, timetable, cacheKey, timings, report) {
+    if (err) { return callback(err); }
+    if (graph.length() === 0 || graph.edgeList.length() === 0) {
+      return callback(new Error('The graph has no stops or no edges'));
+    }
+    
+    const latitude = typeof config.latitude === "undefined" ?
+      graph.stops.reduce((sum, stop) => sum + stop.latitude, 0) / graph.length() : config.latitude;
+    const longitude = typeof config.longitude === "undefined" ?
+      graph.stops.reduce((sum, stop) => sum + stop.longitude, 0) / graph.length() : config.longitude;
+    
+    SystemManager.add(new System(systemId, config.location, latitude, longitude));
+    SystemManager.setPrimaryGraph(systemId, graph);
+    SystemManager.setMergedGraph(systemId, mergedGraph);
+    SystemManager.setCacheKey(systemId, cacheKey);
+    SystemManager.addTimings(systemId, timings);
+    SystemManager.setValidation(systemId, report);
+    if (timetable) {
+      SystemManager.setTimetable(systemId, timetable);
+    }
+    callback(null);
+  });
+};
+
+//-------------------------------------------------
+// Check an upload, write it to the system's data directory, build its graphs
+// and add it to the SystemManager. The merged graph is then analyzed in the
+// background, so the callback is called as soon as the system is loaded.
+// Nothing is kept if any step fails. The system.json is written last, with
+// the map center found, so a half-imported system is never loaded at boot.
+//
+// upload - either { feed: <Buffer of the GTFS zip> } or the text of each
+//          CSV: { stops: ..., routes: ..., edges: ... }
+var importSystem = function(SystemManager, info, upload, callback) {
+  const systemId = info.id;
+  const dataDir = createGraph.getSystemDir(systemId);
+  const config = { location: info.location, latitude: info.latitude, longitude: info.longitude };
+  
+  function fail(err) {
+    importing.delete(systemId);
+    try {
+      removeDataDir(systemId);
+    } catch (removeErr) {
+      logger.error(`${systemId}: Could not remove ${dataDir}: ${removeErr.message}`);
+    }
+    callback(err);
+  }
+  
+  function write(err) {
+    if (err) { return fail(err); }
+    
+    try {
+      fs.mkdirSync(dataDir);
+      if (Buffer.isBuffer(upload.feed)) {
+        fs.writeFileSync(path.join(dataDir, FEED_FILENAME), upload.feed);
+      } else {
+        CSV_FILES.forEach(name => fs.writeFileSync(path.join(dataDir, `${name}.csv`), upload[name]));
+      }
+    } catch (err) {
+      return fail(err);
+    }
+    
+    logger.info(`${systemId}: Importing uploaded system`);
+    registerSystem(SystemManager, systemId, config, function(err) {
+      if (err) { return fail(err); }
+      
+      const system = SystemManager.get(systemId);
+      try {
+        fs.writeFileSync(path.join(dataDir, INFO_FILENAME), JSON.stringify({
+          location: system.location,
+          latitude: system.latitude,
+          longitude: system.longitude
+        }));
+      } catch (err) {
+        SystemManager.remove(systemId);
+        return fail(err);
+      }
+      
+      importing.delete(systemId);
+      dataWatcher.watchSystem(SystemManager, systemId, config);
+      SystemManager.analyzeSystem(system, function(err) {
+        if (err) { logger.error(`${systemId}: Uploaded system failed to analyze: ${err.message}`); }
+      });
+      callback(null);
+    });
+  }
+  
+  importing.add(systemId);
+  if (Buffer.isBuffer(upload.feed)) {
+    checkFeed(upload.feed, write);
+  } else {
+    const problems = checkCsvFiles(upload);
+    
+    if (problems.length > 0) {
+      const more = problems.length > MAX_PROBLEMS ? ` (and ${problems.length - MAX_PROBLEMS} more)` : '';
+      return fail(new Error(`Bad upload: ${problems.slice(0, MAX_PROBLEMS).join('; ')}${more}`));
+    }
+    write(null);
+  }
+};
+
+//-------------------------------------------------
+// Whether a system was added through the API, and so may be removed
+var isUploaded = function(systemId) {
+  return typeof Systems[systemId.toUpperCase()] === "undefined" &&
+    fs.existsSync(path.join(createGraph.getSystemDir(systemId), INFO_FILENAME));
+};
+
+//-------------------------------------------------
+// Remove an uploaded system from the SystemManager, along with its data
+// directory and its cached merged graph
+var removeSystem = function(SystemManager, systemId) {
+  if (!isUploaded(systemId)) {
+    throw new Error(`Only uploaded systems can be removed: ${systemId}`);
+  }
+  
+  if (!SystemManager.systemExists(systemId)) {
+    throw new Error(`Bad system: ${systemId}`);
+  }
+  
+  const id = SystemManager.get(systemId).id;
+  
+  dataWatcher.unwatchSystem(id);
+  SystemManager.remove(id);
+  removeDataDir(id);
+  graphCache.remove(id);
+  logger.info(`${id}: Removed uploaded system`);
+};
+
+//-------------------------------------------------
+// The configuration of every system uploaded before the last boot, keyed by
+// ID like lib/systems.js
+var getUploadedSystems = function() {
+  const systems = {};
+  
+  const dataDir = createGraph.getDataDirectory();
+  
+  if (!fs.existsSync(dataDir)) { return systems; }
+  
+  fs.readdirSync(dataDir).forEach(dirname => {
+    const systemId = dirname.toUpperCase();
+    const infoPath = path.join(dataDir, dirname, INFO_FILENAME);
+    
+    if (typeof Systems[systemId] !== "undefined" || !fs.existsSync(infoPath)) { return; }
+    
+    try {
+      systems[systemId] = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
+    } catch (err) {
+      logger.error(`${systemId}: Could not read ${infoPath}: ${err.message}`);
+    }
+  });
+  
+  return systems;
+};
+
+module.exports = {
+  parseSystemInfo: parseSystemInfo,
+  checkCsvFiles: checkCsvFiles,
+  registerSystem: registerSystem,
+  importSystem: importSystem,
+  isUploaded: isUploaded,
+  removeSystem: removeSystem,
+  getUploadedSystems: getUploadedSystems
+};
@@ -0,0 +1,321 @@
+'use strict';
+
+/*
+  Checks the stops, routes and edges CSVs a system's graph is built from
+  (data/<system>/*.csv), row by row, and records every problem found in a
+  ValidationReport along with its file and line:
+    
+    errors   - rows which cannot be loaded: the wrong number of columns, a
+               quote left open, a missing or duplicate stop ID, coordinates
+               which are not numbers or out of range, routes or edges of
+               stops which are not in stops.csv, edge types other than route
+               or transfer and weights which are negative or not numbers
+    warnings - rows which are skipped but do no harm: a header row and a
+               route listed twice for the same stop
+  
+  How errors are handled depends on the system's validation (see systems.js):
+  STRICT fails the load, while LENIENT (the default) skips the rows with
+  errors and loads the rest.
+*/
+
+var parseCsv = require('./csv').parseCsv;
+var logger = require('../logger');
+var EdgeType = require('../enums').EdgeType;
+var Validation = require('../enums').Validation;
+
+const DEFAULT_VALIDATION = Validation.LENIENT;
+
+// The columns of each CSV, which have no header row
+const COLUMNS = {
+  stops: ['stop_id', 'name', 'latitude', 'longitude'],
+  routes: ['stop_id', 'route_id', 'color'],
+  edges: ['origin', 'destination', 'type', 'weight']
+};
+
+// The names a header row may give the first column, which always holds a
+// stop ID, and the columns a header row does not have a number in
+const HEADER_NAMES = ['stop_id', 'stop', 'id', 'origin', 'from', 'source'];
+const NUMBER_COLUMNS = {
+  stops: [2, 3],
+  routes: [],
+  edges: [3]
+};
+
+// Only so many issues are logged, and kept by a report unless it is told
+// otherwise (every one is counted)
+const MAX_LOGGED_ISSUES = 20;
+const MAX_ISSUES = 1000;
+
+const ISSUE_ERROR = 'error';
+const ISSUE_WARNING = 'warning';
+
+class ValidationReport {
+  constructor(validation, maxIssues) {
+    this.validation = typeof validation === "undefined" ? DEFAULT_VALIDATION : validation;
+    this.maxIssues = typeof maxIssues === "undefined" ? MAX_ISSUES : maxIssues;
+    // The files checked, the number of errors and warnings found in them and
+    // the first of them, in the order found
+    this.files = [];
+    this.errorCount = 0;
+    this.warningCount = 0;
+    this.issues = [];
+  }
+  
+  error(file, line, message) {
+    this.errorCount++;
+    this.addIssue({ severity: ISSUE_ERROR, file: file, line: line, message: message });
+  }
+  
+  warning(file, line, message) {
+    this.warningCount++;
+    this.addIssue({ severity: ISSUE_WARNING, file: file, line: line, message: message });
+  }
+  
+  addIssue(issue) {
+    if (this.issues.length < this.maxIssues) {
+      this.issues.push(issue);
+    }
+  }
+  
+  //-------------------------------------------------
+  // The errors kept (see maxIssues)
+  getErrors() {
+    return this.issues.filter(issue => issue.severity === ISSUE_ERROR);
+  }
+  
+  hasErrors() {
+    return this.errorCount > 0;
+  }
+  
+  //-------------------------------------------------
+  // Whether the graph must not be loaded
+  isFatal() {
+    return this.validation === Validation.STRICT && this.hasErrors();
+  }
+  
+  //-------------------------------------------------
+  // The report as the validation API returns it, with at most limit issues
+  // (all those kept if no limit is given)
+  toJson(limit) {
+    const issues = typeof limit === "undefined" ? this.issues : this.issues.slice(0, limit);
+    
+    return {
+      validation: this.validation,
+      valid: !this.hasErrors(),
+      files: this.files.slice(),
+      errors: this.errorCount,
+      warnings: this.warningCount,
+      issues: issues.map(issue => Object.assign({}, issue)),
+      truncated: issues.length < this.errorCount + this.warningCount
+    };
+  }
+  
+  //-------------------------------------------------
+  // Log the number of errors and warnings and the first of them
+  log(systemId) {
+    const count = this.errorCount + this.warningCount;
+    
+    if (count === 0) { return; }
+    
+    const level = this.hasErrors() ? 'warn' : 'info';
+    
+    logger[level](`${systemId}: ${this.errorCount} errors and ${this.warningCount} warnings ` +
+      `in input files (${this.validation.toLowerCase()} validation)`);
+    this.issues.slice(0, MAX_LOGGED_ISSUES).forEach(issue => {
+      logger[level](`${systemId}: ${issue.severity}: ${formatIssue(issue)}`);
+    });
+    if (count > MAX_LOGGED_ISSUES) {
+      logger[level](`${systemId}: ...and ${count - MAX_LOGGED_ISSUES} more`);
+    }
+  }
+}
+
+//-------------------------------------------------
+// Describe an issue along with its file and line, such as
+// 'edges.csv line 2: unknown stop 3'
+var formatIssue = function(issue) {
+  return `${issue.file} line ${issue.line}: ${issue.message}`;
+};
+
+//-------------------------------------------------
+// The validation a system's config asks for, or the default. Throws an error
+// for a bad value.
+var parseValidation = function(value) {
+  if (typeof value === "undefined") {
+    return DEFAULT_VALIDATION;
+  }
+  if (!Validation.isValid(String(value).toUpperCase())) {
+    throw new Error(`Bad validation (expected strict or lenient): ${value}`);
+  }
+  
+  return Validation[String(value).toUpperCase()];
+};
+
+function isNumber(field) {
+  return field.trim().length > 0 && !isNaN(Number(field));
+}
+
+function isHeader(name, record) {
+  return record.fields.length === COLUMNS[name].length &&
+    HEADER_NAMES.indexOf(record.fields[0].trim().toLowerCase()) !== -1 &&
+    NUMBER_COLUMNS[name].every(column => !isNumber(record.fields[column]));
+}
+
+// Parse one of the CSVs, reporting the records which could not be read or
+// have the wrong number of columns, and the header row if there is one.
+// Returns the records left.
+function readRecords(name, text, report) {
+  const file = `${name}.csv`;
+  const columns = COLUMNS[name];
+  
+  report.files.push(file);
+  
+  return parseCsv(text).filter((record, i) => {
+    if (typeof record.error !== "undefined") {
+      report.error(file, record.line, record.error);
+      return false;
+    }
+    if (i === 0 && isHeader(name, record)) {
+      report.warning(file, record.line, 'skipped header row');
+      return false;
+    }
+    if (record.fields.length !== columns.length) {
+      report.error(file, record.line, `expected ${columns.length} columns (${columns.join(',')})`);
+      return false;
+    }
+    return true;
+  });
+}
+
+//-------------------------------------------------
+// The stops of stops.csv: { id, name, latitude, longitude, line }. Stops with
+// bad coordinates are returned as skipped, so that their routes and edges
+// are left out along with them rather than reported as unknown. Of stops
+// sharing an ID, only the first is kept.
+var checkStops = function(text, report) {
+  const stops = [];
+  const lines = new Map();
+  
+  readRecords('stops', text, report).forEach(record => {
+    const fields = record.fields;
+    const id = fields[0].trim();
+    const latitude = Number(fields[2]);
+    const longitude = Number(fields[3]);
+    const stop = { id: id, name: fields[1], latitude: latitude, longitude: longitude, line: record.line };
+    
+    if (id.length === 0) {
+      return report.error('stops.csv', record.line, 'missing stop ID');
+    }
+    if (lines.has(id)) {
+      return report.error('stops.csv', record.line, `duplicate stop ${id} (first on line ${lines.get(id)})`);
+    }
+    if (!isNumber(fields[2]) || !isNumber(fields[3]) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      report.error('stops.csv', record.line, 'bad coordinates');
+      stop.skipped = true;
+    }
+    
+    lines.set(id, record.line);
+    stops.push(stop);
+  });
+  
+  return stops;
+};
+
+// The IDs of the stops checkStops kept, and of those it skipped
+function getStopIds(stops) {
+  return {
+    kept: new Set(stops.filter(stop => !stop.skipped).map(stop => stop.id)),
+    skipped: new Set(stops.filter(stop => stop.skipped).map(stop => stop.id))
+  };
+}
+
+//-------------------------------------------------
+// The routes of routes.csv, for the stops found by checkStops:
+// { stopId, routeId, color, line }
+var checkRoutes = function(text, stops, report) {
+  const stopIds = getStopIds(stops);
+  const routes = [];
+  const seen = new Set();
+  
+  readRecords('routes', text, report).forEach(record => {
+    const stopId = record.fields[0].trim();
+    const routeId = record.fields[1].trim();
+    const key = `${stopId},${routeId}`;
+    
+    if (stopIds.skipped.has(stopId)) { return; }
+    if (!stopIds.kept.has(stopId)) {
+      return report.error('routes.csv', record.line, `unknown stop ${stopId}`);
+    }
+    if (seen.has(key)) {
+      return report.warning('routes.csv', record.line, `route ${routeId} is listed twice for stop ${stopId}`);
+    }
+    
+    seen.add(key);
+    routes.push({ stopId: stopId, routeId: routeId, color: record.fields[2].trim(), line: record.line });
+  });
+  
+  return routes;
+};
+
+//-------------------------------------------------
+// The edges of edges.csv, between the stops found by checkStops:
+// { origin, destination, type, weight, line }. The same stops may be joined
+// by many rows, one for each trip between them.
+var checkEdges = function(text, stops, report) {
+  const stopIds = getStopIds(stops);
+  const edges = [];
+  
+  readRecords('edges', text, report).forEach(record => {
+    const fields = record.fields;
+    const origin = fields[0].trim();
+    const destination = fields[1].trim();
+    const type = fields[2].trim().toUpperCase();
+    const weight = Number(fields[3]);
+    const problems = [];
+    
+    [origin, destination].forEach(stopId => {
+      if (!stopIds.kept.has(stopId) && !stopIds.skipped.has(stopId)) {
+        problems.push(`unknown stop ${stopId}`);
+      }
+    });
+    if (type !== EdgeType.ROUTE && type !== EdgeType.TRANSFER) {
+      problems.push(`bad edge type ${fields[2]} (expected route or transfer)`);
+    }
+    if (!isNumber(fields[3]) || weight < 0) {
+      problems.push(`bad weight ${fields[3]}`);
+    }
+    
+    problems.forEach(problem => report.error('edges.csv', record.line, problem));
+    if (problems.length > 0 || stopIds.skipped.has(origin) || stopIds.skipped.has(destination)) {
+      return;
+    }
+    edges.push({ origin: origin, destination: destination, type: type, weight: Math.floor(weight), line: record.line });
+  });
+  
+  return edges;
+};
+
+//-------------------------------------------------
+// Check the text of a system's three CSVs, returning the stops, routes and
+// edges which can be loaded (see checkStops, checkRoutes and checkEdges)
+var checkDataFiles = function(files, report) {
+  const stops = checkStops(files.stops, report);
+  
+  return {
+    stops: stops.filter(stop => !stop.skipped),
+    routes: checkRoutes(files.routes, stops, report),
+    edges: checkEdges(files.edges, stops, report)
+  };
+};
+
+module.exports = {
+  DEFAULT_VALIDATION: DEFAULT_VALIDATION,
+  COLUMNS: COLUMNS,
+  ValidationReport: ValidationReport,
+  formatIssue: formatIssue,
+  parseValidation: parseValidation,
+  checkStops: checkStops,
+  checkRoutes: checkRoutes,
+  checkEdges: checkEdges,
+  checkDataFiles: checkDataFiles
+};
@@ -16,23 +16,43 @@ var mean = function(list) {
   return rankSum / list.length;
 };
 
+// The population standard deviation, which logRanks and the descriptions of
+// distributions both report
 var stDev = function(list) {
+  const listMean = mean(list);
   const variance = list.reduce(function(previousValue, currentValue, currentIndex, array) {
-    return previousValue + Math.pow((currentValue - mean(list)),2);
-  }) / list.length;
+    return previousValue + Math.pow((currentValue - listMean),2);
+  }, 0) / list.length;
   return Math.sqrt(variance);
 };
 
-var rand = function(range) {
-  return Math.floor(Math.random() * range);
+// A generator of random numbers between 0 and 1, like Math.random, which
+// always returns the same sequence for the same seed (Mulberry32)
+var seededRandom = function(seed) {
+  let state = seed >>> 0;
+  
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// A random whole number below range. The numbers are drawn from Math.random
+// unless another generator is given (see seededRandom), and so are those of
+// randPercent and coinFlip.
+var rand = function(range, random) {
+  return Math.floor((random || Math.random)() * range);
 };
 
-var randPercent = function() {
-  return rand(100);
+var randPercent = function(random) {
+  return rand(100, random);
 };
 
-var coinFlip = function() {
-  const val = rand(2);
+var coinFlip = function(random) {
+  const val = rand(2, random);
   if (val !== 0 && val !== 1) {
     throw new Error('bad coin flip');
   }
@@ -70,6 +90,26 @@ var checkType = function(item, klass) {
   }
 };
 
+// Write rows of objects as CSV (RFC 4180): a header of the columns, then a
+// line for each row. Fields with commas, quotes or line breaks are quoted,
+// and lists are joined with spaces.
+var toCsv = function(rows, columns) {
+  function field(value) {
+    if (typeof value === "undefined" || value === null) { return ''; }
+    
+    const text = Array.isArray(value) ? value.join(' ') : String(value);
+    
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+  
+  const lines = [ columns.map(field).join(',') ];
+  rows.forEach(row => {
+    lines.push(columns.map(column => field(row[column])).join(','));
+  });
+  
+  return lines.join('\n') + '\n';
+};
+
 var errorToJson = function(msg) {
   return { "error": msg };
 };
@@ -79,9 +119,11 @@ module.exports = {
   mean: mean,
   stDev: stDev,
   rand: rand,
+  seededRandom: seededRandom,
   randPercent: randPercent,
   coinFlip: coinFlip,
   logRanks: logRanks,
   checkType: checkType,
+  toCsv: toCsv,
   errorToJson: errorToJson
 };
\ No newline at end of file
@@ -0,0 +1,147 @@
+import React from 'react';
+import DOM from 'react-dom';
+import classNames from 'classnames';
+import { GitHubRibbon } from '../../lib/dom/index';
+var Mode = require('../../lib/enums').Mode;
+
+const API = `https://${window.location.hostname}/api/v0/`;
+
+// Each system's histogram is drawn in its own colour, see-through so the
+// others show beneath it
+const COLORS = ['#ff0000', '#0000ff', '#00aa00', '#ff8000', '#aa00ff'];
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 300;
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+var Histograms = React.createClass({
+  render: function() {
+    const { systems } = this.props;
+    const maxFraction = Math.max(...systems.map(system => {
+      return Math.max(...system.histogram.map(bin => bin.fraction));
+    }));
+    
+    let bars = systems.map(function(system, i) {
+      return system.histogram.map(function(bin) {
+        const height = maxFraction > 0 ? bin.fraction / maxFraction * CHART_HEIGHT : 0;
+        
+        return (
+          <rect
+            key={system.id + bin.from}
+            x={bin.from * CHART_WIDTH}
+            y={CHART_HEIGHT - height}
+            width={(bin.to - bin.from) * CHART_WIDTH}
+            height={height}
+            fill={COLORS[i % COLORS.length]}
+            fillOpacity={0.35}
+            stroke={COLORS[i % COLORS.length]}
+          >
+            <title>{system.location}: {Math.round(bin.fraction * 100)}% of stops between {bin.from} and {bin.to}</title>
+          </rect>
+        );
+      });
+    });
+    
+    return (
+      <svg width={CHART_WIDTH} height={CHART_HEIGHT + 20}>
+        {bars}
+        <text x={0} y={CHART_HEIGHT + 15}>0 (lowest score)</text>
+        <text x={CHART_WIDTH} y={CHART_HEIGHT + 15} textAnchor='end'>1 (highest score)</text>
+      </svg>
+    );
+  }
+});
+
+var CompareDisplay = React.createClass({
+  getInitialState: function() {
+    return {
+      mode: Mode.CLOSENESS,
+      systems: []
+    };
+  },
+  componentDidMount: function() {
+    this._fetchComparison(this.state.mode);
+  },
+  _fetchComparison: function(mode) {
+    $.getJSON(`${API}compare?mode=${mode}`, (json) => {
+      if (json.error) { return; }
+      
+      this.setState({ systems: json.systems });
+    });
+  },
+  _handleModeChange: function(mode) {
+    this._fetchComparison(mode);
+    this.setState({ mode });
+  },
+  render: function() {
+    const { mode, systems } = this.state;
+    const self = this;
+    
+    // Systems still being analyzed are left out until they are ready
+    const analyzed = systems.filter(system => typeof system.error === "undefined");
+    
+    let modes = Mode.ALL.map(function(m) {
+      let btnClasses = classNames({
+        btn: true,
+        'btn-primary': m === mode
+      });
+      return (<button className={btnClasses} onClick={self._handleModeChange.bind(null, m)} key={m}>{m}</button>);
+    });
+    let rows = analyzed.map(function(system, i) {
+      return (
+        <tr key={system.id}>
+          <td><span style={{color: COLORS[i % COLORS.length]}}>&#9632;</span> {system.location}</td>
+          <td>{system.stops}</td>
+          <td>{round(system.mean)}</td>
+          <td>{round(system.stDev)}</td>
+          <td>{round(system.gini)}</td>
+          <td>{round(system.percentiles[10])}</td>
+          <td>{round(system.percentiles[50])}</td>
+          <td>{round(system.percentiles[90])}</td>
+        </tr>
+      );
+    });
+    let pending = systems.filter(system => typeof system.error !== "undefined").map(function(system) {
+      return (<li key={system.id}>{system.location}: analysis {system.analysis.state.toLowerCase()}</li>);
+    });
+    
+    return (
+      <div className='container'>
+        <GitHubRibbon />
+        <h1>Comparing Systems</h1>
+        <p>How evenly importance is spread among the stations of each system. Scores are scaled between 0 (the system's lowest) and 1 (its highest), and each histogram shows the share of a system's stations in each band. The Gini coefficient is 0 when every station is equally important and approaches 1 the more a few stations dominate.</p>
+        <div className='mode-selector'>
+          {modes}
+        </div>
+        <Histograms systems={analyzed} />
+        <table className='table'>
+          <thead>
+            <tr>
+              <th>System</th>
+              <th>Stations</th>
+              <th>Mean</th>
+              <th>Std. Dev.</th>
+              <th>Gini</th>
+              <th>10th</th>
+              <th>Median</th>
+              <th>90th</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows}
+          </tbody>
+        </table>
+        { pending.length > 0 && (
+          <ul>{pending}</ul>
+        )}
+      </div>
+    );
+  }
+});
+
+DOM.render(
+  <CompareDisplay />,
+  document.getElementById('content')
+);
@@ -10,6 +10,17 @@ import Systems from '../../lib/systems.js';
 var onClickOutside = require('react-onclickoutside');
 
 const systemID = 'MTA';
+const DEFAULT_TRANSFER_PENALTY = 300;
+
+// Both shortest path modes need an origin and a destination
+function isPathMode(mode) {
+  return mode === socketMsg.dijkstra || mode === socketMsg.kShortest;
+}
+
+// The traversals and the isochrone only need an origin
+function isOriginMode(mode) {
+  return mode === socketMsg.dfs || mode === socketMsg.bfs || mode === socketMsg.isochrone;
+}
 
 var App = React.createClass({
   getInitialState: function() {
@@ -21,6 +32,7 @@ var App = React.createClass({
       mode: socketMsg.dijkstra,
       origin: undefined,
       destination: undefined,
+      transferPenalty: DEFAULT_TRANSFER_PENALTY,
       hoverStop: undefined
     };
   },
@@ -87,22 +99,29 @@ var App = React.createClass({
       return stop.name + ': ' + stop.rank;
     });
   },
+  _formatDuration: function(pathLength) {
+    let hours = Math.floor(pathLength / 3600);
+    let minutes = Math.floor((pathLength % 3600) / 60);
+    if (hours === 1) {
+      return hours + ' hour, ' + minutes + ' minutes';
+    } else if (hours > 1) {
+      return hours + ' hours, ' + minutes + ' minutes';
+    } else if (hours === 0) {
+      return minutes + ' minutes';
+    } else {
+      throw 'bad data';
+    }
+  },
   _parseSummaryMessage: function(summary) {
     var summaryMsg;
-    if (summary.hasOwnProperty('pathLength')) {
-      let hours = Math.floor(summary.pathLength / 3600);
-      let minutes = Math.floor((summary.pathLength % 3600) / 60);
-      summaryMsg = 'Duration: ';
-      if (hours === 1) {
-        summaryMsg += hours + ' hour, ' + minutes + ' minutes';
-      } else if (hours > 1) {
-        summaryMsg += hours + ' hours, ' + minutes + ' minutes';
-      } else if (hours === 0 && minutes !== 0) {
-        summaryMsg += minutes + ' minutes';
-      } else if (hours === 0 && minutes === 0) {
+    if (summary.hasOwnProperty('route')) {
+      let transfers = summary.transfers === 1 ? '1 transfer' : summary.transfers + ' transfers';
+      summaryMsg = 'Route ' + summary.route + ': ' + this._formatDuration(summary.pathLength) + ', ' + transfers;
+    } else if (summary.hasOwnProperty('pathLength')) {
+      if (summary.pathLength < 60) {
         summaryMsg = 'No path!';
       } else {
-        throw 'bad data';
+        summaryMsg = 'Duration: ' + this._formatDuration(summary.pathLength);
       }
     } else if (summary.hasOwnProperty('stationsVisited')) {
       summaryMsg = 'Stations Visited: ' + summary.stationsVisited;
@@ -129,13 +148,33 @@ var App = React.createClass({
       .slice(0,numToReturn);
   },
   handleRun: function(mode, origin, destination) {
+    if (mode === socketMsg.isochrone) {
+      this.refs.map.clearTrace();
+      this._runIsochrone(origin);
+      return;
+    }
     var msg = 'start ' + mode;
-    this.state.socket.emit(msg, this.system, origin, destination);
+    this.state.socket.emit(msg, this.system, origin, destination, this.state.transferPenalty);
     this._clearTrace();
     this.setState({ infoBoxContents: [] });
   },
+  _runIsochrone: function(origin) {
+    $.getJSON(`/api/v0/isochrone/${this.system}?from=${encodeURIComponent(origin)}`, (isochrone) => {
+      if (isochrone.error) { throw isochrone.error; }
+      
+      this.refs.map.showIsochrone(isochrone);
+      this.setState({
+        infoBoxSnapshot: isochrone.bands.features.map(band => {
+          return band.properties.minutes + ' minutes: ' + band.properties.stopCount + ' stations';
+        })
+      });
+    });
+  },
   _clearTrace: function() {
-    setTimeout(() => { this.refs.map.clearTrace()}, 80);
+    setTimeout(() => {
+      this.refs.map.clearTrace();
+      this.refs.map.clearIsochrone();
+    }, 80);
   },
   handleStop: function() {
     this.state.socket.emit(socketMsg.clearQueue);
@@ -149,7 +188,7 @@ var App = React.createClass({
     }
   },
   _handleStopClick: function(stopId) {
-    if (this.state.mode !== socketMsg.dijkstra && this.state.mode !== socketMsg.pageRank) {
+    if (!isPathMode(this.state.mode) && this.state.mode !== socketMsg.pageRank) {
       this.handleEndpointSetById('origin', stopId);
     }
   },
@@ -167,6 +206,9 @@ var App = React.createClass({
     this.setState({ infoBoxSnapshot: undefined });
     this.setState({ mode: mode });
   },
+  _handleTransferPenaltyChange: function(transferPenalty) {
+    this.setState({ transferPenalty: transferPenalty });
+  },
   render: function() {
     const { hoverStop, mode, origin, destination } = this.state;
     
@@ -210,7 +252,7 @@ var App = React.createClass({
             </div>
           </Popup>
         )}
-        { hoverStop && mode !== socketMsg.dijkstra && 
+        { hoverStop && !isPathMode(mode) && 
           hoverStop != origin && hoverStop != destination &&
           (
           <Popup
@@ -225,7 +267,7 @@ var App = React.createClass({
             </div>
           </Popup>
         )}
-        { hoverStop && mode === socketMsg.dijkstra && 
+        { hoverStop && isPathMode(mode) && 
           hoverStop != origin && hoverStop != destination &&
           (
           <Popup
@@ -249,6 +291,7 @@ var App = React.createClass({
           onAutocomplete={this.handleAutocomplete}
           onEndpointSet={this.handleEndpointSet}
           onModeChange={this._handleModeChange}
+          onTransferPenaltyChange={this._handleTransferPenaltyChange}
           onRun={this.handleRun}
           onStop={this.handleStop}
           zoomIn={this._handleZoomIn}
@@ -256,6 +299,7 @@ var App = React.createClass({
           mode={this.state.mode}
           origin={this.state.origin}
           destination={this.state.destination}
+          transferPenalty={this.state.transferPenalty}
           infoBoxContents={this.state.infoBoxSnapshot}
           ref='menu'
         />
@@ -266,7 +310,7 @@ var App = React.createClass({
 
 var Menu = React.createClass({
   _handleRun: function() {
-    if (this.props.mode === socketMsg.dijkstra) {
+    if (isPathMode(this.props.mode)) {
       let originInvalid = typeof this.props.origin === "undefined";
       let destinationInvalid = typeof this.props.destination === "undefined";
       
@@ -279,7 +323,7 @@ var Menu = React.createClass({
       if (!originInvalid && !destinationInvalid) {
         this.props.onRun(this.props.mode, this.props.origin.id, this.props.destination.id);
       }
-    } else if (this.props.mode === socketMsg.dfs || this.props.mode === socketMsg.bfs) {
+    } else if (isOriginMode(this.props.mode)) {
       if (typeof this.props.origin === "undefined") {
         this.refs.origin.getInstance().markInvalid();
       } else {
@@ -311,7 +355,7 @@ var Menu = React.createClass({
   },
   render: function() {
     var selectors;
-    if (this.props.mode === socketMsg.dijkstra) {
+    if (isPathMode(this.props.mode)) {
       selectors = (
         <div>
         <StopSelector
@@ -330,9 +374,15 @@ var Menu = React.createClass({
           label='Destination'
           ref='destination'
         />
+        { this.props.mode === socketMsg.kShortest && (
+          <TransferPenaltySelector
+            transferPenalty={this.props.transferPenalty}
+            onTransferPenaltyChange={this.props.onTransferPenaltyChange}
+          />
+        )}
         </div>
       );
-    } else if (this.props.mode === socketMsg.dfs || this.props.mode === socketMsg.bfs) {
+    } else if (isOriginMode(this.props.mode)) {
       selectors = (
         <div>
         <StopSelector
@@ -578,8 +628,33 @@ var ModeSelector = React.createClass({
         onChange={this._handleChange}
       >
         <option value={socketMsg.dijkstra}>Shortest Path Search</option>
+        <option value={socketMsg.kShortest}>Alternative Paths</option>
         <option value={socketMsg.dfs}>Depth-First Search</option>
         <option value={socketMsg.bfs}>Breadth-First Search</option>
+        <option value={socketMsg.isochrone}>Travel Time Reachability</option>
+      </select>
+      </div>
+    );
+  }
+});
+
+var TransferPenaltySelector = React.createClass({
+  _handleChange: function(e) {
+    this.props.onTransferPenaltyChange(Number(e.target.value));
+  },
+  render: function() {
+    return (
+      <div>Transfer Penalty:&nbsp;
+      <select
+        id="transferPenalty"
+        className="form-control"
+        value={this.props.transferPenalty}
+        onChange={this._handleChange}
+      >
+        <option value={0}>None</option>
+        <option value={120}>2 minutes</option>
+        <option value={300}>5 minutes</option>
+        <option value={600}>10 minutes</option>
       </select>
       </div>
     );
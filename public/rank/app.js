@@ -1,10 +1,9 @@
 import React from 'react';
 import DOM from 'react-dom';
-import IO from 'socket.io-client';
 import classNames from 'classnames';
 import { Map, RouteList, Popup, GitHubRibbon, Modal, ModalTrigger } from '../../lib/dom/index';
-import socketMsg from '../../lib/constants.js';
 var Mode = require('../../lib/enums').Mode;
+var AnalysisState = require('../../lib/enums').AnalysisState;
 var getStopList = require('../../lib/dom/unpack');
 
 const CITIES = {
@@ -19,6 +18,12 @@ const MODAL_ID = 'infoModal';
 
 const ZOOM = 13;
 
+// The stops which gain the most from a proposed link
+const PROPOSAL_STOPS = 10;
+
+// How often to ask whether a mode still being ranked is done (milliseconds)
+const ANALYSIS_POLL_INTERVAL = 5000;
+
 var GraphRankDisplay = React.createClass({
   getInitialState: function() {
     return {
@@ -26,19 +31,24 @@ var GraphRankDisplay = React.createClass({
       stops: undefined,
       system: undefined,
       hoverStop: undefined,
-      mode: Mode.ACCESSIBILITY
+      mode: Mode.ACCESSIBILITY,
+      pendingAnalysis: undefined,
+      theoreticalTypes: [],
+      proposedType: undefined,
+      proposalOrigin: undefined,
+      proposal: undefined
     };
   },
   componentDidMount: function() {
-    this.socket = IO();
     let { system } = this.props;
-    let { socket } = this;
     let that = this;
     
     $.getJSON(API + 'system/'+system,function(json) {
       that._sendSystemHandler(json);
     });
-    socket.on(socketMsg.event, this._eventHandler);
+  },
+  componentWillUnmount: function() {
+    clearTimeout(this.analysisTimer);
   },
   _sendSystemHandler: function(system) {
     this.refs.map.setCenter(system.longitude, system.latitude, ZOOM);
@@ -52,30 +62,104 @@ var GraphRankDisplay = React.createClass({
   },
   _sendEdgesHandler: function(edges) {
     this.refs.map.addEdges(edges);
+    this.refs.map.showEdgeMetrics(edges);
   },
-  _eventHandler: function(event) {
-    if (event.type === socketMsg.showRanks) {
-      this.setState({ infoBoxContents: this._orderStopsByRank(event.data) });
-      this.refs.map.showRanks(this.state.stops,event.data);
-    }
+  // The ranks API lists the stops from the highest rank to the lowest. Until
+  // the mode is ranked it answers with how far the analysis has got instead.
+  _fetchRanks: function(mode) {
+    clearTimeout(this.analysisTimer);
+    
+    $.getJSON(`${API}ranks/${this.props.system}?mode=${mode}`, (json) => {
+      if (typeof json.analysis !== "undefined") {
+        this._waitForAnalysis(mode, json.analysis);
+        return;
+      }
+      if (json.error) { return; }
+      
+      this.setState({ infoBoxContents: json.stops, pendingAnalysis: undefined });
+      this.refs.map.showRanks(json.stops, json.stops.map(stop => stop.score));
+    });
   },
-  _orderStopsByRank: function(ranks) {
-    let stopsWithRanks = [];
-    let { stops } = this.state;
+  // Ask for the system's status until the mode has been ranked, then fetch
+  // its ranks. Stops if the analysis fails or another mode is picked.
+  _waitForAnalysis: function(mode, analysis) {
+    this.setState({ pendingAnalysis: analysis });
+    if (analysis.state === AnalysisState.FAILED) { return; }
+    
+    this.analysisTimer = setTimeout(() => {
+      $.getJSON(`${API}system/${this.props.system}/status`, (json) => {
+        if (json.error || mode !== this.state.mode) { return; }
+        
+        if (json.analysis.completedModes.indexOf(mode) !== -1) {
+          this._fetchRanks(mode);
+        } else {
+          this._waitForAnalysis(mode, json.analysis);
+        }
+      });
+    }, ANALYSIS_POLL_INTERVAL);
+  },
+  // Theoretical graphs are only found when the server is started with
+  // --theoretical, so only offer the ones it has finished
+  _fetchTheoreticalTypes: function() {
+    $.getJSON(`${API}system/${this.props.system}/status`, (json) => {
+      if (json.error) { return; }
+      
+      this.setState({ theoreticalTypes: json.theoretical.completedTypes });
+    });
+  },
+  _handleProposedChange: function(type) {
+    if (type === this.state.proposedType) {
+      this.refs.map.clearProposedLinks();
+      this.setState({ proposedType: undefined });
+      return;
+    }
     
-    ranks.forEach(function(rank, node) {
-      let stop = stops[node];
-      stop.rank = Math.round(rank * 100000) / 100000;
-      stopsWithRanks.push(stop);
+    $.getJSON(`${API}graph/${this.props.system}?type=${type}&filter=edges`, (json) => {
+      if (json.error) { return; }
+      
+      this.refs.map.showProposedLinks(json);
+      this.setState({ proposedType: type, proposalOrigin: undefined, proposal: undefined });
     });
-    return stopsWithRanks.sort((a,b) => {
-      if (a.rank < b.rank)
-        return 1;
-      if (a.rank > b.rank)
-        return -1;
-      return 0;
+  },
+  // Clicking two stops on the map proposes a link between them, and the ranks
+  // in the current mode are compared with and without it
+  handleMapStopClick: function(stopId) {
+    const { mode, proposalOrigin } = this.state;
+    const stop = this._lookupStop(stopId);
+    
+    if (typeof proposalOrigin === "undefined" || proposalOrigin.id === stop.id) {
+      this.setState({ proposalOrigin: stop });
+      return;
+    }
+    
+    $.ajax({
+      url: `${API}proposal/${this.props.system}?mode=${mode}`,
+      type: 'POST',
+      contentType: 'application/json',
+      data: JSON.stringify({ edges: [ { from: proposalOrigin.id, to: stop.id } ] }),
+      success: (json) => {
+        this.setState({ proposalOrigin: undefined });
+        if (json.error) { return; }
+        
+        this.refs.map.showProposedLinks({
+          type: 'FeatureCollection',
+          features: [{
+            type: 'Feature',
+            geometry: {
+              type: 'LineString',
+              coordinates: [[proposalOrigin.longitude, proposalOrigin.latitude], [stop.longitude, stop.latitude]]
+            },
+            properties: { edgeType: 'theoretical' }
+          }]
+        });
+        this.setState({ proposal: json, proposedType: undefined });
+      }
     });
   },
+  _clearProposal: function() {
+    this.refs.map.clearProposedLinks();
+    this.setState({ proposalOrigin: undefined, proposal: undefined });
+  },
   handleMapLoad: function() {
     const { system } = this.props;
     const { mode } = this.state;
@@ -86,8 +170,9 @@ var GraphRankDisplay = React.createClass({
     $.getJSON(`${API}graph/${system}?type=merged&filter=stops`, (json) => {
       let stops = getStopList(json);
       this._sendStopsHandler(stops);
-      this.socket.emit(socketMsg.getMode, system, mode);
+      this._fetchRanks(mode);
     });
+    this._fetchTheoreticalTypes();
   },
   handleStopHover: function(stopId) {
     if (typeof stopId === "undefined") {
@@ -105,7 +190,10 @@ var GraphRankDisplay = React.createClass({
     return this.state.stops[this.state.stops.map(stop => stop.id).indexOf(stopId)];
   },
   _handleModeChange: function(mode) {
-    this.socket.emit(socketMsg.getMode, this.props.system, mode);
+    this._fetchRanks(mode);
+    if (typeof this.state.proposal !== "undefined") {
+      this._clearProposal();
+    }
     this.setState({ mode });
   },
   render: function() {
@@ -126,8 +214,8 @@ var GraphRankDisplay = React.createClass({
         >
         <tbody>
         <tr>
-          <td className='cell-rank'>{infoBoxContents.indexOf(stop)+1}.</td>
-          <td className='cell-rank'><b>{stop.rank}</b></td>
+          <td className='cell-rank'>{stop.rank}.</td>
+          <td className='cell-rank'><b>{Math.round(stop.score * 100000) / 100000}</b></td>
           <td className='cell-name'>{stop.name}</td>
         </tr>
         <tr>
@@ -166,6 +254,15 @@ var GraphRankDisplay = React.createClass({
       });
       return (<button className={btnClasses} onClick={self._handleModeChange.bind(null, mode)} key={mode}>{mode}</button>);
     });
+    let { proposal, proposalOrigin, pendingAnalysis } = this.state;
+    let proposedType = this.state.proposedType;
+    let theoreticalTypes = this.state.theoreticalTypes.map(function(type) {
+      let btnClasses = classNames({
+        btn: true,
+        'btn-warning': type === proposedType
+      });
+      return (<button className={btnClasses} onClick={self._handleProposedChange.bind(null, type)} key={type}>{type}</button>);
+    });
     
     return (
       <div>
@@ -178,7 +275,7 @@ var GraphRankDisplay = React.createClass({
             <li>Identify the most important stations in a transit network.</li>
             <li>Characterize the distribution of stations' importance across networks.</li>
           </ol>
-          <p>Four "centrality" algorithms are employed. The first two, Page Rank and Katz, address the first question. The second two, Closeness and Outward Accessibility, address the second. None of these were invented with transit in mind, so all have advantages and drawbacks to this particular application. In the descriptions below, "nodes" can be thought of as "stations", and "edges" thought of as "routes".</p>
+          <p>Five "centrality" algorithms are employed. Page Rank, Katz and Betweenness address the first question. Closeness and Outward Accessibility address the second. None of these were invented with transit in mind, so all have advantages and drawbacks to this particular application. In the descriptions below, "nodes" can be thought of as "stations", and "edges" thought of as "routes".</p>
           <h4>Page Rank</h4>
           <p>Page Rank was invented by Google founder Larry Page and Sergey Brin to rank web pages for their search engine. In this algorithm, a node's importance is derived from the importance of all the nodes which link to it.</p>
           <h4>Katz Centrality</h4>
@@ -187,13 +284,21 @@ var GraphRankDisplay = React.createClass({
           <p>Perhaps the most intuitive of the centrality algorithms, closeness centrality ranks a node by the sum of the shortest paths to all other nodes in the network. The closer a node is to all other nodes, the more it is considered to be "central".</p>
           <h4>Outward Accessibility</h4>
           <p>Outward accessibility is a normalized version of diversity entropy proposed in <a href="http://www.sciencedirect.com/science/article/pii/S0375960108015867" target="_blank">this paper</a> by Travençolo and Costa. A node ranks highly when many unique paths can be taken from it over a course of random walks of varying distances. Sections of a graph which rank high in this metric are found to have high network redundancy and high accessibility from the rest of the network.</p>
-          <p style={{'borderTop': '1px solid #e5e5e5', 'paddingTop': '10px'}}>This project was built by <a href="http://www.tyleragreen.com" target="_blank">Tyler Green</a>. There is an additional <a href="/demo" target="_blank">landing page</a> to demonstrate basic graph algorithms applied to a transit graph.</p>
+          <h4>Betweenness Centrality</h4>
+          <p>Betweenness centrality ranks a node by how many of the shortest paths between all other pairs of nodes pass through it, found with <a href="https://doi.org/10.1080/0022250X.2001.9990249" target="_blank">Brandes' algorithm</a>. Stations which rank highly are the ones the most trips rely on, so closing them would reroute the most riders.</p>
+          <h4>Segments</h4>
+          <p>The segments between stations are drawn wider the more shortest paths run along them (their betweenness), and redder the more critical they are: the longer trips take on average when the segment is closed. Segments whose closure cuts stations off entirely are the most critical of all.</p>
+          <h4>Proposed Links</h4>
+          <p>When the server searches for theoretical graphs, a button is shown for each number of new routes it tried. The dashed orange lines are the links between stations which, added to the network, would improve it the most, found by a genetic algorithm.</p>
+          <p>To sketch a link of your own, click two stations on the map. The stations whose rank in the current mode would rise the most are listed with their rank before and after.</p>
+          <p style={{'borderTop': '1px solid #e5e5e5', 'paddingTop': '10px'}}>This project was built by <a href="http://www.tyleragreen.com" target="_blank">Tyler Green</a>. There is an additional <a href="/demo" target="_blank">landing page</a> to demonstrate basic graph algorithms applied to a transit graph, and a <a href="/compare" target="_blank">comparison</a> of how importance is spread across the systems.</p>
           <p>Feel free to contribute to the <a href="https://github.com/tyleragreen/gtfs-graph" target="_blank">code on GitHub</a>!</p>
         </Modal>
         <GitHubRibbon />
         <Map
           onMapLoad={this.handleMapLoad}
           onStopHover={this.handleStopHover}
+          onStopClick={this.handleMapStopClick}
           ref='map'
         >
         { hoverStop && (
@@ -215,12 +320,41 @@ var GraphRankDisplay = React.createClass({
         </div>
         <div className='mode-selector'>
           {modes}
+          {theoreticalTypes}
         </div>
         <div className='side-panel'>
           <div>
             <h1>{currentCity}</h1>
             <ModalTrigger id={MODAL_ID} label='About' classes='modal-trigger' />
           </div>
+          { pendingAnalysis && (
+            <p>
+              { pendingAnalysis.state === AnalysisState.FAILED ?
+                `Ranking failed: ${pendingAnalysis.error}` :
+                `Still ranking the stops (${Math.round(pendingAnalysis.progress * 100)}% done): ${currentMode} will be shown when it is ready.` }
+            </p>
+          )}
+          { proposalOrigin && (
+            <p>Proposing a link from <em>{proposalOrigin.name}</em>: click another stop.</p>
+          )}
+          { proposal && (
+            <div className='proposal'>
+              <p>
+                <strong>Proposed link ({Math.round(proposal.links[0].weight / 60)} min)</strong>
+                <button className='btn' onClick={this._clearProposal}>Clear</button>
+              </p>
+              <table className='stop-table'>
+              <tbody>
+              {proposal.stops.slice(0, PROPOSAL_STOPS).map(stop => (
+                <tr key={stop.id}>
+                  <td className='cell-rank'>{stop.baseline.rank} &rarr; {stop.proposal.rank}</td>
+                  <td className='cell-name'>{stop.name}</td>
+                </tr>
+              ))}
+              </tbody>
+              </table>
+            </div>
+          )}
           <div className='ranks'>
             {ranks}
           </div>
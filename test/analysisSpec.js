@@ -0,0 +1,67 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var analysis = require('../lib/server/analysis');
+var TransitGraph = require('transit-tools').TransitGraph;
+var Stop = require('transit-tools').Stop;
+var Edge = require('transit-tools').Edge;
+var EdgeList = require('transit-tools').EdgeList;
+var EdgeType = require('../lib/enums').EdgeType;
+var Mode = require('../lib/enums').Mode;
+
+//===================================================
+// ANALYSIS TEST
+//===================================================
+
+describe('The analysis', function() {
+  const edges = [
+    new Edge({ type: EdgeType.ROUTE, origin: 0, destination: 1, weight: 120 }),
+    new Edge({ type: EdgeType.ROUTE, origin: 1, destination: 2, weight: 120 }),
+    new Edge({ type: EdgeType.ROUTE, origin: 1, destination: 3, weight: 120 })
+  ];
+  const stops = [0, 1, 2, 3].map(id => new Stop(id, String(id), 0, 0, []));
+  const graph = new TransitGraph(new EdgeList(edges), stops.length, stops);
+  graph.calculatePathLengths();
+  
+  Mode.ALL.forEach(function(mode) {
+    it(`should rank every stop for ${mode}`, function() {
+      const ranks = analysis.calculateRanks(graph, mode);
+      
+      expect(ranks).to.have.length(stops.length);
+    });
+  });
+  
+  it('should rank the hub highest by closeness', function() {
+    const ranks = analysis.calculateRanks(graph, Mode.CLOSENESS);
+    
+    expect(Math.max(...ranks)).to.equal(ranks[1]);
+  });
+  
+  it('should draw self-avoiding random walks from every stop', function() {
+    analysis.calculateRanks(graph, Mode.ACCESSIBILITY, { walks: 5, walkLength: 2, seed: 3 });
+    
+    stops.forEach((stop, origin) => {
+      expect(graph.randomWalks[origin]).to.have.length(5);
+      graph.randomWalks[origin].forEach(walk => {
+        const visited = walk.nodes.filter(node => node !== -1);
+        
+        expect(walk.at(0)).to.equal(origin);
+        expect(new Set(visited).size).to.equal(visited.length);
+        visited.slice(1).forEach((node, step) => expect(graph.edgeExists(visited[step], node)).to.be.true);
+      });
+    });
+    // Every walk from the end of a branch goes through the hub to one of the
+    // other two ends
+    graph.randomWalks[0].forEach(walk => {
+      expect(walk.at(1)).to.equal(1);
+      expect([2, 3]).to.include(walk.at(2));
+    });
+  });
+  
+  it('should reject a bad mode', function() {
+    expect(() => analysis.calculateRanks(graph, 'BAD')).to.throw('Bad mode');
+  });
+});
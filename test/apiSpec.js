@@ -6,6 +6,8 @@ var expect = require('chai').expect;
 
 var server = require('../lib/server/server');
 var http = require('http');
+var fs = require('fs');
+var path = require('path');
 var SystemManager = require('../lib/server/systemManager');
 var System = require('../lib/server/system');
 var TransitGraph = require('transit-tools').TransitGraph;
@@ -16,6 +18,16 @@ var GraphType = require('../lib/enums').GraphType;
 var Geometry = require('../lib/enums').Geometry;
 var EdgeType = require('../lib/enums').EdgeType;
 var Mode = require('../lib/enums').Mode;
+var Weighting = require('../lib/enums').Weighting;
+var AnalysisState = require('../lib/enums').AnalysisState;
+var LoadState = require('../lib/enums').LoadState;
+var Fitness = require('../lib/enums').Fitness;
+var Validation = require('../lib/enums').Validation;
+var validation = require('../lib/server/validation');
+var ValidationReport = validation.ValidationReport;
+var loadFeed = require('../lib/server/gtfsFeed').loadFeed;
+var Timetable = require('../lib/server/timetable');
+var frequency = require('../lib/server/frequency');
 
 //===================================================
 // API connection info
@@ -79,6 +91,77 @@ function getUrl(url) {
   });
 }
 
+// For responses which are not JSON, such as the graph export formats
+function getText(url) {
+  return new Promise((resolve, reject) => {
+    let rawData = '';
+    
+    http.get(url, function(res) {
+      res.on('data', function(data) {
+        rawData += data;
+      });
+      res.on('end', function() {
+        resolve({ contentType: res.headers['content-type'], body: rawData });
+      });
+    }).on('error', e => {
+      reject(e); return;
+    });
+  });
+}
+
+function postJson(url, body) {
+  return new Promise((resolve, reject) => {
+    let rawData = '';
+    const payload = JSON.stringify(body);
+    const request = http.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload)
+      }
+    }, function(res) {
+      res.on('data', function(data) {
+        rawData += data;
+      });
+      res.on('end', function() {
+        resolve(JSON.parse(rawData));
+      });
+    });
+    
+    request.on('error', e => {
+      reject(e); return;
+    });
+    request.end(payload);
+  });
+}
+
+// Send any request, with an optional body of the given content type
+function sendRequest(method, url, payload, contentType) {
+  return new Promise((resolve, reject) => {
+    let rawData = '';
+    const headers = {};
+    
+    if (typeof payload !== "undefined") {
+      headers['Content-Type'] = contentType;
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+    
+    const request = http.request(url, { method: method, headers: headers }, function(res) {
+      res.on('data', function(data) {
+        rawData += data;
+      });
+      res.on('end', function() {
+        resolve(JSON.parse(rawData));
+      });
+    });
+    
+    request.on('error', e => {
+      reject(e); return;
+    });
+    request.end(payload);
+  });
+}
+
 function getEdges(data) {
   return data.features.filter(f => f.geometry.type === Geometry.LineString);
 }
@@ -120,12 +203,116 @@ describe('The API system endpoint', function() {
         expect(data.error).to.not.be.undefined;
       });
   });
+  
+  it('should report whether a system has a timetable', function() {
+    return getUrl(`${API}/system/${testSys.id}`)
+      .then(function(data) {
+        expect(data.timeDependent).to.be.false;
+      });
+  });
+  
+  it('should report that the analysis is pending', function() {
+    return getUrl(`${API}/system/${testSys.id}`)
+      .then(function(data) {
+        expect(data.analysis.state).to.equal(AnalysisState.PENDING);
+        expect(data.analysis.progress).to.equal(0);
+      });
+  });
+  
+  it('should respond with analysis pending for ranks before the analysis', function() {
+    return getUrl(`${API}/graph/${testSys.id}?type=${GraphType.MERGED}&mode=${Mode.KATZ}`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+        expect(data.analysis.state).to.equal(AnalysisState.PENDING);
+      });
+  });
+  
+  it('should respond with the status of a system', function() {
+    return getUrl(`${API}/system/${testSys.id}/status`)
+      .then(function(data) {
+        expect(data.id).to.equal(testSys.id);
+        expect(data.load.state).to.equal(LoadState.LOADED);
+        expect(data.analysis.state).to.equal(AnalysisState.PENDING);
+        Mode.ALL.forEach(mode => expect(data.metrics[mode]).to.be.false);
+        expect(data.graphs[GraphType.PRIMARY]).to.deep.equal({ nodes: 7, edges: 6 });
+        expect(data.graphs[GraphType.MERGED]).to.deep.equal({ nodes: 7, edges: 6 });
+      });
+  });
+  
+  it('should respond with an error for the status of a bad system ID', function() {
+    return getUrl(`${API}/system/badId/status`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for the validation of a system still loading', function() {
+    return getUrl(`${API}/system/${testSys.id}/validation`)
+      .then(function(data) {
+        expect(data.error).to.match(/still loading/);
+      });
+  });
+  
+  it('should respond with the problems found in the input files', function() {
+    const report = new ValidationReport(Validation.LENIENT);
+    
+    validation.checkDataFiles({
+      stops: '0,Zero,0,0\n0,Zero again,0,0\n',
+      routes: 'stop_id,route_id,color\n0,A,ff0000\n',
+      edges: '0,9,route,60\n'
+    }, report);
+    SystemManager.setValidation(testSys.id, report);
+    
+    return getUrl(`${API}/system/${testSys.id}/validation?limit=2`)
+      .then(function(data) {
+        expect(data.validation).to.equal(Validation.LENIENT);
+        expect(data.valid).to.be.false;
+        expect(data.files).to.deep.equal(['stops.csv', 'routes.csv', 'edges.csv']);
+        expect(data.errors).to.equal(2);
+        expect(data.warnings).to.equal(1);
+        expect(data.issues).to.deep.equal([
+          { severity: 'error', file: 'stops.csv', line: 2, message: 'duplicate stop 0 (first on line 1)' },
+          { severity: 'warning', file: 'routes.csv', line: 1, message: 'skipped header row' }
+        ]);
+        expect(data.truncated).to.be.true;
+        
+        return getUrl(`${API}/system/${testSys.id}/status`);
+      }).then(function(data) {
+        expect(data.validation).to.deep.equal({ validation: Validation.LENIENT, valid: false, errors: 2, warnings: 1 });
+      });
+  });
+  
+  it('should respond with an error for a bad validation limit or system ID', function() {
+    return getUrl(`${API}/system/${testSys.id}/validation?limit=-1`)
+      .then(function(data) {
+        expect(data.error).to.match(/Bad limit/);
+        
+        return getUrl(`${API}/system/badId/validation`);
+      }).then(function(data) {
+        expect(data.error).to.match(/Bad system/);
+      });
+  });
+  
+  it('should respond with analysis pending for the ranks endpoint before the analysis', function() {
+    return getUrl(`${API}/ranks/${testSys.id}?mode=${Mode.PAGE_RANK}`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+        expect(data.analysis.state).to.equal(AnalysisState.PENDING);
+      });
+  });
+  
+  it('should respond with an error for timetable closeness without a timetable', function() {
+    return getUrl(`${API}/timetable/${testSys.id}/closeness?time=08:00:00&date=20170301`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
 });
 
 describe('The API graph endpoint', function() {
-  before(function() {
+  before(function(done) {
     function afterServerBoot() {
-      SystemManager.analyzeGraphs();
+      SystemManager.analyzeGraphs(done);
     }
     
     server.listen(SystemManager, afterServerBoot);
@@ -223,6 +410,42 @@ describe('The API graph endpoint', function() {
       });
   });
   
+  it('should report that the analysis is complete', function() {
+    return getUrl(`${API}/system/${testSys.id}`)
+      .then(function(data) {
+        expect(data.analysis.state).to.equal(AnalysisState.COMPLETE);
+        expect(data.analysis.completedModes).to.have.members(Mode.ALL);
+        expect(data.analysis.progress).to.equal(1);
+      });
+  });
+  
+  it('should report the metrics computed and their timings in the status', function() {
+    return getUrl(`${API}/system/${testSys.id}/status`)
+      .then(function(data) {
+        expect(data.analysis.state).to.equal(AnalysisState.COMPLETE);
+        Mode.ALL.forEach(mode => {
+          expect(data.metrics[mode]).to.be.true;
+          expect(data.timings[mode]).to.be.at.least(0);
+        });
+        expect(data.metrics.EDGES).to.be.true;
+        expect(data.timings.edgeMetrics).to.be.at.least(0);
+        expect(data.timings.analysis).to.be.at.least(0);
+      });
+  });
+  
+  it('should respond with the metrics of each edge once analyzed', function() {
+    return getUrl(`${API}/graph/${testSys.id}?type=${GraphType.MERGED}&filter=edges`)
+      .then(function(data) {
+        expect(data.features).to.have.lengthOf(edges.length);
+        data.features.forEach(feature => {
+          expect(feature.properties.betweenness).to.be.above(0);
+          expect(feature.properties.criticality).to.equal(0);
+          // Every edge of the tree is a bridge
+          expect(feature.properties.disconnectedPairs).to.be.above(0);
+        });
+      });
+  });
+  
   it('should respond with a graph with ranks', function() {
     return getUrl(`${API}/graph/${testSys.id}?type=${GraphType.MERGED}&mode=${Mode.ACCESSIBILITY}`)
       .then(function(data) {
@@ -234,6 +457,27 @@ describe('The API graph endpoint', function() {
       });
   });
   
+  it('should respond with an error for a bad weighting', function() {
+    return getUrl(`${API}/graph/${testSys.id}?weighting=badweighting`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a bad time band', function() {
+    return getUrl(`${API}/graph/${testSys.id}?weighting=${Weighting.FREQUENCY}&band=badband`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for frequency weighting without frequencies', function() {
+    return getUrl(`${API}/graph/${testSys.id}?weighting=${Weighting.FREQUENCY}`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
   it('should respond with an error for a mode with a graph besides MERGED', function() {
     return getUrl(`${API}/graph/${testSys.id}?type=${GraphType.PRIMARY}&mode=${Mode.ACCESSIBILITY}`)
       .then(function(data) {
@@ -241,4 +485,881 @@ describe('The API graph endpoint', function() {
       });
   });
   
-});
\ No newline at end of file
+  it('should respond with an error for a bad export format', function() {
+    return getUrl(`${API}/graph/${testSys.id}?format=dot`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a filter with an export format besides csv', function() {
+    return getUrl(`${API}/graph/${testSys.id}?format=graphml&filter=stops`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should export a graph as GraphML with every rank', function() {
+    return getText(`${API}/graph/${testSys.id}?type=${GraphType.MERGED}&format=graphml`)
+      .then(function(response) {
+        expect(response.contentType).to.match(/^application\/graphml\+xml/);
+        expect(response.body.match(/<node /g)).to.have.lengthOf(stopList.length);
+        expect(response.body.match(/<edge /g)).to.have.lengthOf(edges.length);
+        Mode.ALL.forEach(mode => {
+          expect(response.body).to.include(`<key id="${mode.toLowerCase()}" for="node"`);
+        });
+      });
+  });
+  
+  it('should export a graph as GEXF', function() {
+    return getText(`${API}/graph/${testSys.id}?format=gexf`)
+      .then(function(response) {
+        expect(response.contentType).to.match(/^application\/gexf\+xml/);
+        expect(response.body).to.include('<gexf');
+      });
+  });
+  
+  it('should export the edges or the stops of a graph as CSV', function() {
+    return Promise.all([
+      getText(`${API}/graph/${testSys.id}?format=csv`),
+      getText(`${API}/graph/${testSys.id}?format=csv&filter=stops`)
+    ]).then(function(responses) {
+      const edgeLines = responses[0].body.trim().split('\n');
+      const stopLines = responses[1].body.trim().split('\n');
+      
+      expect(responses[0].contentType).to.match(/^text\/csv/);
+      expect(edgeLines[0]).to.equal('source,target,type,weight');
+      expect(edgeLines).to.have.lengthOf(edges.length + 1);
+      expect(stopLines[0]).to.match(/^id,name,latitude,longitude,routes/);
+      expect(stopLines).to.have.lengthOf(stopList.length + 1);
+    });
+  });
+  
+  it('should export a graph in the JSON Graph Format', function() {
+    return getUrl(`${API}/graph/${testSys.id}?format=json-graph`)
+      .then(function(data) {
+        expect(data.graph.label).to.equal(testSys.id);
+        expect(Object.keys(data.graph.nodes)).to.have.lengthOf(stopList.length);
+        expect(data.graph.edges).to.have.lengthOf(edges.length);
+        expect(data.graph.edges[0].metadata).to.deep.equal({ type: EdgeType.ROUTE, weight: 1 });
+      });
+  });
+  
+});
+describe('The API ranks endpoint', function() {
+  before(function(done) {
+    function afterServerBoot() {
+      SystemManager.analyzeGraphs(done);
+    }
+    
+    server.listen(SystemManager, afterServerBoot);
+  });
+  
+  after(function() {
+    server.close();
+  });
+  
+  it('should respond with every stop ranked', function() {
+    return getUrl(`${API}/ranks/${testSys.id}?mode=${Mode.CLOSENESS}`)
+      .then(function(data) {
+        expect(data.mode).to.equal(Mode.CLOSENESS);
+        expect(data.total).to.equal(stopList.length);
+        expect(data.stops).to.have.lengthOf(stopList.length);
+        // Stop 0 is the hub of the tree
+        expect(data.stops[0].id).to.equal(0);
+        expect(data.stops[0].rank).to.equal(1);
+        expect(data.stops[0].normalizedScore).to.equal(1);
+        expect(data.stops[0]).to.have.all.keys('id', 'name', 'latitude', 'longitude', 'routes', 'score', 'normalizedScore', 'rank');
+      });
+  });
+  
+  it('should respond with the parameters the mode was ranked with', function() {
+    return getUrl(`${API}/ranks/${testSys.id}?mode=page_rank`)
+      .then(function(data) {
+        expect(data.parameters).to.deep.equal({ damping: 1 });
+        expect(data.stops.map(stop => stop.score)).to.have.members(graph.ranks[Mode.PAGE_RANK]);
+      });
+  });
+  
+  it('should rank again with the parameters of a request, and keep the ranks', function() {
+    const url = `${API}/ranks/${testSys.id}?mode=page_rank&damping=0.5`;
+    let scores;
+    
+    return getUrl(url)
+      .then(function(data) {
+        expect(data.parameters).to.deep.equal({ damping: 0.5 });
+        scores = data.stops.map(stop => stop.score);
+        expect(scores).to.not.have.members(graph.ranks[Mode.PAGE_RANK]);
+        expect(SystemManager.get(testSys.id).rankCache.has('PAGE_RANK?damping=0.5')).to.be.true;
+        return getUrl(url);
+      })
+      .then(function(data) {
+        expect(data.stops.map(stop => stop.score)).to.deep.equal(scores);
+      });
+  });
+  
+  it('should report the seed of the random walks', function() {
+    return getUrl(`${API}/ranks/${testSys.id}?mode=accessibility`)
+      .then(function(data) {
+        expect(data.parameters).to.deep.equal({ walks: 50, walkLength: 50, seed: 1 });
+        return getUrl(`${API}/system/${testSys.id}/status`);
+      })
+      .then(function(data) {
+        expect(data.parameters.seed).to.equal(1);
+      });
+  });
+  
+  it('should respond with an error for a bad parameter', function() {
+    return getUrl(`${API}/ranks/${testSys.id}?mode=katz&alpha=-1`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with a page of stops', function() {
+    return getUrl(`${API}/ranks/${testSys.id}?mode=closeness&sort=asc&limit=2&offset=1`)
+      .then(function(data) {
+        expect(data.sort).to.equal('ASC');
+        expect(data.limit).to.equal(2);
+        expect(data.offset).to.equal(1);
+        expect(data.stops).to.have.lengthOf(2);
+        expect(data.stops[0].score).to.be.at.most(data.stops[1].score);
+      });
+  });
+  
+  it('should respond with an error for a bad mode', function() {
+    return getUrl(`${API}/ranks/${testSys.id}?mode=badMode`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a missing mode', function() {
+    return getUrl(`${API}/ranks/${testSys.id}`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a bad sort order', function() {
+    return getUrl(`${API}/ranks/${testSys.id}?mode=${Mode.KATZ}&sort=up`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a bad limit or offset', function() {
+    return Promise.all([
+      getUrl(`${API}/ranks/${testSys.id}?mode=${Mode.KATZ}&limit=0`),
+      getUrl(`${API}/ranks/${testSys.id}?mode=${Mode.KATZ}&offset=-1`)
+    ]).then(function(results) {
+      results.forEach(data => expect(data.error).to.not.be.undefined);
+    });
+  });
+});
+
+describe('The API compare endpoint', function() {
+  before(function(done) {
+    server.listen(SystemManager);
+    SystemManager.analyzeGraphs(done);
+  });
+  
+  after(function() {
+    server.close();
+  });
+  
+  it('should describe the distribution of each system', function() {
+    return getUrl(`${API}/compare?systems=${testSys.id}&mode=closeness`)
+      .then(function(data) {
+        expect(data.mode).to.equal(Mode.CLOSENESS);
+        expect(data.systems).to.have.lengthOf(1);
+        
+        const system = data.systems[0];
+        expect(system.id).to.equal(testSys.id);
+        expect(system.location).to.equal(testSys.location);
+        expect(system.stops).to.equal(stopList.length);
+        expect(system.gini).to.be.within(0, 1);
+        expect(system.percentiles).to.have.all.keys('10', '25', '50', '75', '90');
+        expect(system.histogram.reduce((total, bin) => total + bin.count, 0)).to.equal(stopList.length);
+      });
+  });
+  
+  it('should compare every system by default', function() {
+    return getUrl(`${API}/compare?mode=page_rank`)
+      .then(function(data) {
+        expect(data.systems.map(system => system.id)).to.deep.equal(SystemManager.getIds());
+      });
+  });
+  
+  it('should respond with an error for a bad mode', function() {
+    return getUrl(`${API}/compare?systems=${testSys.id}&mode=badMode`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a bad system ID', function() {
+    return getUrl(`${API}/compare?systems=${testSys.id},badId&mode=closeness`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+});
+
+describe('The API proposal endpoint', function() {
+  before(function(done) {
+    server.listen(SystemManager);
+    SystemManager.analyzeGraphs(done);
+  });
+  
+  after(function() {
+    server.close();
+  });
+  
+  it('should compare the ranks of every stop with a new link', function() {
+    return postJson(`${API}/proposal/${testSys.id}?mode=closeness`, { edges: [ { from: 3, to: 6, time: 1 } ] })
+      .then(function(data) {
+        expect(data.mode).to.equal(Mode.CLOSENESS);
+        expect(data.links).to.deep.equal([ { from: 3, to: 6, weight: 1 } ]);
+        expect(data.stops).to.have.lengthOf(stopList.length);
+        expect(data.stops[0].change.score).to.be.above(0);
+        expect([3, 6]).to.include(data.stops[0].id);
+      });
+  });
+  
+  it('should estimate the run time of a link without one', function() {
+    return postJson(`${API}/proposal/${testSys.id}?mode=page_rank`, { edges: [ { from: 1, to: 2 } ] })
+      .then(function(data) {
+        expect(data.links[0].weight).to.be.above(0);
+      });
+  });
+  
+  it('should respond with an error for a bad mode', function() {
+    return postJson(`${API}/proposal/${testSys.id}?mode=badMode`, { edges: [ { from: 3, to: 6 } ] })
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for no edges', function() {
+    return postJson(`${API}/proposal/${testSys.id}?mode=closeness`, {})
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a bad stop', function() {
+    return postJson(`${API}/proposal/${testSys.id}?mode=closeness`, { edges: [ { from: 'badStop', to: 6 } ] })
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for stops which are already connected', function() {
+    return postJson(`${API}/proposal/${testSys.id}?mode=closeness`, { edges: [ { from: 5, to: 6 } ] })
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a bad run time', function() {
+    return postJson(`${API}/proposal/${testSys.id}?mode=closeness`, { edges: [ { from: 3, to: 6, time: -1 } ] })
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+});
+
+describe('The API theoretical graphs', function() {
+  before(function() {
+    server.listen(SystemManager);
+  });
+  
+  after(function() {
+    server.close();
+  });
+  
+  it('should respond with an error for a theoretical graph before the search', function() {
+    return getUrl(`${API}/graph/${testSys.id}?type=theoretical-2r`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+        expect(data.theoretical.enabled).to.be.false;
+      });
+  });
+  
+  it('should respond with the proposed links once found', function(done) {
+    SystemManager.analyzeGraphs(function() {
+      SystemManager.findTheoreticalGraphs({ routes: [2], fitness: Fitness.TRAVEL_TIME }, function() {
+        getUrl(`${API}/graph/${testSys.id}?type=theoretical-2r&filter=edges`)
+          .then(function(data) {
+            const proposed = data.features.filter(feature => feature.properties.edgeType === EdgeType.THEORETICAL);
+            
+            expect(data.features).to.have.lengthOf(edges.length + 2);
+            expect(proposed).to.have.lengthOf(2);
+            return getUrl(`${API}/system/${testSys.id}/status`);
+          })
+          .then(function(data) {
+            expect(data.theoretical.state).to.equal(AnalysisState.COMPLETE);
+            expect(data.theoretical.completedTypes).to.deep.equal([GraphType['THEORETICAL-2R']]);
+            expect(data.graphs[GraphType['THEORETICAL-2R']].edges).to.equal(edges.length + 2);
+            done();
+          })
+          .catch(done);
+      });
+    });
+  });
+});
+
+describe('The API route endpoint', function() {
+  before(function() {
+    server.listen(SystemManager);
+  });
+  
+  after(function() {
+    server.close();
+  });
+  
+  it('should respond with the shortest route between two stops', function() {
+    return getUrl(`${API}/route/${testSys.id}?from=3&to=6`)
+      .then(function(data) {
+        expect(data.stops.map(stop => stop.id)).to.deep.equal([3, 2, 0, 4, 5, 6]);
+        expect(data.legs).to.have.length(5);
+        expect(data.legs[0].duration).to.equal(1);
+        expect(data.transfers).to.equal(0);
+        expect(data.totalTime).to.equal(5);
+        expect(data.geometry.type).to.equal(Geometry.LineString);
+        expect(data.geometry.coordinates).to.have.length(6);
+      });
+  });
+  
+  it('should respond with an error for a bad system ID', function() {
+    return getUrl(`${API}/route/badId?from=3&to=6`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a bad origin', function() {
+    return getUrl(`${API}/route/${testSys.id}?from=badstop&to=6`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a missing destination', function() {
+    return getUrl(`${API}/route/${testSys.id}?from=3`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+});
+
+describe('The API routes endpoint', function() {
+  before(function() {
+    server.listen(SystemManager);
+  });
+  
+  after(function() {
+    server.close();
+  });
+  
+  it('should respond with alternative routes between two stops', function() {
+    return getUrl(`${API}/routes/${testSys.id}?from=1&to=2&k=3`)
+      .then(function(data) {
+        // The test graph is a tree, so there is only one route
+        expect(data.routes).to.have.length(1);
+        expect(data.routes[0].stops.map(stop => stop.id)).to.deep.equal([1, 0, 2]);
+        expect(data.transferPenalty).to.equal(0);
+      });
+  });
+  
+  it('should respond with the transfer penalty used', function() {
+    return getUrl(`${API}/routes/${testSys.id}?from=1&to=2&transferPenalty=120`)
+      .then(function(data) {
+        expect(data.transferPenalty).to.equal(120);
+        expect(data.routes[0].cost).to.equal(data.routes[0].totalTime);
+      });
+  });
+  
+  it('should respond with an error for a bad number of routes', function() {
+    return getUrl(`${API}/routes/${testSys.id}?from=1&to=2&k=0`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a bad transfer penalty', function() {
+    return getUrl(`${API}/routes/${testSys.id}?from=1&to=2&transferPenalty=-5`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+});
+
+describe('The API isochrone endpoint', function() {
+  before(function() {
+    server.listen(SystemManager);
+  });
+  
+  after(function() {
+    server.close();
+  });
+  
+  it('should respond with the reachable stops and bands', function() {
+    // Every edge of the test graph takes one second
+    return getUrl(`${API}/isochrone/${testSys.id}?from=0&minutes=0.02&bands=0.02`)
+      .then(function(data) {
+        expect(data.stops.map(stop => stop.id)).to.have.members([0, 1, 2, 4]);
+        expect(data.bands.features).to.have.length(1);
+        expect(data.bands.features[0].geometry.type).to.equal(Geometry.Polygon);
+      });
+  });
+  
+  it('should respond with an error for a bad origin', function() {
+    return getUrl(`${API}/isochrone/${testSys.id}?from=badstop`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a bad time budget', function() {
+    return getUrl(`${API}/isochrone/${testSys.id}?from=0&minutes=-1`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for bad time bands', function() {
+    return getUrl(`${API}/isochrone/${testSys.id}?from=0&bands=10,abc`)
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+});
+
+describe('The API scenario endpoint', function() {
+  before(function() {
+    server.listen(SystemManager);
+  });
+  
+  after(function() {
+    server.close();
+  });
+  
+  it('should report the stops cut off by closing a stop', function() {
+    return postJson(`${API}/scenario/${testSys.id}`, { stops: ['0'] })
+      .then(function(data) {
+        expect(data.type).to.equal(GraphType.PRIMARY);
+        expect(data.closedStops).to.deep.equal(['0']);
+        expect(data.components.baseline).to.equal(1);
+        expect(data.components.scenario).to.equal(3);
+        // Stops 4-6 are the largest group left, so the others are cut off
+        expect(data.unreachableStops.map(stop => stop.id)).to.have.members([1, 2, 3]);
+        expect(data.closeness.change).to.be.below(0);
+      });
+  });
+  
+  it('should close an edge', function() {
+    return postJson(`${API}/scenario/${testSys.id}`, { edges: [ { from: 5, to: 6 } ] })
+      .then(function(data) {
+        expect(data.components.scenario).to.equal(2);
+        expect(data.unreachableStops.map(stop => stop.id)).to.deep.equal([6]);
+        expect(data.averageTravelTime.change).to.equal(0);
+      });
+  });
+  
+  it('should respond with an error for a bad system ID', function() {
+    return postJson(`${API}/scenario/badId`, { stops: ['0'] })
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for nothing to close', function() {
+    return postJson(`${API}/scenario/${testSys.id}`, {})
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a bad stop', function() {
+    return postJson(`${API}/scenario/${testSys.id}`, { stops: ['badStop'] })
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for an edge which does not exist', function() {
+    return postJson(`${API}/scenario/${testSys.id}`, { edges: [ { from: 1, to: 6 } ] })
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should respond with an error for a bad graph type', function() {
+    return postJson(`${API}/scenario/${testSys.id}?type=theoretical-2r`, { stops: ['0'] })
+      .then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+});
+
+describe('The API routing endpoints for a system which is not loaded', function() {
+  const failedSys = { id: 'failedtest', location: 'Failedville' };
+  const loadingSys = { id: 'loadingtest', location: 'Loadingville' };
+  
+  before(function() {
+    SystemManager.add(new System(failedSys.id, failedSys.location, 40, -75));
+    SystemManager.setLoadError(failedSys.id, new Error('stops.csv not found'));
+    SystemManager.add(new System(loadingSys.id, loadingSys.location, 40, -75));
+    server.listen(SystemManager);
+  });
+  
+  after(function() {
+    server.close();
+    SystemManager.remove(failedSys.id);
+    SystemManager.remove(loadingSys.id);
+  });
+  
+  it('should respond with the load error of a system which failed to load', function() {
+    return Promise.all([
+      getUrl(`${API}/route/${failedSys.id}?from=0&to=1`),
+      getUrl(`${API}/routes/${failedSys.id}?from=0&to=1`),
+      getUrl(`${API}/isochrone/${failedSys.id}?from=0`),
+      postJson(`${API}/scenario/${failedSys.id}`, { stops: ['0'] })
+    ]).then(function(responses) {
+      responses.forEach(data => {
+        expect(data.error).to.match(/System failed to load/);
+        expect(data.load.state).to.equal(LoadState.FAILED);
+        expect(data.load.error).to.equal('stops.csv not found');
+      });
+    });
+  });
+  
+  it('should respond with an error for a system which is still loading', function() {
+    return getUrl(`${API}/route/${loadingSys.id}?from=0&to=1`)
+      .then(function(data) {
+        expect(data.error).to.match(/System still loading/);
+        expect(data.load.state).to.equal(LoadState.LOADING);
+      });
+  });
+});
+
+describe('The API frequency-weighted graph', function() {
+  const frequencySys = { id: 'frequencytest', location: 'Frequencyville' };
+  
+  // Ask again until the ranking is no longer running
+  function getWhenRanked(url) {
+    return getUrl(url).then(function(data) {
+      if (typeof data.analysis === "undefined" || data.analysis.state !== AnalysisState.RUNNING) {
+        return data;
+      }
+      return new Promise(resolve => setTimeout(resolve, 50)).then(() => getWhenRanked(url));
+    });
+  }
+  
+  before(function(done) {
+    // A line from 0 to 1 and on to 2, every 10 minutes
+    const stops = [0, 1, 2].map(id => new Stop(id, String(id), 0, 0, []));
+    const rides = [
+      new Edge({ type: EdgeType.ROUTE, origin: 0, destination: 1, weight: 60 }),
+      new Edge({ type: EdgeType.ROUTE, origin: 0, destination: 2, weight: 120 }),
+      new Edge({ type: EdgeType.ROUTE, origin: 1, destination: 2, weight: 60 })
+    ];
+    const frequencyGraph = new TransitGraph(new EdgeList([rides[0], rides[2]]), stops.length, stops);
+    
+    rides.forEach(ride => {
+      for (let time = 7 * 3600; time < 8 * 3600; time += 600) {
+        frequency.recordDeparture(ride, time);
+      }
+    });
+    frequencyGraph.rides = new EdgeList(rides);
+    
+    SystemManager.add(new System(frequencySys.id, frequencySys.location, 40, -75));
+    SystemManager.setPrimaryGraph(frequencySys.id, frequencyGraph);
+    SystemManager.setMergedGraph(frequencySys.id, frequencyGraph);
+    server.listen(SystemManager, done);
+  });
+  
+  after(function() {
+    server.close();
+    SystemManager.remove(frequencySys.id);
+  });
+  
+  it('should rank the weighted graph in the background', function() {
+    const url = `${API}/graph/${frequencySys.id}?type=merged&weighting=frequency&mode=${Mode.CLOSENESS}&filter=stops`;
+    
+    return getUrl(url)
+      .then(function(data) {
+        expect(data.error).to.match(/Analysis pending/);
+        expect(data.analysis.state).to.equal(AnalysisState.RUNNING);
+        
+        return getWhenRanked(url);
+      }).then(function(data) {
+        expect(data.error).to.be.undefined;
+        expect(getFeaturesWithRank(data)).to.have.lengthOf(3);
+        // The graph of the other band is ranked on its own
+        return getUrl(`${url}&band=midday`);
+      }).then(function(data) {
+        expect(data.analysis.state).to.equal(AnalysisState.RUNNING);
+        
+        return getWhenRanked(`${url}&band=midday`);
+      });
+  });
+  
+  it('should weigh the rides of the weighted graph', function() {
+    return getText(`${API}/graph/${frequencySys.id}?weighting=frequency&format=csv`)
+      .then(function(data) {
+        // 6 departures over the 4 hours of the morning peak, so a wait of 20
+        // minutes for each ride
+        expect(data.body.trim().split('\n').slice(1)).to.have.members([
+          `0,1,${EdgeType.ROUTE},1260`,
+          `0,2,${EdgeType.ROUTE},1320`,
+          `1,2,${EdgeType.ROUTE},1260`
+        ]);
+      });
+  });
+  
+  it('should route on the weighted graph', function() {
+    return getUrl(`${API}/route/${frequencySys.id}?from=0&to=2`)
+      .then(function(data) {
+        expect(data.stops.map(stop => stop.id)).to.deep.equal([0, 1, 2]);
+        
+        // Riding through is quicker than waiting for a second vehicle at 1
+        return getUrl(`${API}/route/${frequencySys.id}?from=0&to=2&weighting=frequency`);
+      }).then(function(data) {
+        expect(data.stops.map(stop => stop.id)).to.deep.equal([0, 2]);
+        expect(data.totalTime).to.equal(1320);
+        
+        return getUrl(`${API}/routes/${frequencySys.id}?from=0&to=2&weighting=frequency&band=evening`);
+      }).then(function(data) {
+        // Nothing runs in the evening
+        expect(data.routes).to.be.empty;
+        
+        return getUrl(`${API}/route/${frequencySys.id}?from=0&to=2&weighting=often`);
+      }).then(function(data) {
+        expect(data.error).to.match(/Bad weighting/);
+      });
+  });
+  
+  it('should rank the weighted graph again after a failure', function() {
+    // The analysis process fails for a mode it does not know
+    const rank = () => SystemManager.rankFrequencyWeightedGraph(frequencySys.id, 'MIDDAY', 'FAME');
+    const getWhenFailed = () => {
+      const analysis = rank();
+      
+      if (analysis.state !== AnalysisState.RUNNING) { return Promise.resolve(analysis); }
+      return new Promise(resolve => setTimeout(resolve, 50)).then(getWhenFailed);
+    };
+    
+    return getWhenFailed().then(function(analysis) {
+      expect(analysis.state).to.equal(AnalysisState.FAILED);
+      expect(analysis.error).to.match(/Bad mode/);
+      expect(rank().state).to.equal(AnalysisState.RUNNING);
+      
+      return getWhenFailed();
+    });
+  });
+});
+
+describe('The API timetable endpoint', function() {
+  const timetableSys = { id: 'timetabletest', location: 'Timetableville' };
+  
+  before(function(done) {
+    loadFeed(path.resolve(__dirname, 'fixtures/gtfs.zip'), { timeDependent: true }, function(err, stops, edgeRows, schedule) {
+      if (err) { return done(err); }
+      
+      // The route endpoint finds the stops in the primary graph
+      const graph = new TransitGraph(new EdgeList([]), stops.length, stops);
+      
+      SystemManager.add(new System(timetableSys.id, timetableSys.location, 40, -75));
+      SystemManager.setPrimaryGraph(timetableSys.id, graph);
+      SystemManager.setMergedGraph(timetableSys.id, graph);
+      SystemManager.setTimetable(timetableSys.id, new Timetable(stops, schedule));
+      server.listen(SystemManager, done);
+    });
+  });
+  
+  after(function() {
+    server.close();
+    SystemManager.remove(timetableSys.id);
+  });
+  
+  it('should respond with the closeness of every stop', function() {
+    return getUrl(`${API}/timetable/${timetableSys.id}/closeness?time=08:00:00&date=20170301`)
+      .then(function(data) {
+        const expected = SystemManager.getTimetable(timetableSys.id).closenessCentrality(8 * 3600, '20170301');
+        
+        expect(data.time).to.equal('08:00:00');
+        expect(Object.keys(data.ranks)).to.deep.equal(['A', 'B', 'C', 'D', 'E']);
+        expect(data.ranks.A).to.equal(expected[0]);
+        expect(data.ranks.C).to.be.above(0);
+        expect(data.ranks.E).to.equal(0);
+        expect(SystemManager.get(timetableSys.id).rankCache.has('TIMETABLE_CLOSENESS?date=20170301&time=28800')).to.be.true;
+      });
+  });
+  
+  it('should respond with an error for a bad time or date', function() {
+    return getUrl(`${API}/timetable/${timetableSys.id}/closeness?time=8am&date=20170301`)
+      .then(function(data) {
+        expect(data.error).to.match(/Bad time/);
+        
+        return getUrl(`${API}/timetable/${timetableSys.id}/closeness?time=08:00:00&date=March`);
+      }).then(function(data) {
+        expect(data.error).to.match(/Bad date/);
+      });
+  });
+  
+  it('should route along the trips running at a departure time', function() {
+    return getUrl(`${API}/route/${timetableSys.id}?from=A&to=E&time=08:00:00&date=20170301`)
+      .then(function(data) {
+        expect(data.stops.map(stop => stop.id)).to.deep.equal(['A', 'C', 'D', 'E']);
+        expect(data.legs.map(leg => leg.type)).to.deep.equal([EdgeType.ROUTE, EdgeType.TRANSFER, EdgeType.ROUTE]);
+        expect(data.legs[0].tripId).to.equal('T1');
+        expect(data.legs[2].tripId).to.equal('T3');
+        expect(data.legs[2].departure).to.equal(8 * 3600 + 20 * 60);
+        expect(data.transfers).to.equal(1);
+        expect(data.departure).to.equal(8 * 3600);
+        expect(data.totalTime).to.equal(26 * 60);
+      });
+  });
+  
+  it('should respond with an error when no trip reaches the stop in time', function() {
+    return getUrl(`${API}/route/${timetableSys.id}?from=A&to=E&time=10:00:00&date=20170301`)
+      .then(function(data) {
+        expect(data.error).to.match(/No route from A to E/);
+        
+        return getUrl(`${API}/route/${timetableSys.id}?from=A&to=E&time=08:00:00`);
+      }).then(function(data) {
+        expect(data.error).to.match(/Bad date/);
+      });
+  });
+});
+
+describe('The API system upload', function() {
+  const uploadId = 'UPLOADTEST';
+  const query = `id=${uploadId}&location=Uploadville`;
+  // A line of three stops, with a transfer between the last two
+  const files = {
+    stops: '1,One,40.1,-75.1\n2,Two,40.2,-75.2\n3,Three,40.3,-75.3\n',
+    routes: '1,A,ff0000\n2,A,ff0000\n3,B,0000ff\n',
+    edges: '1,2,route,60\n2,1,route,60\n2,3,transfer,120\n3,2,transfer,120\n'
+  };
+  
+  before(function(done) {
+    server.listen(SystemManager, done);
+  });
+  
+  after(function() {
+    server.close();
+  });
+  
+  it('should add a system from its CSVs', function() {
+    return postJson(`${API}/system?${query}`, files)
+      .then(function(data) {
+        expect(data.error).to.be.undefined;
+        expect(data.id).to.equal(uploadId);
+        expect(data.load.state).to.equal(LoadState.LOADED);
+        expect(data.graphs[GraphType.PRIMARY]).to.deep.equal({ nodes: 3, edges: 4 });
+        expect(fs.existsSync(`./data/${uploadId.toLowerCase()}/system.json`)).to.be.true;
+        
+        return getUrl(`${API}/system/${uploadId}`);
+      }).then(function(data) {
+        expect(data.location).to.equal('Uploadville');
+        // Centered on the mean of the stops
+        expect(data.latitude).to.be.closeTo(40.2, 1e-9);
+        expect(data.longitude).to.be.closeTo(-75.2, 1e-9);
+        
+        return getUrl(`${API}/graph/${uploadId}?filter=stops`);
+      }).then(function(data) {
+        expect(data.features).to.have.lengthOf(3);
+        
+        return getUrl(`${API}/system/${uploadId}/validation`);
+      }).then(function(data) {
+        expect(data.valid).to.be.true;
+        expect(data.issues).to.be.empty;
+      });
+  });
+  
+  it('should respond with an error for a system which already exists', function() {
+    return postJson(`${API}/system?${query}`, files)
+      .then(function(data) {
+        expect(data.error).to.match(/already exists/);
+      });
+  });
+  
+  it('should remove an uploaded system', function() {
+    return sendRequest('DELETE', `${API}/system/${uploadId}`)
+      .then(function(data) {
+        expect(data.removed).to.be.true;
+        expect(SystemManager.getIds()).to.not.include(uploadId);
+        expect(fs.existsSync(`./data/${uploadId.toLowerCase()}`)).to.be.false;
+        
+        return getUrl(`${API}/system/${uploadId}`);
+      }).then(function(data) {
+        expect(data.error).to.not.be.undefined;
+      });
+  });
+  
+  it('should add a system from a GTFS zip', function() {
+    const feed = fs.readFileSync(path.resolve(__dirname, 'fixtures/gtfs.zip'));
+    
+    return sendRequest('POST', `${API}/system?${query}&latitude=40&longitude=-74`, feed, 'application/zip')
+      .then(function(data) {
+        expect(data.error).to.be.undefined;
+        expect(data.load.state).to.equal(LoadState.LOADED);
+        expect(data.graphs[GraphType.PRIMARY].nodes).to.be.above(0);
+        
+        return sendRequest('DELETE', `${API}/system/${uploadId}`);
+      }).then(function(data) {
+        expect(data.removed).to.be.true;
+      });
+  });
+  
+  it('should respond with an error for CSVs with problems, and keep nothing', function() {
+    const badFiles = Object.assign({}, files, { edges: '1,4,route,60\n1,2,bus,60\n1,2,route\n' });
+    
+    return postJson(`${API}/system?${query}`, badFiles)
+      .then(function(data) {
+        expect(data.error).to.include('edges.csv line 1: unknown stop 4');
+        expect(data.error).to.include('edges.csv line 2: bad edge type bus');
+        expect(data.error).to.include('edges.csv line 3: expected 4 columns');
+        expect(fs.existsSync(`./data/${uploadId.toLowerCase()}`)).to.be.false;
+        expect(SystemManager.getIds()).to.not.include(uploadId);
+      });
+  });
+  
+  it('should respond with an error for a zip which is not a GTFS feed', function() {
+    return sendRequest('POST', `${API}/system?${query}`, Buffer.from('not a zip'), 'application/zip')
+      .then(function(data) {
+        expect(data.error).to.match(/Bad GTFS zip/);
+        expect(fs.existsSync(`./data/${uploadId.toLowerCase()}`)).to.be.false;
+      });
+  });
+  
+  it('should respond with an error for a bad system ID or location', function() {
+    return Promise.all([
+      postJson(`${API}/system?id=bad-id&location=Uploadville`, files),
+      postJson(`${API}/system?id=${testSys.id}&location=Uploadville`, files),
+      postJson(`${API}/system?id=${uploadId}`, files),
+      postJson(`${API}/system?${query}&latitude=100`, files)
+    ]).then(function(responses) {
+      responses.forEach(data => expect(data.error).to.not.be.undefined);
+    });
+  });
+  
+  it('should respond with an error for an upload without files', function() {
+    return postJson(`${API}/system?${query}`, {})
+      .then(function(data) {
+        expect(data.error).to.match(/Expected a GTFS zip/);
+      });
+  });
+  
+  it('should not remove a system which was not uploaded', function() {
+    return sendRequest('DELETE', `${API}/system/${testSys.id}`)
+      .then(function(data) {
+        expect(data.error).to.match(/Only uploaded systems/);
+        expect(SystemManager.systemExists(testSys.id)).to.be.true;
+      });
+  });
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var betweennessCentrality = require('../lib/server/betweenness').betweennessCentrality;
+var createGraph = require('./helpers/graph').createGraph;
+
+//===================================================
+// BETWEENNESS TEST
+//===================================================
+
+describe('Betweenness centrality', function() {
+  it('should count the pairs whose shortest paths pass through each stop', function() {
+    // A line of four stops
+    const graph = createGraph([ [0, 1, 1], [1, 2, 1], [2, 3, 1] ], 4);
+    
+    expect(betweennessCentrality(graph)).to.deep.equal([0, 2, 2, 0]);
+  });
+  
+  it('should split pairs with several shortest paths between them', function() {
+    // A square, so the opposite corners have two shortest paths
+    const graph = createGraph([ [0, 1, 1], [1, 2, 1], [2, 3, 1], [3, 0, 1] ], 4);
+    
+    expect(betweennessCentrality(graph)).to.deep.equal([0.5, 0.5, 0.5, 0.5]);
+  });
+  
+  it('should follow the edge weights', function() {
+    // The direct edge from 0 to 2 is slower than going through 1
+    const graph = createGraph([ [0, 1, 1], [1, 2, 1], [0, 2, 5] ], 3);
+    
+    expect(betweennessCentrality(graph)).to.deep.equal([0, 1, 0]);
+  });
+  
+  it('should not count stops which cannot be reached', function() {
+    const graph = createGraph([ [0, 1, 1], [1, 2, 1] ], 4);
+    
+    expect(betweennessCentrality(graph)).to.deep.equal([0, 1, 0, 0]);
+  });
+});
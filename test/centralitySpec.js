@@ -0,0 +1,43 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var centrality = require('../lib/server/centrality');
+var traversals = require('transit-tools').traversals;
+var createGraph = require('./helpers/graph').createGraph;
+var createStops = require('./helpers/graph').createStops;
+
+//===================================================
+// CENTRALITY TEST
+//===================================================
+
+describe('A centrality with parameters', function() {
+  // A star of stops around A, with a branch from B to F
+  const stops = createStops(['A', 'B', 'C', 'D', 'E', 'F']);
+  const graph = createGraph([ [0, 1, 1], [0, 2, 2], [0, 3, 1], [0, 4, 3], [1, 5, 1] ], stops);
+  
+  it('should rank as transit-tools does with its damping', function() {
+    expect(centrality.pageRank(graph, 1)).to.deep.equal(traversals.pageRank(graph));
+  });
+  
+  it('should rank as transit-tools does with its alpha', function() {
+    expect(centrality.katzCentrality(graph, 0.5)).to.deep.equal(traversals.katzCentrality(graph));
+  });
+  
+  it('should spread page ranks more evenly the lower the damping', function() {
+    const spread = ranks => Math.max(...ranks) - Math.min(...ranks);
+    
+    expect(spread(centrality.pageRank(graph, 0.5))).to.be.below(spread(centrality.pageRank(graph, 1)));
+    centrality.pageRank(graph, 0).forEach(rank => expect(rank).to.be.closeTo(1 / stops.length, 1e-12));
+  });
+  
+  it('should weigh longer walks more the higher the alpha', function() {
+    const low = centrality.katzCentrality(graph, 0.5);
+    const high = centrality.katzCentrality(graph, 2);
+    
+    // The hub gains on the leaves
+    expect(high[0] / high[4]).to.be.above(low[0] / low[4]);
+  });
+});
@@ -0,0 +1,142 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var cli = require('../lib/server/cli');
+var utils = require('../lib/utils');
+var TransitGraph = require('transit-tools').TransitGraph;
+var Stop = require('transit-tools').Stop;
+var Edge = require('transit-tools').Edge;
+var EdgeList = require('transit-tools').EdgeList;
+var EdgeType = require('../lib/enums').EdgeType;
+var GraphType = require('../lib/enums').GraphType;
+var Mode = require('../lib/enums').Mode;
+
+//===================================================
+// CLI TEST
+//===================================================
+
+describe('The command-line tool', function() {
+  // A line of stops A-B-C, with a transfer between B and C
+  const edges = [
+    new Edge({ type: EdgeType.ROUTE, origin: 0, destination: 1, weight: 60 }),
+    new Edge({ type: EdgeType.ROUTE, origin: 1, destination: 0, weight: 60 }),
+    new Edge({ type: EdgeType.TRANSFER, origin: 1, destination: 2, weight: 120 }),
+    new Edge({ type: EdgeType.TRANSFER, origin: 2, destination: 1, weight: 120 })
+  ];
+  const stops = [
+    new Stop('A', 'Stop A', 40, -75, [ { id: '1', color: 'ff0000' } ]),
+    new Stop('B', 'Stop, B', 40.1, -75, [ { id: '1', color: 'ff0000' }, { id: '2', color: '0000ff' } ]),
+    new Stop('C', 'Stop "C"', 40.2, -75, [ { id: '2', color: '0000ff' } ])
+  ];
+  const graph = new TransitGraph(new EdgeList(edges), stops.length, stops);
+  const system = { id: 'TEST', graphs: {}, parameters: {} };
+  system.graphs[GraphType.PRIMARY] = graph;
+  system.graphs[GraphType.MERGED] = graph;
+  
+  it('should quote CSV fields with commas, quotes or line breaks', function() {
+    const csv = utils.toCsv([
+      { id: 'A', name: 'Plain', routes: ['1', '2'] },
+      { id: 'B', name: 'Comma, "quote"', routes: [] },
+      { id: 'C', name: 'Line\nbreak' }
+    ], ['id', 'name', 'routes']);
+    
+    expect(csv).to.equal('id,name,routes\nA,Plain,1 2\nB,"Comma, ""quote""",\nC,"Line\nbreak",\n');
+  });
+  
+  it('should rank the stops in the modes asked for', function() {
+    const lines = cli.runCommand('rank', system, { mode: 'closeness,page_rank' }).trim().split('\n');
+    
+    expect(lines[0]).to.equal('id,name,latitude,longitude,routes,closeness,closeness_rank,page_rank,page_rank_rank');
+    expect(lines).to.have.lengthOf(stops.length + 1);
+    // The middle stop is the closest to the others
+    expect(lines[1]).to.match(/^B,"Stop, B",40.1,-75,1 2,[^,]+,1,/);
+  });
+  
+  it('should rank the stops in every mode by default', function() {
+    const rows = JSON.parse(cli.runCommand('rank', system, { format: 'json' }));
+    
+    expect(rows).to.have.lengthOf(stops.length);
+    Mode.ALL.forEach(mode => {
+      expect(rows[0]).to.have.property(`${mode.toLowerCase()}_rank`);
+    });
+  });
+  
+  it('should find a route between two stops', function() {
+    const csv = cli.runCommand('route', system, { from: 'A', to: 'C' });
+    const route = JSON.parse(cli.runCommand('route', system, { from: 'A', to: 'C', format: 'json' }));
+    
+    expect(csv).to.equal(`origin,destination,type,duration\nA,B,${EdgeType.ROUTE},60\nB,C,${EdgeType.TRANSFER},120\n`);
+    expect(route.totalTime).to.equal(180);
+    expect(route.transfers).to.equal(1);
+  });
+  
+  it('should describe the size of the graphs', function() {
+    const rows = JSON.parse(cli.runCommand('stats', system, { format: 'json' }));
+    
+    expect(rows).to.have.lengthOf(2);
+    expect(rows[0]).to.deep.equal({
+      type: GraphType.PRIMARY,
+      nodes: 3,
+      edges: 4,
+      routeEdges: 2,
+      transferEdges: 2,
+      components: 1,
+      meanDegree: 4 / 3
+    });
+  });
+  
+  it('should export a graph as GeoJSON', function() {
+    const geoJson = JSON.parse(cli.runCommand('export', system, { type: 'primary' }));
+    
+    expect(geoJson.type).to.equal('FeatureCollection');
+    expect(geoJson.features).to.not.be.empty;
+  });
+  
+  it('should export a graph in the other formats', function() {
+    const graphMl = cli.runCommand('export', system, { format: 'graphml' });
+    const edgeList = cli.runCommand('export', system, { format: 'csv' });
+    const stopTable = cli.runCommand('export', system, { format: 'csv', filter: 'stops' });
+    const jsonGraph = JSON.parse(cli.runCommand('export', system, { format: 'json-graph' }));
+    
+    expect(graphMl).to.match(/^<\?xml/);
+    expect(graphMl).to.include('<graph id="TEST" edgedefault="directed">');
+    expect(edgeList.split('\n')[0]).to.equal('source,target,type,weight');
+    expect(stopTable.split('\n')[0]).to.equal('id,name,latitude,longitude,routes');
+    expect(Object.keys(jsonGraph.graph.nodes)).to.deep.equal(['A', 'B', 'C']);
+  });
+  
+  it('should reject bad arguments', function() {
+    expect(() => cli.runCommand('draw', system, {})).to.throw(/Bad command/);
+    expect(() => cli.runCommand('stats', system, { format: 'xml' })).to.throw(/Bad format/);
+    expect(() => cli.runCommand('rank', system, { format: 'gexf' })).to.throw(/Bad format for rank/);
+    expect(() => cli.runCommand('export', system, { format: 'gexf', filter: 'stops' })).to.throw(/Bad filter/);
+    expect(() => cli.runCommand('rank', system, { mode: 'fame' })).to.throw(/Bad mode/);
+    expect(() => cli.runCommand('rank', system, { damping: 2 })).to.throw(/Bad damping/);
+    expect(() => cli.runCommand('route', system, { from: 'A', to: 'Z' })).to.throw(/Bad destination stop/);
+    expect(() => cli.runCommand('export', system, { type: 'theoretical' })).to.throw(/Bad graph type/);
+  });
+  
+  it('should call back with an error for an unknown system', function(done) {
+    cli.main({ _: ['stats'], system: 'NOWHERE' }, function(err) {
+      expect(err.message).to.match(/Bad system/);
+      done();
+    });
+  });
+  
+  it('should call back with an error for a bad validation', function(done) {
+    cli.main({ _: ['stats'], system: 'MBTA', validation: 'loose' }, function(err) {
+      expect(err.message).to.match(/Bad validation/);
+      done();
+    });
+  });
+  
+  it('should call back with an error for a bad verbosity', function(done) {
+    cli.main({ _: ['stats'], system: 'MBTA', verbosity: 'loud' }, function(err) {
+      expect(err.message).to.match(/Bad verbosity/);
+      done();
+    });
+  });
+});
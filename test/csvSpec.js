@@ -0,0 +1,97 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var parseCsv = require('../lib/server/csv').parseCsv;
+var createCsvParser = require('../lib/server/csv').createCsvParser;
+
+//===================================================
+// CSV TEST
+//===================================================
+
+describe('Parsing a CSV', function() {
+  it('should split records into fields', function() {
+    expect(parseCsv('1,One,40.1,-75.1\n2,Two,40.2,-75.2\n')).to.deep.equal([
+      { line: 1, fields: ['1', 'One', '40.1', '-75.1'] },
+      { line: 2, fields: ['2', 'Two', '40.2', '-75.2'] }
+    ]);
+  });
+  
+  it('should read quoted fields with commas, quotes and line breaks', function() {
+    expect(parseCsv('1,"Broadway, 42 St",40,-73\n2,"The ""Loop""",41,-87\n3,"Two\nLines",42,-71\n4,End,43,-70'))
+      .to.deep.equal([
+        { line: 1, fields: ['1', 'Broadway, 42 St', '40', '-73'] },
+        { line: 2, fields: ['2', 'The "Loop"', '41', '-87'] },
+        { line: 3, fields: ['3', 'Two\nLines', '42', '-71'] },
+        { line: 5, fields: ['4', 'End', '43', '-70'] }
+      ]);
+  });
+  
+  it('should accept CRLF line breaks, a byte order mark and empty fields', function() {
+    expect(parseCsv('\uFEFF1,A,\r\n2,"",ff0000\r\n')).to.deep.equal([
+      { line: 1, fields: ['1', 'A', ''] },
+      { line: 2, fields: ['2', '', 'ff0000'] }
+    ]);
+  });
+  
+  it('should drop the CR of a last record without a line feed', function() {
+    expect(parseCsv('a,b\r')).to.deep.equal([ { line: 1, fields: ['a', 'b'] } ]);
+    expect(parseCsv('1,2\r\n3,4\r')).to.deep.equal([
+      { line: 1, fields: ['1', '2'] },
+      { line: 2, fields: ['3', '4'] }
+    ]);
+    expect(parseCsv('a,"b"\r\nc,"d"\r')).to.deep.equal([
+      { line: 1, fields: ['a', 'b'] },
+      { line: 2, fields: ['c', 'd'] }
+    ]);
+  });
+  
+  it('should skip blank lines but count them', function() {
+    expect(parseCsv('\n1,2\n\n\n3,4\n\n')).to.deep.equal([
+      { line: 2, fields: ['1', '2'] },
+      { line: 5, fields: ['3', '4'] }
+    ]);
+  });
+  
+  it('should report text after a closing quote and a quote never closed', function() {
+    expect(parseCsv('1,"One"x,40\n2,"Two,40\n3,Three,41\n')).to.deep.equal([
+      { line: 1, fields: ['1', 'Onex', '40'], error: 'text after a closing quote in field 2' },
+      { line: 2, fields: ['2', 'Two,40\n3,Three,41\n'], error: 'quote in field 2 is never closed' }
+    ]);
+  });
+});
+
+describe('Parsing a CSV as it is read', function() {
+  function parseChunks(chunks) {
+    const fields = [];
+    const parser = createCsvParser(record => fields.push(record.fields));
+    
+    chunks.forEach(chunk => parser.write(chunk));
+    parser.end();
+    return fields;
+  }
+  
+  it('should parse the same records however the text is split', function() {
+    const text = '\uFEFFstop_id,stop_name\r\nA,"Alpha, ""North"""\r\nB,"Beta\nSouth"\r\n\r\nC,Gamma';
+    const expected = parseCsv(text).map(record => record.fields);
+    
+    expect(expected).to.have.lengthOf(4);
+    for (let size = 1; size <= text.length; size++) {
+      const chunks = [];
+      
+      for (let i = 0; i < text.length; i += size) {
+        chunks.push(text.slice(i, i + size));
+      }
+      expect(parseChunks(chunks)).to.deep.equal(expected);
+    }
+  });
+  
+  it('should not end a record at a line break in quotes', function() {
+    expect(parseChunks(['1,"Two\n', 'Lines"\n2,', 'End\n'])).to.deep.equal([
+      ['1', 'Two\nLines'],
+      ['2', 'End']
+    ]);
+  });
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+var fs = require('fs');
+
+var SystemManager = require('../lib/server/systemManager');
+var dataWatcher = require('../lib/server/dataWatcher');
+var graphCache = require('../lib/server/graphCache');
+var registerSystem = require('../lib/server/upload').registerSystem;
+var GraphType = require('../lib/enums').GraphType;
+var AnalysisState = require('../lib/enums').AnalysisState;
+var Mode = require('../lib/enums').Mode;
+
+//===================================================
+// DATA WATCHER TEST
+//===================================================
+
+describe('Reloading a system', function() {
+  const systemId = 'RELOADTEST';
+  const dataDir = `./data/${systemId.toLowerCase()}`;
+  const config = { location: 'Reloadville', latitude: 40, longitude: -75 };
+  // A line of three stops, later extended to four
+  const stops = '1,One,40.1,-75.1\n2,Two,40.2,-75.2\n3,Three,40.3,-75.3\n';
+  const routes = '1,A,ff0000\n2,A,ff0000\n3,A,ff0000\n';
+  const edges = '1,2,route,60\n2,1,route,60\n2,3,route,60\n3,2,route,60\n';
+  
+  function writeFiles(files) {
+    Object.keys(files).forEach(name => fs.writeFileSync(`${dataDir}/${name}.csv`, files[name]));
+  }
+  
+  function extendLine() {
+    writeFiles({
+      stops: stops + '4,Four,40.4,-75.4\n',
+      routes: routes + '4,A,ff0000\n',
+      edges: edges + '3,4,route,60\n4,3,route,60\n'
+    });
+  }
+  
+  before(function(done) {
+    fs.mkdirSync(dataDir);
+    writeFiles({ stops: stops, routes: routes, edges: edges });
+    registerSystem(SystemManager, systemId, config, function(err) {
+      if (err) { return done(err); }
+      
+      SystemManager.analyzeSystem(SystemManager.get(systemId), done);
+    });
+  });
+  
+  after(function() {
+    dataWatcher.unwatchSystem(systemId);
+    dataWatcher.setEnabled(false);
+    if (SystemManager.systemExists(systemId)) {
+      SystemManager.remove(systemId);
+    }
+    fs.readdirSync(dataDir).forEach(filename => fs.unlinkSync(`${dataDir}/${filename}`));
+    fs.rmdirSync(dataDir);
+    graphCache.remove(systemId);
+  });
+  
+  it('should swap in the new graphs only once they are analyzed', function(done) {
+    const oldSystem = SystemManager.get(systemId);
+    const oldGraph = SystemManager.getGraph(systemId, GraphType.MERGED);
+    
+    extendLine();
+    SystemManager.reloadSystem(systemId, config, function(err) {
+      expect(err).to.be.null;
+      
+      const graph = SystemManager.getGraph(systemId, GraphType.MERGED);
+      const status = SystemManager.getStatus(systemId);
+      
+      expect(SystemManager.get(systemId)).to.not.equal(oldSystem);
+      expect(graph.length()).to.equal(4);
+      Mode.ALL.forEach(mode => {
+        expect(SystemManager.isAnalyzed(systemId, mode)).to.be.true;
+        expect(graph.ranks[mode]).to.have.lengthOf(4);
+      });
+      expect(status.reload.state).to.equal(AnalysisState.COMPLETE);
+      expect(status.reload.count).to.equal(1);
+      expect(status.timings.reload).to.be.at.least(0);
+      // Requests which already had the old graph can still use it
+      expect(oldGraph.length()).to.equal(3);
+      done();
+    });
+    
+    // Until then the old graph is served
+    expect(SystemManager.get(systemId)).to.equal(oldSystem);
+    expect(SystemManager.getStatus(systemId).reload.state).to.equal(AnalysisState.RUNNING);
+  });
+  
+  it('should keep serving the old graphs if the new ones fail to load', function(done) {
+    const oldSystem = SystemManager.get(systemId);
+    const error = 'edges.csv line 1: expected 4 columns (origin,destination,type,weight)';
+    
+    writeFiles({ edges: '1,2,route\n' });
+    SystemManager.reloadSystem(systemId, Object.assign({ validation: 'strict' }, config), function(err) {
+      expect(err.message).to.equal(error);
+      expect(SystemManager.get(systemId)).to.equal(oldSystem);
+      expect(SystemManager.getGraph(systemId, GraphType.MERGED).length()).to.equal(4);
+      expect(SystemManager.getStatus(systemId).reload).to.deep.equal({
+        state: AnalysisState.FAILED,
+        count: 1,
+        error: error
+      });
+      done();
+    });
+  });
+  
+  it('should reload a system when its input files change', function(done) {
+    dataWatcher.setEnabled(true);
+    dataWatcher.setDelay(50);
+    dataWatcher.watchSystem(SystemManager, systemId, config);
+    
+    // Changes to other files are ignored
+    fs.writeFileSync(`${dataDir}/notes.txt`, 'not an input file');
+    writeFiles({ stops: stops, routes: routes, edges: edges });
+    
+    const poll = setInterval(function() {
+      const status = SystemManager.getStatus(systemId);
+      
+      if (status.reload.state !== AnalysisState.COMPLETE) { return; }
+      
+      clearInterval(poll);
+      expect(status.reload.count).to.equal(2);
+      expect(SystemManager.getGraph(systemId, GraphType.MERGED).length()).to.equal(3);
+      done();
+    }, 50);
+  });
+  
+  it('should not reload when watching is disabled', function(done) {
+    dataWatcher.unwatchSystem(systemId);
+    dataWatcher.setEnabled(false);
+    dataWatcher.watchSystem(SystemManager, systemId, config);
+    
+    extendLine();
+    setTimeout(function() {
+      expect(SystemManager.getStatus(systemId).reload.count).to.equal(2);
+      expect(SystemManager.getGraph(systemId, GraphType.MERGED).length()).to.equal(3);
+      done();
+    }, 300);
+  });
+  
+  it('should refuse to start a reload while another is running', function(done) {
+    const oldSystem = SystemManager.get(systemId);
+    let refused = false;
+    
+    SystemManager.reloadSystem(systemId, config, function(err) {
+      expect(err).to.be.null;
+      expect(refused).to.be.true;
+      expect(SystemManager.get(systemId)).to.not.equal(oldSystem);
+      expect(SystemManager.getStatus(systemId).reload.count).to.equal(3);
+      done();
+    });
+    SystemManager.reloadSystem(systemId, config, function(err) {
+      expect(err.message).to.equal('a reload is already running');
+      expect(SystemManager.getStatus(systemId).reload.state).to.equal(AnalysisState.RUNNING);
+      refused = true;
+    });
+  });
+});
@@ -0,0 +1,56 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var distribution = require('../lib/server/distribution');
+
+//===================================================
+// DISTRIBUTION TEST
+//===================================================
+
+describe('A distribution', function() {
+  it('should have a Gini coefficient of 0 when every value is equal', function() {
+    expect(distribution.gini([3, 3, 3, 3])).to.equal(0);
+    expect(distribution.gini([0, 0])).to.equal(0);
+  });
+  
+  it('should have a higher Gini coefficient the more unequal it is', function() {
+    // One value of four holding everything
+    expect(distribution.gini([0, 0, 0, 8])).to.equal(0.75);
+    expect(distribution.gini([1, 2, 3, 4])).to.equal(0.25);
+    // It does not depend on the scale or order of the values
+    expect(distribution.gini([40, 10, 30, 20])).to.equal(0.25);
+  });
+  
+  it('should interpolate percentiles', function() {
+    const sorted = [0, 1, 2, 3, 4];
+    
+    expect(distribution.percentile(sorted, 50)).to.equal(2);
+    expect(distribution.percentile(sorted, 90)).to.be.closeTo(3.6, 1e-9);
+    expect(distribution.percentile(sorted, 0)).to.equal(0);
+    expect(distribution.percentile(sorted, 100)).to.equal(4);
+  });
+  
+  it('should bin values between 0 and 1', function() {
+    const bins = distribution.histogram([0, 0.1, 0.6, 1], 2);
+    
+    expect(bins.map(bin => bin.count)).to.deep.equal([2, 2]);
+    expect(bins.map(bin => bin.fraction)).to.deep.equal([0.5, 0.5]);
+    expect(bins[1].from).to.equal(0.5);
+    expect(bins[1].to).to.equal(1);
+  });
+  
+  it('should describe the normalized scores', function() {
+    const description = distribution.describeDistribution([10, 20, 30, 40, 50]);
+    
+    expect(description.stops).to.equal(5);
+    expect(description.mean).to.equal(0.5);
+    expect(description.stDev).to.be.closeTo(Math.sqrt(0.125), 1e-9);
+    expect(description.percentiles[50]).to.equal(0.5);
+    expect(description.gini).to.be.closeTo(distribution.gini([1, 2, 3, 4, 5]), 1e-9);
+    expect(description.histogram).to.have.lengthOf(10);
+    expect(description.histogram.reduce((total, bin) => total + bin.count, 0)).to.equal(5);
+  });
+});
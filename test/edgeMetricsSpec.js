@@ -0,0 +1,64 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var edgeMetrics = require('../lib/server/edgeMetrics');
+var edgeBetweenness = require('../lib/server/betweenness').edgeBetweenness;
+var createGraph = require('./helpers/graph').createGraph;
+
+//===================================================
+// EDGE METRICS TEST
+//===================================================
+
+describe('The edge metrics', function() {
+  // A line of four stops
+  const line = createGraph([ [0, 1, 1], [1, 2, 1], [2, 3, 1] ], 4);
+  // A square, so the opposite corners have two shortest paths
+  const square = createGraph([ [0, 1, 1], [1, 2, 1], [2, 3, 1], [3, 0, 1] ], 4);
+  
+  it('should count the shortest paths along each edge', function() {
+    expect(edgeBetweenness(line)).to.deep.equal([3, 4, 3]);
+    expect(edgeBetweenness(square)).to.deep.equal([2, 2, 2, 2]);
+  });
+  
+  it('should give both directions of a two-way edge the same value', function() {
+    // The line again, with each edge listed in both directions
+    const twoWay = createGraph([ [0, 1, 1], [1, 0, 1], [1, 2, 1], [2, 1, 1], [2, 3, 1], [3, 2, 1] ], 4);
+    
+    expect(edgeBetweenness(twoWay)).to.deep.equal([3, 3, 4, 4, 3, 3]);
+    expect(edgeMetrics.criticality(twoWay).disconnectedPairs).to.deep.equal([3, 3, 4, 4, 3, 3]);
+  });
+  
+  it('should measure the average delay when an edge is removed', function() {
+    const result = edgeMetrics.criticality(square);
+    
+    // Only the stops at either end of the edge take longer, 2 seconds longer,
+    // out of 6 pairs of stops
+    result.criticality.forEach(value => expect(value).to.be.closeTo(2 / 6, 1e-9));
+    expect(result.disconnectedPairs).to.deep.equal([0, 0, 0, 0]);
+  });
+  
+  it('should count the pairs of stops an edge disconnects', function() {
+    const result = edgeMetrics.criticality(line);
+    
+    expect(result.criticality).to.deep.equal([0, 0, 0]);
+    expect(result.disconnectedPairs).to.deep.equal([3, 4, 3]);
+  });
+  
+  it('should add the metrics to the GeoJSON edges', function() {
+    const geoJson = edgeMetrics.addEdgeMetrics(line.getGeoJsonEdges(), edgeMetrics.calculateEdgeMetrics(line));
+    const properties = geoJson.features[1].properties;
+    
+    expect(properties.betweenness).to.equal(4);
+    expect(properties.criticality).to.equal(0);
+    expect(properties.disconnectedPairs).to.equal(4);
+  });
+  
+  it('should leave the GeoJSON edges alone without metrics', function() {
+    const geoJson = edgeMetrics.addEdgeMetrics(line.getGeoJsonEdges(), undefined);
+    
+    expect(geoJson.features[0].properties).to.not.have.property('betweenness');
+  });
+});
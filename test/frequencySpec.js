@@ -0,0 +1,162 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+var fs = require('fs');
+var path = require('path');
+
+var frequency = require('../lib/server/frequency');
+var loadGraph = require('../lib/server/createGraph').loadGraph;
+var TransitGraph = require('transit-tools').TransitGraph;
+var Stop = require('transit-tools').Stop;
+var Edge = require('transit-tools').Edge;
+var EdgeList = require('transit-tools').EdgeList;
+var EdgeType = require('../lib/enums').EdgeType;
+var TimeBand = require('../lib/enums').TimeBand;
+
+const HOUR = 3600;
+
+//===================================================
+// FREQUENCY TEST
+//===================================================
+
+describe('Service frequency', function() {
+  // A line from 0 to 1 and on to 2, with a transfer from 2 to 3. Only one
+  // trip in ten runs on past 1.
+  function createGraph() {
+    const edges = [
+      new Edge({ type: EdgeType.ROUTE, origin: 0, destination: 1, weight: 120 }),
+      new Edge({ type: EdgeType.ROUTE, origin: 1, destination: 2, weight: 120 }),
+      new Edge({ type: EdgeType.TRANSFER, origin: 2, destination: 3, weight: 60 })
+    ];
+    const rides = [
+      new Edge({ type: EdgeType.ROUTE, origin: 0, destination: 1, weight: 120 }),
+      new Edge({ type: EdgeType.ROUTE, origin: 0, destination: 2, weight: 240 }),
+      new Edge({ type: EdgeType.ROUTE, origin: 1, destination: 2, weight: 120 })
+    ];
+    const stops = [0, 1, 2, 3].map(id => new Stop(id, String(id), 0, 0, []));
+    
+    // Every 3 minutes from 0 to 1, every 30 minutes on to 2
+    for (let time = 7 * HOUR; time < 8 * HOUR; time += 180) {
+      frequency.recordDeparture(rides[0], time);
+    }
+    for (let time = 7 * HOUR; time < 8 * HOUR; time += 1800) {
+      frequency.recordDeparture(rides[1], time);
+      frequency.recordDeparture(rides[2], time + 120);
+    }
+    
+    const graph = new TransitGraph(new EdgeList(edges), stops.length, stops);
+    graph.rides = new EdgeList(rides);
+    
+    return graph;
+  }
+  
+  it('should place times in bands', function() {
+    expect(frequency.getTimeBand(0)).to.equal(TimeBand.NIGHT);
+    expect(frequency.getTimeBand(8 * HOUR)).to.equal(TimeBand.AM_PEAK);
+    expect(frequency.getTimeBand(12 * HOUR)).to.equal(TimeBand.MIDDAY);
+    expect(frequency.getTimeBand(17 * HOUR)).to.equal(TimeBand.PM_PEAK);
+    expect(frequency.getTimeBand(23 * HOUR)).to.equal(TimeBand.EVENING);
+    // Trips past midnight belong to the night of the next day
+    expect(frequency.getTimeBand(25 * HOUR)).to.equal(TimeBand.NIGHT);
+  });
+  
+  it('should calculate the headway of a ride during a band', function() {
+    const graph = createGraph();
+    
+    // 20 departures over the four hours of the morning peak
+    expect(frequency.getHeadway(graph.rides.get(0), TimeBand.AM_PEAK)).to.equal(4 * HOUR / 20);
+    expect(frequency.getHeadway(graph.rides.get(0), TimeBand.MIDDAY)).to.equal(Infinity);
+    expect(frequency.getHeadway(graph.edgeList.get(2), TimeBand.AM_PEAK)).to.equal(Infinity);
+  });
+  
+  it('should know whether frequencies were loaded', function() {
+    const stops = [0, 1].map(id => new Stop(id, String(id), 0, 0, []));
+    const graph = new TransitGraph(new EdgeList([
+      new Edge({ type: EdgeType.ROUTE, origin: 0, destination: 1, weight: 120 })
+    ]), stops.length, stops);
+    
+    expect(frequency.hasFrequencies(createGraph())).to.be.true;
+    expect(frequency.hasFrequencies(graph)).to.be.false;
+  });
+  
+  it('should add half the headway to each ride', function() {
+    const weightedGraph = frequency.applyFrequencyWeighting(createGraph(), TimeBand.AM_PEAK);
+    
+    expect(weightedGraph.getWeight(0, 1)).to.equal(120 + 4 * HOUR / 20 / 2);
+    expect(weightedGraph.getWeight(0, 2)).to.equal(240 + 4 * HOUR / 2 / 2);
+    expect(weightedGraph.getWeight(1, 2)).to.equal(120 + 4 * HOUR / 2 / 2);
+    expect(weightedGraph.getWeight(2, 3)).to.equal(60);
+  });
+  
+  it('should only charge the wait once for a ride through three stops', function() {
+    const weightedGraph = frequency.applyFrequencyWeighting(createGraph(), TimeBand.AM_PEAK);
+    
+    // Riding on from 1 to 2 waits for no second vehicle
+    expect(weightedGraph.dijkstra(0)[2]).to.equal(240 + 4 * HOUR / 2 / 2);
+  });
+  
+  it('should leave out rides without service during the band', function() {
+    const weightedGraph = frequency.applyFrequencyWeighting(createGraph(), TimeBand.EVENING);
+    
+    expect(weightedGraph.edgeExists(0, 1)).to.be.false;
+    expect(weightedGraph.edgeExists(0, 2)).to.be.false;
+    expect(weightedGraph.edgeExists(2, 3)).to.be.true;
+  });
+  
+  it('should count the services running on a given date', function() {
+    const schedule = {
+      calendar: {
+        WK: { days: [false, true, true, true, true, true, false], startDate: '20170101', endDate: '20171231' },
+        WE: { days: [true, false, false, false, false, false, true], startDate: '20170101', endDate: '20171231' }
+      },
+      calendarDates: {}
+    };
+    const weekday = frequency.createServiceFilter(schedule);
+    const saturday = frequency.createServiceFilter(schedule, '20170304');
+    
+    expect(weekday('WK')).to.be.true;
+    expect(weekday('WE')).to.be.false;
+    expect(saturday('WK')).to.be.false;
+    expect(saturday('WE')).to.be.true;
+  });
+});
+
+describe('The rides of a system loaded from a GTFS feed', function() {
+  const systemId = 'FREQUENCYTEST';
+  const dataDir = `./data/${systemId.toLowerCase()}`;
+  let graph;
+  
+  before(function(done) {
+    fs.mkdirSync(dataDir);
+    fs.writeFileSync(`${dataDir}/gtfs.zip`, fs.readFileSync(path.resolve(__dirname, 'fixtures/gtfs.zip')));
+    loadGraph(systemId, {}, function(err, primaryGraph) {
+      graph = primaryGraph;
+      done(err);
+    });
+  });
+  
+  after(function() {
+    fs.unlinkSync(`${dataDir}/gtfs.zip`);
+    fs.rmdirSync(dataDir);
+  });
+  
+  function findRide(origin, destination) {
+    return graph.rides.list.filter(ride => {
+      return graph.stops[ride.origin].id === origin && graph.stops[ride.destination].id === destination;
+    })[0];
+  }
+  
+  it('should offer a ride from every stop of a trip to each later stop', function() {
+    expect(graph.rides.list.map(ride => graph.stops[ride.origin].id + graph.stops[ride.destination].id))
+      .to.have.members(['AB', 'AC', 'BC', 'DE']);
+    expect(findRide('A', 'C').weight).to.equal(300);
+    expect(findRide('A', 'C').departures[TimeBand.AM_PEAK]).to.equal(2);
+  });
+  
+  it('should keep the shortest run time of a ride', function() {
+    expect(findRide('D', 'E').weight).to.equal(300);
+    expect(findRide('D', 'E').departures[TimeBand.AM_PEAK]).to.equal(2);
+  });
+});
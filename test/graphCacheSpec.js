@@ -0,0 +1,110 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var graphCache = require('../lib/server/graphCache');
+var TransitGraph = require('transit-tools').TransitGraph;
+var Stop = require('transit-tools').Stop;
+var Route = require('transit-tools').Route;
+var Edge = require('transit-tools').Edge;
+var EdgeList = require('transit-tools').EdgeList;
+var EdgeType = require('../lib/enums').EdgeType;
+var Mode = require('../lib/enums').Mode;
+
+//===================================================
+// GRAPH CACHE TEST
+//===================================================
+
+describe('The graph cache', function() {
+  const system = { feed: { routeTypes: [1] } };
+  let directory, inputFile;
+  
+  function createGraph() {
+    const edges = [
+      new Edge({ type: EdgeType.ROUTE, origin: 0, destination: 1, weight: 120 }),
+      new Edge({ type: EdgeType.ROUTE, origin: 1, destination: 2, weight: 180 })
+    ];
+    const stops = ['A', 'B', 'C', 'D'].map(id => new Stop(id, id, 40, -75, [ new Route('1', 'EE352E') ]));
+    const graph = new TransitGraph(new EdgeList(edges), stops.length, stops);
+    
+    graph.calculatePathLengths();
+    graph.ranks = { [Mode.PAGE_RANK]: [0.1, 0.4, 0.3, 0.2] };
+    graph.edgeMetrics = { betweenness: [3, 2], criticality: [0, 0], disconnectedPairs: [1, 2] };
+    
+    return graph;
+  }
+  
+  before(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gtfs-graph-cache-'));
+    inputFile = path.join(directory, 'edges.csv');
+    fs.writeFileSync(inputFile, 'A,B,route,120\n');
+    graphCache.setDirectory(directory);
+  });
+  
+  after(function() {
+    fs.readdirSync(directory).forEach(file => fs.unlinkSync(path.join(directory, file)));
+    fs.rmdirSync(directory);
+    graphCache.setDirectory('./cache');
+    graphCache.setEnabled(true);
+  });
+  
+  it('should restore a graph with its distances, ranks and edge metrics', function() {
+    const graph = createGraph();
+    const restored = graphCache.deserializeGraph(JSON.parse(JSON.stringify(graphCache.serializeGraph(graph))));
+    
+    expect(restored).to.be.an.instanceof(TransitGraph);
+    expect(restored.getStopIds()).to.deep.equal(['A', 'B', 'C', 'D']);
+    expect(restored.stops[0].routes[0]).to.be.an.instanceof(Route);
+    expect(restored.getWeight(2, 1)).to.equal(180);
+    expect(restored.getEdge(0, 1).type).to.equal(EdgeType.ROUTE);
+    expect(restored.distanceMatrix.get(0, 2)).to.equal(300);
+    // D is not connected to anything
+    expect(restored.distanceMatrix.get(0, 3)).to.equal(Infinity);
+    expect(restored.ranks).to.deep.equal(graph.ranks);
+    expect(restored.edgeMetrics).to.deep.equal(graph.edgeMetrics);
+  });
+  
+  it('should key the cache by the contents of the input files and the parameters', function() {
+    const key = graphCache.createKey('TEST', system, [ inputFile ]);
+    
+    expect(graphCache.createKey('TEST', system, [ inputFile ])).to.equal(key);
+    expect(graphCache.createKey('TEST', { feed: {} }, [ inputFile ])).to.not.equal(key);
+    expect(graphCache.createKey('TEST', Object.assign({ parameters: { damping: 0.85 } }, system), [ inputFile ])).to.not.equal(key);
+    
+    fs.writeFileSync(inputFile, 'A,B,route,90\n');
+    expect(graphCache.createKey('TEST', system, [ inputFile ])).to.not.equal(key);
+  });
+  
+  it('should load a saved graph when the key matches', function() {
+    graphCache.save('TEST', 'abc', createGraph());
+    
+    expect(fs.existsSync(graphCache.getCachePath('TEST'))).to.be.true;
+    expect(graphCache.load('TEST', 'abc').ranks[Mode.PAGE_RANK]).to.deep.equal([0.1, 0.4, 0.3, 0.2]);
+  });
+  
+  it('should not load a graph saved from other inputs', function() {
+    graphCache.save('TEST', 'abc', createGraph());
+    
+    expect(graphCache.load('TEST', 'def')).to.be.undefined;
+    expect(graphCache.load('OTHER', 'abc')).to.be.undefined;
+  });
+  
+  it('should ignore a corrupt cache', function() {
+    fs.writeFileSync(graphCache.getCachePath('TEST'), '{"version":');
+    
+    expect(graphCache.load('TEST', 'abc')).to.be.undefined;
+  });
+  
+  it('should do nothing when disabled', function() {
+    graphCache.save('TEST', 'abc', createGraph());
+    graphCache.setEnabled(false);
+    
+    expect(graphCache.load('TEST', 'abc')).to.be.undefined;
+    graphCache.setEnabled(true);
+  });
+});
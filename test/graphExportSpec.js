@@ -0,0 +1,95 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var exportGraph = require('../lib/server/graphExport').exportGraph;
+var Stop = require('./helpers/graph').Stop;
+var createGraph = require('./helpers/graph').createGraph;
+var EdgeType = require('../lib/enums').EdgeType;
+var ExportFormat = require('../lib/enums').ExportFormat;
+var Mode = require('../lib/enums').Mode;
+
+//===================================================
+// GRAPH EXPORT TEST
+//===================================================
+
+describe('A graph export', function() {
+  // Two stops joined by a route, one with a name which must be escaped
+  const stops = [
+    new Stop(101, 'Court Sq & 23 St', 40.747, -73.946, [ { id: 'E', color: '0039a6' }, { id: 'M', color: 'ff6319' } ]),
+    new Stop(102, 'Lexington Av <53 St>', 40.757, -73.969, [ { id: 'E', color: '0039a6' } ])
+  ];
+  const graph = createGraph([ [0, 1, 90], [1, 0, 180, EdgeType.TRANSFER] ], stops);
+  graph.ranks = {};
+  graph.ranks[Mode.CLOSENESS] = [0.25, 0.75];
+  
+  it('should write GraphML with a key for every attribute', function() {
+    const exported = exportGraph(graph, ExportFormat.GRAPHML, 'MTA');
+    const body = exported.body;
+    
+    expect(exported.contentType).to.equal('application/graphml+xml');
+    expect(body).to.include('<key id="closeness" for="node" attr.name="closeness" attr.type="double"/>');
+    expect(body).to.include('<key id="weight" for="edge" attr.name="weight" attr.type="double"/>');
+    expect(body).to.include('<graph id="MTA" edgedefault="directed">');
+    expect(body).to.include('<data key="name">Court Sq &amp; 23 St</data>');
+    expect(body).to.include('<data key="name">Lexington Av &lt;53 St&gt;</data>');
+    expect(body).to.include('<data key="routes">E M</data>');
+    expect(body).to.include('<edge source="102" target="101">');
+    expect(body).to.include(`<data key="type">${EdgeType.TRANSFER}</data>`);
+    expect(body.match(/<node /g)).to.have.lengthOf(2);
+    expect(body.match(/<edge /g)).to.have.lengthOf(2);
+  });
+  
+  it('should leave out the ranks of modes the graph has not been ranked in', function() {
+    const body = exportGraph(graph, ExportFormat.GRAPHML, 'MTA').body;
+    
+    expect(body).to.not.include('page_rank');
+  });
+  
+  it('should write GEXF with the names as labels and built-in weights', function() {
+    const exported = exportGraph(graph, ExportFormat.GEXF, 'MTA');
+    const body = exported.body;
+    
+    expect(exported.contentType).to.equal('application/gexf+xml');
+    expect(body).to.include('<graph mode="static" defaultedgetype="directed">');
+    expect(body).to.include('<node id="101" label="Court Sq &amp; 23 St">');
+    expect(body).to.include('<attvalue for="closeness" value="0.75"/>');
+    expect(body).to.include('<edge id="0" source="101" target="102" weight="90">');
+    expect(body).to.not.include('<attribute id="weight"');
+  });
+  
+  it('should write the edges or the stops as CSV', function() {
+    const edgeList = exportGraph(graph, ExportFormat.CSV, 'MTA').body;
+    const stopTable = exportGraph(graph, ExportFormat.CSV, 'MTA', { stopsOnly: true }).body;
+    
+    expect(edgeList).to.equal(`source,target,type,weight\n101,102,${EdgeType.ROUTE},90\n102,101,${EdgeType.TRANSFER},180\n`);
+    expect(stopTable).to.equal('id,name,latitude,longitude,routes,closeness\n' +
+      '101,Court Sq & 23 St,40.747,-73.946,E M,0.25\n' +
+      '102,Lexington Av <53 St>,40.757,-73.969,E,0.75\n');
+  });
+  
+  it('should write the JSON Graph Format', function() {
+    const exported = exportGraph(graph, ExportFormat['JSON-GRAPH'], 'MTA');
+    const jsonGraph = exported.body.graph;
+    
+    expect(exported.contentType).to.equal('application/json');
+    expect(jsonGraph.label).to.equal('MTA');
+    expect(jsonGraph.directed).to.be.true;
+    expect(jsonGraph.nodes['102']).to.deep.equal({
+      label: 'Lexington Av <53 St>',
+      metadata: { latitude: 40.757, longitude: -73.969, routes: ['E'], closeness: 0.75 }
+    });
+    expect(jsonGraph.edges[0]).to.deep.equal({
+      source: '101',
+      target: '102',
+      relation: EdgeType.ROUTE,
+      metadata: { type: EdgeType.ROUTE, weight: 90 }
+    });
+  });
+  
+  it('should reject an unknown format', function() {
+    expect(() => exportGraph(graph, 'DOT', 'MTA')).to.throw(/Bad export format/);
+  });
+});
@@ -0,0 +1,200 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+var path = require('path');
+
+var gtfsFeed = require('../lib/server/gtfsFeed');
+var EdgeType = require('../lib/enums').EdgeType;
+
+const FEED = path.resolve(__dirname, 'fixtures/gtfs.zip');
+const STATIONS_FEED = path.resolve(__dirname, 'fixtures/gtfs-stations.zip');
+const TIMEPOINTS_FEED = path.resolve(__dirname, 'fixtures/gtfs-timepoints.zip');
+const QUOTED_FEED = path.resolve(__dirname, 'fixtures/gtfs-quoted.zip');
+
+//===================================================
+// GTFS FEED TEST
+//===================================================
+
+describe('The GTFS feed parser', function() {
+  it('should convert times to seconds after midnight', function() {
+    expect(gtfsFeed.parseTime('08:02:30')).to.equal(8 * 3600 + 2 * 60 + 30);
+    expect(gtfsFeed.parseTime(' 8:00:00')).to.equal(8 * 3600);
+    expect(gtfsFeed.parseTime('25:00:00')).to.equal(25 * 3600);
+    expect(gtfsFeed.parseTime('')).to.be.NaN;
+  });
+});
+
+describe('The GTFS feed loader', function() {
+  let stops, edgeRows;
+
+  before(function(done) {
+    gtfsFeed.loadFeed(FEED, {}, function(err, feedStops, feedEdgeRows) {
+      stops = feedStops;
+      edgeRows = feedEdgeRows;
+      done(err);
+    });
+  });
+
+  it('should load only the stops served by a trip', function() {
+    expect(stops.map(stop => stop.id)).to.deep.equal(['A', 'B', 'C', 'D', 'E']);
+    expect(stops[1].name).to.equal('Beta, North');
+    expect(stops[1].latitude).to.equal(40.01);
+  });
+
+  it('should attach the routes serving each stop', function() {
+    const alpha = stops[0];
+
+    expect(alpha.routes.map(route => route.id)).to.have.members(['1', 'R3']);
+    expect(alpha.routes.filter(route => route.id === '1')[0].color).to.equal('EE352E');
+  });
+
+  it('should create a route edge between consecutive stops of each trip', function() {
+    const routeEdges = edgeRows.filter(row => row.type === EdgeType.ROUTE);
+
+    // T2's stop times are out of order in the feed
+    expect(routeEdges).to.deep.include.members([
+      { origin: 'A', destination: 'B', type: EdgeType.ROUTE, weight: 120 },
+      { origin: 'B', destination: 'C', type: EdgeType.ROUTE, weight: 180 },
+      { origin: 'B', destination: 'C', type: EdgeType.ROUTE, weight: 180 },
+      { origin: 'A', destination: 'E', type: EdgeType.ROUTE, weight: 2400 }
+    ]);
+    expect(routeEdges).to.have.length(7);
+  });
+
+  it('should create transfer edges between different stops', function() {
+    const transferEdges = edgeRows.filter(row => row.type === EdgeType.TRANSFER);
+
+    expect(transferEdges).to.deep.equal([
+      { origin: 'C', destination: 'D', type: EdgeType.TRANSFER, weight: 90 },
+      { origin: 'D', destination: 'C', type: EdgeType.TRANSFER, weight: 90 }
+    ]);
+  });
+
+  it('should report a missing feed', function(done) {
+    gtfsFeed.loadFeed(path.resolve(__dirname, 'fixtures/missing.zip'), {}, function(err) {
+      expect(err).to.be.an('error');
+      done();
+    });
+  });
+});
+
+describe('A GTFS feed with stops which are not timepoints', function() {
+  let edgeRows;
+
+  before(function(done) {
+    gtfsFeed.loadFeed(TIMEPOINTS_FEED, {}, function(err, feedStops, feedEdgeRows) {
+      edgeRows = feedEdgeRows;
+      done(err);
+    });
+  });
+
+  it('should space the blank times evenly between timepoints', function() {
+    expect(edgeRows.slice(0, 3)).to.deep.equal([
+      { origin: 'A', destination: 'B', type: EdgeType.ROUTE, weight: 180 },
+      { origin: 'B', destination: 'C', type: EdgeType.ROUTE, weight: 180 },
+      { origin: 'C', destination: 'D', type: EdgeType.ROUTE, weight: 180 }
+    ]);
+  });
+
+  it('should not count the time spent waiting at a stop', function() {
+    expect(edgeRows[3]).to.deep.equal(
+      { origin: 'D', destination: 'E', type: EdgeType.ROUTE, weight: 240 });
+  });
+
+  it('should leave out a hop with a time which cannot be filled in', function() {
+    expect(edgeRows.slice(4)).to.deep.equal([
+      { origin: 'D', destination: 'C', type: EdgeType.ROUTE, weight: 240 }
+    ]);
+    expect(edgeRows.every(row => !isNaN(row.weight))).to.be.true;
+  });
+});
+
+describe('The GTFS feed configuration', function() {
+  function load(feedPath, config) {
+    return new Promise((resolve, reject) => {
+      gtfsFeed.loadFeed(feedPath, config, function(err, stops, edgeRows) {
+        if (err) { reject(err); return; }
+        resolve({ stops: stops, edgeRows: edgeRows });
+      });
+    });
+  }
+
+  it('should filter routes by route type', function() {
+    return load(FEED, { routeTypes: [1] })
+      .then(function(feed) {
+        const alpha = feed.stops.filter(stop => stop.id === 'A')[0];
+
+        expect(alpha.routes.map(route => route.id)).to.deep.equal(['1']);
+        expect(feed.edgeRows.filter(row => row.destination === 'E' && row.origin === 'A')).to.be.empty;
+      });
+  });
+
+  it('should filter routes by route ID', function() {
+    return load(FEED, { routeIds: ['R1'] })
+      .then(function(feed) {
+        expect(feed.stops.map(stop => stop.id)).to.deep.equal(['A', 'B', 'C']);
+      });
+  });
+
+  it('should keep every platform as a stop by default', function() {
+    return load(STATIONS_FEED, {})
+      .then(function(feed) {
+        expect(feed.stops.map(stop => stop.id)).to.deep.equal(['101N', '101S', '102N', '102S', '200', '201']);
+      });
+  });
+
+  it('should strip stop ID suffixes', function() {
+    return load(STATIONS_FEED, { stopIdSuffixes: ['N', 'S'] })
+      .then(function(feed) {
+        expect(feed.stops.map(stop => stop.id)).to.deep.equal(['101', '102', '200', '201']);
+        // The station's own row is used rather than its platform's
+        expect(feed.stops[0].name).to.equal('Main St');
+        expect(feed.edgeRows).to.deep.include({ origin: '101', destination: '102', type: EdgeType.ROUTE, weight: 180 });
+      });
+  });
+
+  it('should collapse platforms into their parent stations', function() {
+    return load(STATIONS_FEED, { collapseParentStations: true })
+      .then(function(feed) {
+        expect(feed.stops.map(stop => stop.id)).to.deep.equal(['101', '102', '200', '201']);
+        expect(feed.edgeRows).to.deep.include({ origin: '102', destination: '101', type: EdgeType.ROUTE, weight: 240 });
+      });
+  });
+
+  it('should connect coincident stops with a transfer', function() {
+    return load(STATIONS_FEED, { collapseParentStations: true, transferCoincidentStops: true })
+      .then(function(feed) {
+        const transferEdges = feed.edgeRows.filter(row => row.type === EdgeType.TRANSFER);
+
+        expect(transferEdges).to.deep.equal([
+          { origin: '200', destination: '102', type: EdgeType.TRANSFER, weight: 0 }
+        ]);
+      });
+  });
+});
+
+describe('A GTFS feed with line breaks in quoted fields', function() {
+  let stops, edgeRows;
+
+  before(function(done) {
+    gtfsFeed.loadFeed(QUOTED_FEED, {}, function(err, feedStops, feedEdgeRows) {
+      stops = feedStops;
+      edgeRows = feedEdgeRows;
+      done(err);
+    });
+  });
+
+  it('should read a quoted field across lines', function() {
+    expect(stops.map(stop => stop.id)).to.deep.equal(['A', 'B', 'C', 'D', 'E']);
+    expect(stops[2].name).to.equal('Gamma\r\nSquare');
+  });
+
+  it('should read the fields after it', function() {
+    expect(stops[1].name).to.equal('Beta');
+    expect(stops[1].latitude).to.equal(40.01);
+    expect(stops[2].latitude).to.equal(40.02);
+    expect(edgeRows).to.have.length(5);
+  });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+/*
+  Builds the small graphs the specs run the algorithms on. A graph is given
+  as its edges, each [origin, destination, weight] with an optional edge
+  type (a route by default), and its stops, either made here or passed in.
+  The transit-tools classes are exported too, for the specs which build
+  anything else themselves.
+*/
+
+var TransitGraph = require('transit-tools').TransitGraph;
+var Stop = require('transit-tools').Stop;
+var Edge = require('transit-tools').Edge;
+var EdgeList = require('transit-tools').EdgeList;
+var EdgeType = require('../../lib/enums').EdgeType;
+
+//-------------------------------------------------
+// An edge between two node indices, a route unless another type is given
+var createEdge = function(origin, destination, weight, type) {
+  return new Edge({
+    type: type || EdgeType.ROUTE,
+    origin: origin,
+    destination: destination,
+    weight: weight
+  });
+};
+
+//-------------------------------------------------
+// A stop for each ID, named "Stop <id>" and without routes. locate gives the
+// [latitude, longitude] of the stop at an index, which is 40, -75 for every
+// stop without it.
+var createStops = function(ids, locate) {
+  return ids.map((id, index) => {
+    const location = locate ? locate(index) : [40, -75];
+    
+    return new Stop(id, `Stop ${id}`, location[0], location[1], []);
+  });
+};
+
+//-------------------------------------------------
+// A graph of the given edges between the given stops or, given a number,
+// that many stops numbered from 0
+var createGraph = function(edges, stops) {
+  if (typeof stops === "number") {
+    stops = createStops(Array.from({ length: stops }, (stop, index) => index));
+  }
+  
+  const edgeList = new EdgeList(edges.map(edge => createEdge(edge[0], edge[1], edge[2], edge[3])));
+  
+  return new TransitGraph(edgeList, stops.length, stops);
+};
+
+module.exports = {
+  TransitGraph: TransitGraph,
+  Stop: Stop,
+  Edge: Edge,
+  EdgeList: EdgeList,
+  createEdge: createEdge,
+  createStops: createStops,
+  createGraph: createGraph
+};
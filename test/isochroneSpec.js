@@ -0,0 +1,66 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var isochrone = require('../lib/server/isochrone');
+var createGraph = require('./helpers/graph').createGraph;
+var createStops = require('./helpers/graph').createStops;
+var Geometry = require('../lib/enums').Geometry;
+
+const MINUTE = 60;
+
+//===================================================
+// ISOCHRONE TEST
+//===================================================
+
+describe('The convex hull', function() {
+  it('should leave out the points inside it', function() {
+    const hull = isochrone.convexHull([ [0, 0], [2, 0], [1, 1], [2, 2], [0, 2], [1, 0] ]);
+    
+    expect(hull).to.deep.equal([ [0, 0], [2, 0], [2, 2], [0, 2], [0, 0] ]);
+  });
+});
+
+describe('An isochrone', function() {
+  // A line of stops 5, 10 and 25 minutes apart, with an unconnected stop
+  const stops = createStops(['A', 'B', 'C', 'D', 'E'], index => [40, -75 + index / 100]);
+  const graph = createGraph([ [0, 1, 5 * MINUTE], [1, 2, 10 * MINUTE], [2, 3, 25 * MINUTE] ], stops);
+  
+  it('should list the stops reachable within the budget with their travel times', function() {
+    const result = isochrone.calculateIsochrone(graph, 1, 20, [10, 20]);
+    
+    expect(result.origin).to.equal('B');
+    expect(result.stops.map(stop => stop.id)).to.deep.equal(['B', 'A', 'C']);
+    expect(result.stops.map(stop => stop.travelTime)).to.deep.equal([0, 5 * MINUTE, 10 * MINUTE]);
+  });
+  
+  it('should create a polygon for each band', function() {
+    const result = isochrone.calculateIsochrone(graph, 0, 45, [30, 10]);
+    const features = result.bands.features;
+    
+    expect(features.map(feature => feature.properties.minutes)).to.deep.equal([10, 30]);
+    expect(features.map(feature => feature.properties.stopCount)).to.deep.equal([2, 3]);
+    features.forEach(feature => {
+      const ring = feature.geometry.coordinates[0];
+      
+      expect(feature.geometry.type).to.equal(Geometry.Polygon);
+      expect(ring[0]).to.deep.equal(ring[ring.length - 1]);
+    });
+  });
+  
+  it('should give a single stop an area', function() {
+    const result = isochrone.calculateIsochrone(graph, 4, 45);
+    const ring = result.bands.features[0].geometry.coordinates[0];
+    
+    expect(result.stops).to.have.length(1);
+    expect(ring.length).to.be.at.least(4);
+  });
+  
+  it('should leave out the bands beyond the budget', function() {
+    const result = isochrone.calculateIsochrone(graph, 0, 20);
+    
+    expect(result.bands.features.map(feature => feature.properties.minutes)).to.deep.equal([10, 20]);
+  });
+});
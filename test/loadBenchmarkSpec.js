@@ -0,0 +1,120 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var createGraph = require('../lib/server/createGraph');
+var upload = require('../lib/server/upload');
+var Systems = require('../lib/systems');
+
+//===================================================
+// LOAD BENCHMARK TEST
+//===================================================
+
+// Even the largest system loads well within this (in milliseconds), however
+// busy the machine running the tests is
+const LOAD_TIME_BUDGET = 10000;
+
+const DATA_DIR = './data';
+
+function timeLoad(systemId, config) {
+  return new Promise(function(resolve, reject) {
+    const startTime = Date.now();
+    
+    createGraph.loadGraph(systemId, config, function(err, graph) {
+      if (err) { return reject(err); }
+      resolve({ graph: graph, time: Date.now() - startTime });
+    });
+  });
+}
+
+describe('Loading every system under data/', function() {
+  const systems = Object.assign(upload.getUploadedSystems(), Systems);
+  
+  fs.readdirSync(DATA_DIR).filter(dirname => {
+    return ['stops.csv', 'gtfs.zip'].some(filename => fs.existsSync(path.join(DATA_DIR, dirname, filename)));
+  }).forEach(dirname => {
+    const systemId = dirname.toUpperCase();
+    
+    it(`should load ${systemId} within ${LOAD_TIME_BUDGET}ms`, function() {
+      return timeLoad(systemId, systems[systemId] || {}).then(function(load) {
+        expect(load.graph.length()).to.be.above(0);
+        expect(load.time).to.be.below(LOAD_TIME_BUDGET);
+      });
+    });
+  });
+});
+
+describe('Loading a large system', function() {
+  // The systems are written to a directory of their own, out of data/
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'loadbenchmark-'));
+  // Each stop is joined to the next few, and each edge is run by two trips:
+  // 80k rows for the larger system, about as many as the edges.csv of RATP,
+  // and five times as many as the smaller
+  const numStops = 4000;
+  const systems = { SMALL: 2, LARGE: 10 };
+  
+  function numEdges(neighbours) {
+    return neighbours * numStops - neighbours * (neighbours + 1) / 2;
+  }
+  
+  before(function() {
+    createGraph.setDataDirectory(dataDir);
+    Object.keys(systems).forEach(systemId => {
+      const neighbours = systems[systemId];
+      const systemDir = path.join(dataDir, systemId.toLowerCase());
+      const stops = [];
+      const routes = [];
+      const edges = [];
+      
+      for (let stop = 0; stop < numStops; stop++) {
+        stops.push(`${stop},Stop ${stop},${40 + stop / numStops},-75`);
+        routes.push(`${stop},A,ff0000`);
+        for (let next = stop + 1; next <= stop + neighbours && next < numStops; next++) {
+          edges.push(`${stop},${next},route,${60 + next - stop}`, `${stop},${next},route,120`);
+        }
+      }
+      
+      fs.mkdirSync(systemDir);
+      fs.writeFileSync(path.join(systemDir, 'stops.csv'), stops.join('\n'));
+      fs.writeFileSync(path.join(systemDir, 'routes.csv'), routes.join('\n'));
+      fs.writeFileSync(path.join(systemDir, 'edges.csv'), edges.join('\n'));
+    });
+  });
+  
+  after(function() {
+    Object.keys(systems).forEach(systemId => {
+      const systemDir = path.join(dataDir, systemId.toLowerCase());
+      
+      fs.readdirSync(systemDir).forEach(filename => fs.unlinkSync(path.join(systemDir, filename)));
+      fs.rmdirSync(systemDir);
+    });
+    fs.rmdirSync(dataDir);
+    createGraph.setDataDirectory('./data');
+  });
+  
+  it('should load every edge, keeping the shorter of each edge\'s trips', function() {
+    return timeLoad('LARGE', {}).then(function(load) {
+      expect(load.graph.length()).to.equal(numStops);
+      expect(load.graph.edgeList.length()).to.equal(numEdges(systems.LARGE));
+      expect(load.graph.edgeList.list.every(edge => edge.weight < 120)).to.be.true;
+    });
+  });
+  
+  // Building the graph of the stops takes as long for both, so five times the
+  // rows take far less than five times as long, while a search through every
+  // edge for each row would take twenty-five times as long. The margin is
+  // generous, as a busy machine can slow either load down.
+  it('should take less than five times as long to load five times the rows', function() {
+    return timeLoad('SMALL', {}).then(function(small) {
+      return timeLoad('LARGE', {}).then(function(large) {
+        expect(small.graph.edgeList.length()).to.equal(numEdges(systems.SMALL));
+        expect(large.time).to.be.below(5 * Math.max(small.time, 500));
+      });
+    });
+  });
+});
@@ -0,0 +1,73 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var parameters = require('../lib/server/parameters');
+var calculateRanks = require('../lib/server/analysis').calculateRanks;
+var TransitGraph = require('transit-tools').TransitGraph;
+var Stop = require('transit-tools').Stop;
+var Edge = require('transit-tools').Edge;
+var EdgeList = require('transit-tools').EdgeList;
+var EdgeType = require('../lib/enums').EdgeType;
+var Mode = require('../lib/enums').Mode;
+
+//===================================================
+// PARAMETERS TEST
+//===================================================
+
+describe('The algorithm parameters', function() {
+  it('should be picked out of a query and converted to numbers', function() {
+    const parsed = parameters.parseParameters({ mode: 'page_rank', damping: '0.85', walks: '10' });
+    
+    expect(parsed).to.deep.equal({ damping: 0.85, walks: 10 });
+  });
+  
+  it('should reject bad values', function() {
+    expect(() => parameters.parseParameters({ damping: '1.5' })).to.throw(/damping/);
+    expect(() => parameters.parseParameters({ damping: '' })).to.throw(/damping/);
+    expect(() => parameters.parseParameters({ alpha: '0' })).to.throw(/alpha/);
+    expect(() => parameters.parseParameters({ walks: '2.5' })).to.throw(/walks/);
+    expect(() => parameters.parseParameters({ walkLength: '100000' })).to.throw(/walkLength/);
+    expect(() => parameters.parseParameters({ seed: '-1' })).to.throw(/seed/);
+  });
+  
+  it('should resolve the parameters of a mode with the defaults', function() {
+    expect(parameters.resolveParameters(Mode.PAGE_RANK, {})).to.deep.equal({ damping: 1 });
+    expect(parameters.resolveParameters(Mode.KATZ, { damping: 0.85, alpha: 0.1 })).to.deep.equal({ alpha: 0.1 });
+    expect(parameters.resolveParameters(Mode.ACCESSIBILITY, { seed: 7 })).to.deep.equal({ walks: 50, walkLength: 50, seed: 7 });
+    expect(parameters.resolveParameters(Mode.CLOSENESS, { damping: 0.85 })).to.deep.equal({});
+  });
+  
+  it('should seed every run the same unless told otherwise', function() {
+    expect(parameters.resolveParameters(Mode.ACCESSIBILITY, {}).seed).to.equal(1);
+    expect(parameters.getSeed({})).to.equal(1);
+    expect(parameters.getSeed({ seed: 7 })).to.equal(7);
+  });
+  
+  it('should only key ranks by the parameters their mode depends on', function() {
+    expect(parameters.parametersKey(Mode.PAGE_RANK, { damping: 0.85 })).to.equal('PAGE_RANK?damping=0.85');
+    expect(parameters.parametersKey(Mode.PAGE_RANK, { damping: 1, alpha: 0.1 }))
+      .to.equal(parameters.parametersKey(Mode.PAGE_RANK, {}));
+    expect(parameters.parametersKey(Mode.ACCESSIBILITY, { walks: 10, walkLength: 5 }))
+      .to.equal('ACCESSIBILITY?seed=1&walkLength=5&walks=10');
+  });
+  
+  it('should repeat the random walks of a seed', function() {
+    const edges = [];
+    for (let i = 1; i < 6; i++) {
+      edges.push(new Edge({ type: EdgeType.ROUTE, origin: 0, destination: i, weight: 1 }));
+      edges.push(new Edge({ type: EdgeType.ROUTE, origin: i, destination: i % 5 + 1, weight: 1 }));
+    }
+    const stops = ['A', 'B', 'C', 'D', 'E', 'F'].map(id => new Stop(id, id, 40, -75, []));
+    const graph = new TransitGraph(new EdgeList(edges), stops.length, stops);
+    const random = Math.random;
+    
+    const first = calculateRanks(graph, Mode.ACCESSIBILITY, { walks: 20, walkLength: 4, seed: 42 });
+    const second = calculateRanks(graph, Mode.ACCESSIBILITY, { walks: 20, walkLength: 4, seed: 42 });
+    
+    expect(second).to.deep.equal(first);
+    expect(Math.random).to.equal(random);
+  });
+});
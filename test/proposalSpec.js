@@ -0,0 +1,55 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var proposal = require('../lib/server/proposal');
+var calculateRanks = require('../lib/server/analysis').calculateRanks;
+var createGraph = require('./helpers/graph').createGraph;
+var createStops = require('./helpers/graph').createStops;
+var EdgeType = require('../lib/enums').EdgeType;
+var Mode = require('../lib/enums').Mode;
+
+//===================================================
+// PROPOSAL TEST
+//===================================================
+
+describe('A proposal', function() {
+  // A line of stops A-B-C-D-E
+  const stops = createStops(['A', 'B', 'C', 'D', 'E']);
+  const graph = createGraph([ [0, 1, 60], [1, 2, 60], [2, 3, 60], [3, 4, 60] ], stops);
+  graph.ranks = {};
+  graph.ranks[Mode.CLOSENESS] = calculateRanks(graph, Mode.CLOSENESS);
+  
+  // Closing the line into a loop
+  const links = [ { origin: 0, destination: 4, weight: 60 } ];
+  
+  it('should copy a graph with the proposed links', function() {
+    const proposalGraph = proposal.createProposalGraph(graph, links);
+    
+    expect(proposalGraph.edgeExists(0, 4)).to.be.true;
+    expect(proposalGraph.getEdge(0, 4).type).to.equal(EdgeType.THEORETICAL);
+    expect(graph.edgeExists(0, 4)).to.be.false;
+  });
+  
+  it('should compare the ranks of every stop before and after', function() {
+    const proposalRanks = calculateRanks(proposal.createProposalGraph(graph, links), Mode.CLOSENESS);
+    const result = proposal.evaluateProposal(graph, links, Mode.CLOSENESS, proposalRanks);
+    const ends = result.stops.slice(0, 2).map(stop => stop.id);
+    
+    expect(result.mode).to.equal(Mode.CLOSENESS);
+    expect(result.links).to.deep.equal([ { from: 'A', to: 'E', weight: 60 } ]);
+    expect(result.stops).to.have.lengthOf(stops.length);
+    // The ends of the line gain the most, and once it is a loop every stop
+    // is as close as the others
+    expect(ends).to.have.members(['A', 'E']);
+    expect(result.stops[0].baseline.rank).to.equal(4);
+    expect(result.stops[0].proposal.rank).to.equal(1);
+    expect(result.stops[0].change.rank).to.equal(3);
+    result.stops.forEach(stop => {
+      expect(stop.change.score).to.be.at.least(0);
+      expect(stop.proposal.score).to.equal(result.stops[0].proposal.score);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var ranks = require('../lib/server/ranks');
+var createGraph = require('./helpers/graph').createGraph;
+var createStops = require('./helpers/graph').createStops;
+var Mode = require('../lib/enums').Mode;
+var SortOrder = require('../lib/enums').SortOrder;
+
+//===================================================
+// RANKS TEST
+//===================================================
+
+describe('The ranks of a graph', function() {
+  const graph = createGraph([ [0, 1, 1], [1, 2, 1], [2, 3, 1] ], createStops(['A', 'B', 'C', 'D']));
+  graph.ranks = { [Mode.PAGE_RANK]: [0.1, 0.4, 0.3, 0.3] };
+  
+  it('should normalize scores between 0 and 1', function() {
+    expect(ranks.normalize([2, 4, 6])).to.deep.equal([0, 0.5, 1]);
+    expect(ranks.normalize([3, 3])).to.deep.equal([1, 1]);
+  });
+  
+  it('should order the stops from the highest score to the lowest', function() {
+    const rankedStops = ranks.rankStops(graph, Mode.PAGE_RANK);
+    
+    expect(rankedStops.map(stop => stop.id)).to.deep.equal(['B', 'C', 'D', 'A']);
+    expect(rankedStops[0].name).to.equal('Stop B');
+    expect(rankedStops[0].score).to.equal(0.4);
+    expect(rankedStops[0].normalizedScore).to.equal(1);
+    expect(rankedStops[3].normalizedScore).to.equal(0);
+  });
+  
+  it('should give tied stops the same rank', function() {
+    const rankedStops = ranks.rankStops(graph, Mode.PAGE_RANK);
+    
+    expect(rankedStops.map(stop => stop.rank)).to.deep.equal([1, 2, 2, 4]);
+  });
+  
+  it('should return a page of the ranked stops', function() {
+    const page = ranks.getRankPage(graph, Mode.PAGE_RANK, SortOrder.DESC, 2, 1);
+    
+    expect(page.total).to.equal(4);
+    expect(page.stops.map(stop => stop.id)).to.deep.equal(['C', 'D']);
+  });
+  
+  it('should keep the ranks when sorting in ascending order', function() {
+    const page = ranks.getRankPage(graph, Mode.PAGE_RANK, SortOrder.ASC, undefined, 0);
+    
+    expect(page.stops.map(stop => stop.id)).to.deep.equal(['A', 'D', 'C', 'B']);
+    expect(page.stops.map(stop => stop.rank)).to.deep.equal([4, 2, 2, 1]);
+  });
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var routing = require('../lib/server/routing');
+var createGraph = require('./helpers/graph').createGraph;
+var createStops = require('./helpers/graph').createStops;
+var EdgeType = require('../lib/enums').EdgeType;
+var Geometry = require('../lib/enums').Geometry;
+
+//===================================================
+// ROUTING TEST
+//===================================================
+
+describe('Shortest-path routing', function() {
+  // 0 - 1 - 2 is one line, 3 - 4 another, with a transfer between 2 and 3
+  // and a slow direct line between 0 and 4
+  const stops = createStops(['A', 'B', 'C', 'D', 'E', 'F'], index => [40 + index / 100, -75]);
+  const graph = createGraph([
+    [0, 1, 120],
+    [1, 2, 180],
+    [2, 3, 90, EdgeType.TRANSFER],
+    [3, 4, 360],
+    [0, 4, 2400]
+  ], stops);
+  
+  it('should find stops by ID', function() {
+    expect(routing.findStopIndex(graph, 'C')).to.equal(2);
+    expect(routing.findStopIndex(graph, 'Z')).to.equal(-1);
+  });
+  
+  it('should find stops with numeric IDs', function() {
+    const numbered = createGraph([], createStops([7, 8]));
+    
+    expect(routing.findStopIndex(numbered, '8')).to.equal(1);
+  });
+  
+  it('should find the shortest path in either direction', function() {
+    expect(routing.shortestPath(graph, 0, 4)).to.deep.equal([0, 1, 2, 3, 4]);
+    expect(routing.shortestPath(graph, 4, 0)).to.deep.equal([4, 3, 2, 1, 0]);
+  });
+  
+  it('should find a path to the origin itself', function() {
+    expect(routing.shortestPath(graph, 2, 2)).to.deep.equal([2]);
+  });
+  
+  it('should not find a path to an unconnected stop', function() {
+    expect(routing.shortestPath(graph, 0, 5)).to.be.undefined;
+  });
+  
+  it('should find the travel time to every stop', function() {
+    expect(routing.travelTimes(graph, 0)).to.deep.equal([0, 120, 300, 390, 750, Infinity]);
+  });
+  
+  it('should add the transfer penalty to transfer edges', function() {
+    expect(routing.shortestPath(graph, 0, 4, { transferPenalty: 2000 })).to.deep.equal([0, 4]);
+  });
+  
+  it('should avoid excluded nodes and edges', function() {
+    expect(routing.shortestPath(graph, 0, 4, { excludedNodes: { 2: true } })).to.deep.equal([0, 4]);
+    expect(routing.shortestPath(graph, 0, 4, { excludedEdges: { '3-4': true } })).to.deep.equal([0, 4]);
+  });
+  
+  it('should find the k shortest paths, cheapest first', function() {
+    expect(routing.kShortestPaths(graph, 0, 4, 2, 0)).to.deep.equal([ [0, 1, 2, 3, 4], [0, 4] ]);
+    expect(routing.kShortestPaths(graph, 0, 4, 2, 2000)).to.deep.equal([ [0, 4], [0, 1, 2, 3, 4] ]);
+  });
+  
+  it('should return fewer than k paths if there are no more', function() {
+    expect(routing.kShortestPaths(graph, 0, 4, 5, 0)).to.have.length(2);
+    expect(routing.kShortestPaths(graph, 0, 5, 5, 0)).to.be.empty;
+  });
+  
+  it('should only find loopless paths', function() {
+    // A square with a diagonal has exactly four loopless paths across it
+    const square = createGraph([ [0, 1, 1], [1, 2, 1], [2, 3, 1], [3, 0, 1], [1, 3, 1] ], stops.slice(0, 4));
+    const paths = routing.kShortestPaths(square, 0, 2, 10, 0);
+    
+    expect(paths).to.have.length(4);
+    paths.forEach(path => {
+      expect(new Set(path).size).to.equal(path.length);
+    });
+    expect(paths.map(path => path.length)).to.deep.equal([3, 3, 4, 4]);
+  });
+  
+  it('should describe the legs of a route', function() {
+    const route = routing.describeRoute(graph, [0, 1, 2, 3, 4]);
+    
+    expect(route.stops.map(stop => stop.id)).to.deep.equal(['A', 'B', 'C', 'D', 'E']);
+    expect(route.legs).to.have.length(4);
+    expect(route.legs[2]).to.deep.equal({ origin: 'C', destination: 'D', type: EdgeType.TRANSFER, duration: 90 });
+    expect(route.transfers).to.equal(1);
+    expect(route.totalTime).to.equal(120 + 180 + 90 + 360);
+    expect(route.cost).to.equal(route.totalTime);
+  });
+  
+  it('should include the transfer penalty in the cost of a route', function() {
+    const route = routing.describeRoute(graph, [0, 1, 2, 3, 4], 2000);
+    
+    expect(route.totalTime).to.equal(120 + 180 + 90 + 360);
+    expect(route.cost).to.equal(route.totalTime + 2000);
+  });
+  
+  it('should describe a route as a GeoJSON LineString', function() {
+    const route = routing.describeRoute(graph, [0, 1, 2]);
+    
+    expect(route.geometry.type).to.equal(Geometry.LineString);
+    expect(route.geometry.coordinates).to.deep.equal([ [-75, 40], [-75, 40.01], [-75, 40.02] ]);
+  });
+});
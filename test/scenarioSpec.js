@@ -0,0 +1,68 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var scenario = require('../lib/server/scenario');
+var createGraph = require('./helpers/graph').createGraph;
+var createStops = require('./helpers/graph').createStops;
+
+//===================================================
+// SCENARIO TEST
+//===================================================
+
+describe('A scenario', function() {
+  // A square of stops A-B-C-D with a branch from D to E
+  const stops = createStops(['A', 'B', 'C', 'D', 'E']);
+  const graph = createGraph([ [0, 1, 60], [1, 2, 60], [2, 3, 60], [3, 0, 60], [3, 4, 60] ], stops);
+  
+  it('should copy a graph without the closed stops and edges', function() {
+    const scenarioGraph = scenario.createScenarioGraph(graph, { 4: true }, { '0-1': true });
+    
+    expect(scenarioGraph.length()).to.equal(5);
+    expect(scenarioGraph.edgeExists(0, 1)).to.be.false;
+    expect(scenarioGraph.edgeExists(3, 4)).to.be.false;
+    expect(scenarioGraph.edgeExists(1, 2)).to.be.true;
+    expect(graph.edgeExists(0, 1)).to.be.true;
+  });
+  
+  it('should find the connected components, largest first', function() {
+    const scenarioGraph = scenario.createScenarioGraph(graph, { 3: true }, {});
+    const components = scenario.connectedComponents(scenarioGraph, { 3: true });
+    
+    expect(components).to.have.lengthOf(2);
+    expect(components[0]).to.have.members([0, 1, 2]);
+    expect(components[1]).to.deep.equal([4]);
+  });
+  
+  it('should report the stops cut off by a closed station', function() {
+    const result = scenario.runScenario(graph, [3], []);
+    
+    expect(result.components.baseline).to.equal(1);
+    expect(result.components.scenario).to.equal(2);
+    expect(result.components.disconnected).to.deep.equal([ [ { id: 'E', name: 'Stop E' } ] ]);
+    expect(result.unreachableStops.map(stop => stop.id)).to.deep.equal(['E']);
+    expect(result.closeness.change).to.be.below(0);
+    expect(result.closeness.mostAffected[0].id).to.equal('E');
+  });
+  
+  it('should report the longer travel times after closing a segment', function() {
+    const result = scenario.runScenario(graph, [], [ [0, 1] ]);
+    
+    expect(result.components.scenario).to.equal(1);
+    expect(result.unreachableStops).to.be.empty;
+    expect(result.averageTravelTime.change).to.be.above(0);
+    expect(result.averageTravelTime.scenario).to.equal(result.averageTravelTime.baseline + result.averageTravelTime.change);
+    expect(result.closeness.mostAffected.map(stop => stop.id)).to.include.members(['A', 'B']);
+  });
+  
+  it('should average nothing once every stop is closed', function() {
+    const result = scenario.runScenario(graph, [0, 1, 2, 3, 4], []);
+    
+    expect(result.averageTravelTime.baseline).to.equal(0);
+    expect(result.averageTravelTime.scenario).to.equal(0);
+    expect(result.closeness.baseline).to.equal(0);
+    expect(result.closeness.mostAffected).to.be.empty;
+  });
+});
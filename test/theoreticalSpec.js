@@ -0,0 +1,87 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+var utils = require('../lib/utils');
+
+var theoretical = require('../lib/server/theoretical');
+var EdgeList = require('./helpers/graph').EdgeList;
+var createEdge = require('./helpers/graph').createEdge;
+var createGraph = require('./helpers/graph').createGraph;
+var createStops = require('./helpers/graph').createStops;
+var EdgeType = require('../lib/enums').EdgeType;
+var GraphType = require('../lib/enums').GraphType;
+var Fitness = require('../lib/enums').Fitness;
+
+//===================================================
+// THEORETICAL GRAPH TEST
+//===================================================
+
+describe('A theoretical graph search', function() {
+  // A line of six stops, a kilometre or so apart
+  const stops = createStops(['A', 'B', 'C', 'D', 'E', 'F'], index => [40, -75 + index / 100]);
+  const graph = createGraph([ [0, 1, 120], [1, 2, 120], [2, 3, 120], [3, 4, 120], [4, 5, 120] ], stops);
+  
+  it('should name the graph type for a number of routes', function() {
+    expect(theoretical.getGraphType(2)).to.equal(GraphType['THEORETICAL-2R']);
+  });
+  
+  it('should propose links between stops which are not connected yet', function() {
+    for (let i = 0; i < 20; i++) {
+      const edge = theoretical.proposeEdge(graph);
+      
+      expect(edge.type).to.equal(EdgeType.THEORETICAL);
+      expect(edge.origin).to.not.equal(edge.destination);
+      expect(graph.edgeExists(edge.origin, edge.destination)).to.be.false;
+      expect(edge.weight).to.be.above(0);
+    }
+  });
+  
+  it('should propose the only link which is missing', function() {
+    // A line of three stops, so only A and C are not linked
+    const triangle = createGraph([ [0, 1, 120], [1, 2, 120] ], stops.slice(0, 3));
+    const edge = theoretical.proposeEdge(triangle);
+    
+    expect([edge.origin, edge.destination].sort()).to.deep.equal([0, 2]);
+  });
+  
+  it('should fail to propose a link when every stop is connected', function() {
+    const single = createGraph([], stops.slice(0, 1));
+    const pair = createGraph([ [0, 1, 120] ], stops.slice(0, 2));
+    
+    expect(() => theoretical.proposeEdge(single)).to.throw(/No links can be added/);
+    expect(() => theoretical.proposeEdge(pair)).to.throw(/No links can be added/);
+  });
+  
+  it('should rate a graph with shorter trips as fitter', function() {
+    const shortcut = createEdge(0, 5, 60, EdgeType.THEORETICAL);
+    const improvedGraph = graph.createNewGraphWithEdges(new EdgeList([ shortcut ]));
+    
+    [Fitness.CLOSENESS, Fitness.TRAVEL_TIME].forEach(fitness => {
+      expect(theoretical.calculateFitness(improvedGraph, fitness)).to.be.above(theoretical.calculateFitness(graph, fitness));
+    });
+  });
+  
+  it('should find the number of links asked for', function() {
+    const solution = theoretical.findTheoreticalEdges(graph, 2, Fitness.TRAVEL_TIME);
+    
+    expect(solution.edges).to.have.lengthOf(2);
+    expect(solution.fitness).to.be.above(theoretical.calculateFitness(graph, Fitness.TRAVEL_TIME));
+  });
+  
+  it('should find the same links with the same seed', function() {
+    const links = solution => solution.edges.map(edge => [edge.origin, edge.destination]);
+    
+    const first = theoretical.findTheoreticalEdges(graph, 2, Fitness.CLOSENESS, utils.seededRandom(5));
+    const second = theoretical.findTheoreticalEdges(graph, 2, Fitness.CLOSENESS, utils.seededRandom(5));
+    
+    expect(links(second)).to.deep.equal(links(first));
+    expect(second.fitness).to.equal(first.fitness);
+  });
+  
+  it('should reject a bad number of routes or fitness', function() {
+    expect(() => theoretical.findTheoreticalEdges(graph, 6, Fitness.CLOSENESS)).to.throw(Error);
+    expect(() => theoretical.calculateFitness(graph, 'BAD')).to.throw(Error);
+  });
+});
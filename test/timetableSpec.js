@@ -0,0 +1,133 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+var path = require('path');
+
+var loadFeed = require('../lib/server/gtfsFeed').loadFeed;
+var parseTime = require('../lib/server/gtfsFeed').parseTime;
+var Timetable = require('../lib/server/timetable');
+var Stop = require('transit-tools').Stop;
+var EdgeType = require('../lib/enums').EdgeType;
+
+const FEED = path.resolve(__dirname, 'fixtures/gtfs.zip');
+
+// The fixture feed runs R1 and R2 on weekdays and R3 on weekends
+const WEEKDAY = '20170301';
+const SATURDAY = '20170304';
+
+//===================================================
+// TIMETABLE TEST
+//===================================================
+
+describe('A timetable', function() {
+  let timetable;
+
+  before(function(done) {
+    loadFeed(FEED, { timeDependent: true }, function(err, stops, edgeRows, schedule) {
+      if (err) { return done(err); }
+
+      timetable = new Timetable(stops, schedule);
+      done();
+    });
+  });
+
+  it('should keep a connection for every hop of every trip', function() {
+    expect(timetable.connections).to.have.length(7);
+    expect(timetable.connections[0].departure).to.equal(parseTime('08:00:00'));
+  });
+
+  it('should know which services run on a date', function() {
+    expect(timetable.isServiceActive('WK', WEEKDAY)).to.be.true;
+    expect(timetable.isServiceActive('WK', SATURDAY)).to.be.false;
+    expect(timetable.isServiceActive('WE', SATURDAY)).to.be.true;
+    expect(timetable.isServiceActive('WK', '20180301')).to.be.false;
+  });
+
+  it('should find the earliest arrivals on a weekday', function() {
+    const arrivals = timetable.earliestArrivals(0, parseTime('08:00:00'), WEEKDAY);
+
+    expect(arrivals[2]).to.equal(parseTime('08:05:00'));
+    expect(arrivals[3]).to.equal(parseTime('08:06:30'));
+    expect(arrivals[4]).to.equal(parseTime('08:26:00'));
+  });
+
+  it('should wait for the next trip when leaving later', function() {
+    const arrivals = timetable.earliestArrivals(0, parseTime('08:01:00'), WEEKDAY);
+
+    expect(arrivals[2]).to.equal(parseTime('08:15:00'));
+  });
+
+  it('should only use the trips running on the service day', function() {
+    const arrivals = timetable.earliestArrivals(0, parseTime('08:00:00'), SATURDAY);
+
+    expect(arrivals[2]).to.equal(Infinity);
+    expect(arrivals[4]).to.equal(parseTime('08:40:00'));
+  });
+
+  it('should return the legs of the fastest journey', function() {
+    const path = timetable.shortestPath(0, 4, parseTime('08:00:00'), WEEKDAY);
+
+    expect(path.duration).to.equal(26 * 60);
+    expect(path.legs.map(leg => leg.type)).to.deep.equal([EdgeType.ROUTE, EdgeType.TRANSFER, EdgeType.ROUTE]);
+    expect(path.legs[0].tripId).to.equal('T1');
+    expect(path.legs[2].tripId).to.equal('T3');
+    expect(path.legs[2].departure).to.equal(parseTime('08:20:00'));
+  });
+
+  it('should not find a journey after the last trip', function() {
+    expect(timetable.shortestPath(0, 4, parseTime('10:00:00'), WEEKDAY)).to.be.undefined;
+  });
+
+  it('should calculate closeness for a time of day', function() {
+    const ranks = timetable.closenessCentrality(parseTime('08:00:00'), WEEKDAY);
+
+    expect(ranks).to.have.length(5);
+    // Alpha reaches Beta in 2 minutes, Gamma in 5, Delta in 6.5 (by the
+    // transfer) and Epsilon in 26 (on the 08:20 from Delta)
+    expect(ranks[0]).to.be.closeTo((1/120 + 1/300 + 1/390 + 1/1560) / 4, 1e-12);
+    // Nothing leaves the end of the line
+    expect(ranks[4]).to.equal(0);
+  });
+
+  it('should not let the stops out of reach zero the closeness of the others', function() {
+    const ranks = timetable.closenessCentrality(parseTime('08:00:00'), WEEKDAY);
+
+    // Gamma cannot get back to Alpha or Beta, but reaches Delta and Epsilon
+    expect(ranks[2]).to.be.closeTo((1/90 + 1/1560) / 4, 1e-12);
+  });
+
+  it('should calculate the same closeness once sent as plain data', function() {
+    const copy = Timetable.fromJson(JSON.parse(JSON.stringify(timetable.toJson())));
+
+    expect(copy.closenessCentrality(parseTime('08:00:00'), WEEKDAY))
+      .to.deep.equal(timetable.closenessCentrality(parseTime('08:00:00'), WEEKDAY));
+  });
+});
+
+describe('A timetable with calendar exceptions', function() {
+  const stops = [ new Stop('X', 'X', 0, 0, []), new Stop('Y', 'Y', 0, 0, []) ];
+  const timetable = new Timetable(stops, {
+    connections: [
+      { origin: 'X', destination: 'Y', departure: 100, arrival: 200, tripId: 'T', serviceId: 'S' }
+    ],
+    transfers: [],
+    calendar: {
+      S: { days: [false, true, true, true, true, true, false], startDate: '20170101', endDate: '20171231' }
+    },
+    calendarDates: {
+      S: { '20170704': 2, '20170708': 1 }
+    }
+  });
+
+  it('should remove service on a holiday', function() {
+    expect(timetable.isServiceActive('S', '20170704')).to.be.false;
+    expect(timetable.earliestArrivals(0, 0, '20170704')[1]).to.equal(Infinity);
+  });
+
+  it('should add service on a special day', function() {
+    expect(timetable.isServiceActive('S', '20170708')).to.be.true;
+    expect(timetable.earliestArrivals(0, 0, '20170708')[1]).to.equal(200);
+  });
+});
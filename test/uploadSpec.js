@@ -0,0 +1,83 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var upload = require('../lib/server/upload');
+
+//===================================================
+// UPLOAD TEST
+//===================================================
+
+describe('An uploaded system', function() {
+  // Stands in for the SystemManager, which only has to list its systems
+  const SystemManager = { getIds: () => ['TEST'] };
+  const files = {
+    stops: '1,One,40.1,-75.1\n2,Two,40.2,-75.2\n',
+    routes: '1,A,ff0000\n2,A,ff0000\n',
+    edges: '1,2,route,60\r\n2,1,TRANSFER,60\r\n\r\n'
+  };
+  
+  it('should have no problems with well-formed CSVs', function() {
+    expect(upload.checkCsvFiles(files)).to.be.empty;
+  });
+  
+  it('should accept the CSVs the loader accepts', function() {
+    // Quoted names with commas and line breaks, and a header row, which is
+    // only a warning
+    expect(upload.checkCsvFiles({
+      stops: 'stop_id,name,latitude,longitude\n1,"One, North",40.1,-75.1\n2,"Two\nSouth",40.2,-75.2\n',
+      routes: files.routes,
+      edges: files.edges
+    })).to.be.empty;
+  });
+  
+  it('should find each problem with its file and line', function() {
+    const problems = upload.checkCsvFiles({
+      stops: '1,One,40.1,-75.1\n2,Two,north,-75.2\n3,Three,40.3\n',
+      routes: '1,A,ff0000\n9,A,ff0000\n',
+      edges: '1,2,route,60\n1,3,route,60\n1,2,theoretical,60\n2,1,route,-5\n'
+    });
+    
+    expect(problems).to.deep.equal([
+      'stops.csv line 3: expected 4 columns (stop_id,name,latitude,longitude)',
+      'stops.csv line 2: bad coordinates',
+      'routes.csv line 2: unknown stop 9',
+      'edges.csv line 2: unknown stop 3',
+      'edges.csv line 3: bad edge type theoretical (expected route or transfer)',
+      'edges.csv line 4: bad weight -5'
+    ]);
+  });
+  
+  it('should report missing CSVs', function() {
+    expect(upload.checkCsvFiles({ stops: files.stops, routes: '' })).to.deep.equal([
+      'routes.csv is missing',
+      'edges.csv is missing'
+    ]);
+  });
+  
+  it('should read its ID, location and coordinates from the query string', function() {
+    expect(upload.parseSystemInfo(SystemManager, { id: 'sept_a', location: ' Philadelphia ' })).to.deep.equal({
+      id: 'SEPT_A',
+      location: 'Philadelphia'
+    });
+    expect(upload.parseSystemInfo(SystemManager, { id: 'SEPTA', location: 'Philadelphia', latitude: '39.95', longitude: '-75.16' }))
+      .to.deep.equal({ id: 'SEPTA', location: 'Philadelphia', latitude: 39.95, longitude: -75.16 });
+  });
+  
+  it('should reject a bad or taken ID, a missing location and bad coordinates', function() {
+    expect(() => upload.parseSystemInfo(SystemManager, { location: 'Nowhere' })).to.throw(/Bad system ID/);
+    expect(() => upload.parseSystemInfo(SystemManager, { id: '../mta', location: 'Nowhere' })).to.throw(/Bad system ID/);
+    expect(() => upload.parseSystemInfo(SystemManager, { id: 'test', location: 'Nowhere' })).to.throw(/already exists/);
+    expect(() => upload.parseSystemInfo(SystemManager, { id: 'MBTA', location: 'Nowhere' })).to.throw(/already exists/);
+    expect(() => upload.parseSystemInfo(SystemManager, { id: 'SEPTA' })).to.throw(/Missing location/);
+    expect(() => upload.parseSystemInfo(SystemManager, { id: 'SEPTA', location: 'Nowhere', longitude: '-200' }))
+      .to.throw(/Bad longitude/);
+  });
+  
+  it('should only let uploaded systems be removed', function() {
+    expect(upload.isUploaded('MTA')).to.be.false;
+    expect(upload.isUploaded('SEPTA')).to.be.false;
+  });
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+
+var utils = require('../lib/utils');
+
+//===================================================
+// UTILS TEST
+//===================================================
+
+describe('The standard deviation', function() {
+  it('should measure how far every value is from the mean', function() {
+    expect(utils.stDev([2, 4, 4, 4, 5, 5, 7, 9])).to.equal(2);
+    // The first value counts as much as the others
+    expect(utils.stDev([0, 2])).to.equal(1);
+    expect(utils.stDev([10, 2])).to.equal(4);
+  });
+  
+  it('should be zero when every value is the same', function() {
+    expect(utils.stDev([3, 3, 3])).to.equal(0);
+    expect(utils.stDev([3])).to.equal(0);
+  });
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+process.env.NODE_ENV = 'test';
+
+var expect = require('chai').expect;
+var fs = require('fs');
+
+var validation = require('../lib/server/validation');
+var createGraph = require('../lib/server/createGraph');
+var graphCache = require('../lib/server/graphCache');
+var Validation = require('../lib/enums').Validation;
+var ValidationReport = validation.ValidationReport;
+
+//===================================================
+// VALIDATION TEST
+//===================================================
+
+describe('Validating the input files', function() {
+  const files = {
+    stops: 'stop_id,name,latitude,longitude\n1,"Main St, North",40.1,-75.1\n2,Two,40.2,-75.2\n' +
+      '2,Two again,40.2,-75.2\n3,Three,north,-75.3\n4,Four,40.4,-275.4\n',
+    routes: '1,A,ff0000\n1,A,ff0000\n3,A,ff0000\n9,A,ff0000\n',
+    edges: '1,2,route,60\n2,1,ROUTE,60.5\n1,3,route,60\n1,9,route,60\n2,1,bus,60\n2,1,transfer,-5\n' +
+      '1,2,"route\n'
+  };
+  
+  function check(files, validationMode) {
+    const report = new ValidationReport(validationMode);
+    
+    return { rows: validation.checkDataFiles(files, report), report: report };
+  }
+  
+  it('should read quoted fields and skip a header row', function() {
+    const result = check(files);
+    
+    expect(result.rows.stops.map(stop => stop.name)).to.deep.equal(['Main St, North', 'Two']);
+    expect(result.report.issues[0]).to.deep.equal({
+      severity: 'warning',
+      file: 'stops.csv',
+      line: 1,
+      message: 'skipped header row'
+    });
+  });
+  
+  it('should report each problem with its file and line', function() {
+    expect(check(files).report.issues.map(validation.formatIssue)).to.deep.equal([
+      'stops.csv line 1: skipped header row',
+      'stops.csv line 4: duplicate stop 2 (first on line 3)',
+      'stops.csv line 5: bad coordinates',
+      'stops.csv line 6: bad coordinates',
+      'routes.csv line 2: route A is listed twice for stop 1',
+      'routes.csv line 4: unknown stop 9',
+      'edges.csv line 7: quote in field 3 is never closed',
+      'edges.csv line 4: unknown stop 9',
+      'edges.csv line 5: bad edge type bus (expected route or transfer)',
+      'edges.csv line 6: bad weight -5'
+    ]);
+  });
+  
+  it('should keep only the rows without errors', function() {
+    const rows = check(files).rows;
+    
+    expect(rows.stops.map(stop => stop.id)).to.deep.equal(['1', '2']);
+    expect(rows.routes).to.deep.equal([{ stopId: '1', routeId: 'A', color: 'ff0000', line: 1 }]);
+    // The edge of stop 3, left out for its coordinates, is dropped without
+    // another error
+    expect(rows.edges).to.deep.equal([
+      { origin: '1', destination: '2', type: 'ROUTE', weight: 60, line: 1 },
+      { origin: '2', destination: '1', type: 'ROUTE', weight: 60, line: 2 }
+    ]);
+  });
+  
+  it('should count every issue but keep only so many', function() {
+    const report = new ValidationReport(Validation.LENIENT, 2);
+    
+    validation.checkDataFiles(files, report);
+    
+    expect(report.errorCount).to.equal(8);
+    expect(report.warningCount).to.equal(2);
+    expect(report.issues).to.have.lengthOf(2);
+    expect(report.toJson()).to.include({ errors: 8, warnings: 2, valid: false, truncated: true });
+  });
+  
+  it('should only be fatal with strict validation', function() {
+    expect(check(files, Validation.STRICT).report.isFatal()).to.be.true;
+    expect(check(files, Validation.LENIENT).report.isFatal()).to.be.false;
+    expect(check({ stops: '1,One,40,-75\n', routes: '', edges: '' }, Validation.STRICT).report.isFatal()).to.be.false;
+  });
+  
+  it('should parse the validation of a system', function() {
+    expect(validation.parseValidation()).to.equal(Validation.LENIENT);
+    expect(validation.parseValidation('strict')).to.equal(Validation.STRICT);
+    expect(() => validation.parseValidation('loose')).to.throw(/Bad validation/);
+  });
+});
+
+describe('Loading a system with errors in its input files', function() {
+  const systemId = 'VALIDATIONTEST';
+  const dataDir = `./data/${systemId.toLowerCase()}`;
+  const config = { location: 'Validville' };
+  
+  before(function() {
+    graphCache.setEnabled(false);
+    fs.mkdirSync(dataDir);
+    fs.writeFileSync(`${dataDir}/stops.csv`, '1,"One, Two",40.1,-75.1\n2,Two,40.2,-75.2\n');
+    fs.writeFileSync(`${dataDir}/routes.csv`, '1,A,ff0000\n2,A,ff0000\n7,A,ff0000\n');
+    fs.writeFileSync(`${dataDir}/edges.csv`, '1,2,route,60\n2,1,route,60\n2,7,route,60\n');
+  });
+  
+  after(function() {
+    graphCache.setEnabled(true);
+    fs.readdirSync(dataDir).forEach(filename => fs.unlinkSync(`${dataDir}/${filename}`));
+    fs.rmdirSync(dataDir);
+  });
+  
+  it('should leave out the rows with errors when lenient', function(done) {
+    createGraph(systemId, config, function(err, graph, mergedGraph, timetable, cacheKey, timings, report) {
+      expect(err).to.be.null;
+      expect(graph.length()).to.equal(2);
+      expect(graph.edgeList.length()).to.equal(2);
+      expect(graph.stops[0].name).to.equal('One, Two');
+      expect(graph.stops[0].routes.map(route => route.id)).to.deep.equal(['A']);
+      expect(report.errorCount).to.equal(2);
+      done();
+    });
+  });
+  
+  it('should fail to load when strict', function(done) {
+    createGraph(systemId, Object.assign({ validation: 'strict' }, config), function(err) {
+      expect(err.message).to.equal('routes.csv line 3: unknown stop 7 (and 1 more errors)');
+      expect(err.validation.errorCount).to.equal(2);
+      done();
+    });
+  });
+});